@@ -15,6 +15,14 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
+
+    // Refresh, upload and download tokens carry a type; only login tokens sign a user in
+    if (decoded.type) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid token' 
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -131,7 +139,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = decoded.type ? null : await User.findById(decoded.userId).select('-password');
       
       if (user && user.isActive) {
         req.user = user;
@@ -101,14 +101,15 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
-  // Default to 500 server error
-  const status = error.status || err.statusCode || 500;
+  // Default to 500 server error (AppError keeps a 'fail'/'error' label in status)
+  const status = error.statusCode || (Number.isInteger(error.status) && error.status) || 500;
   const message = error.message || 'Server Error';
 
   // Don't leak error details in production
   const response = {
     success: false,
     message,
+    ...(typeof error.code === 'string' && { code: error.code }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       error: err
@@ -132,9 +133,10 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, code = null) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
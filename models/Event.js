@@ -61,6 +61,16 @@ const eventSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage key and driver of the cover photo, for deleting it later
+  coverPhotoKey: {
+    type: String,
+    default: null
+  },
+  coverPhotoProvider: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3', null],
+    default: null
+  },
   theme: {
     colorScheme: {
       primary: {
@@ -111,6 +121,73 @@ const eventSchema = new mongoose.Schema({
     allowLikes: {
       type: Boolean,
       default: true
+    },
+    // Strip GPS and identifying EXIF from uploaded photos: for nobody, guests only, or everyone
+    scrubMetadata: {
+      type: String,
+      enum: ['none', 'guests', 'all'],
+      default: 'guests'
+    },
+    // Keep the capture time in Media.metadata when metadata is scrubbed
+    keepCaptureTime: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Stamped on downloaded photos from the listed uploader types; hosts and
+  // photographers still download originals
+  watermark: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image'],
+      default: 'text'
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    // Uploaded watermark image (a PNG with transparency works best)
+    imageUrl: {
+      type: String,
+      default: null
+    },
+    imageKey: {
+      type: String,
+      default: null
+    },
+    imageProvider: {
+      type: String,
+      enum: ['cloudinary', 'local', 's3', null],
+      default: null
+    },
+    position: {
+      type: String,
+      enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
+      default: 'bottom-right'
+    },
+    opacity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5
+    },
+    // Watermark width as a fraction of the photo's width
+    scale: {
+      type: Number,
+      min: 0.05,
+      max: 1,
+      default: 0.25
+    },
+    applyTo: {
+      type: [String],
+      enum: ['guest', 'host', 'photographer'],
+      default: ['photographer']
     }
   },
   albums: [{
@@ -172,15 +249,55 @@ const eventSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Set when the host deletes the event; its files are removed by a 'delete-event' job
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  // Latest archival export (ZIP of originals, audio and a manifest), deleted at expiresAt
+  archiveExport: {
+    key: {
+      type: String,
+      default: null
+    },
+    provider: {
+      type: String,
+      enum: ['cloudinary', 'local', 's3', null],
+      default: null
+    },
+    size: {
+      type: Number,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Bytes this event may store (media and audio messages); null uses EVENT_STORAGE_QUOTA
+  storageQuota: {
+    type: Number,
+    default: null
+  },
+  // Bytes counted against storageQuota, kept up to date with $inc; null until
+  // first counted from the stored media and audio
+  storageUsed: {
+    type: Number,
+    default: null
+  },
   settings: {
     maxFileSize: {
       type: Number,
       default: 10485760 // 10MB
     },
-    allowedFileTypes: [{
-      type: String,
-      default: ['image/jpeg', 'image/png', 'image/gif', 'video/mp4', 'video/quicktime']
-    }],
+    allowedFileTypes: {
+      type: [String],
+      default: ['image/jpeg', 'image/png', 'image/gif', 'image/heic', 'image/heif', 'video/mp4', 'video/quicktime']
+    },
     enableSlideshow: {
       type: Boolean,
       default: true
@@ -248,6 +365,21 @@ eventSchema.virtual('duration').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
 });
 
+// Check whether uploads from this uploader type must have their metadata scrubbed
+eventSchema.methods.shouldScrubMetadata = function(uploaderType) {
+  const mode = this.privacy.scrubMetadata || 'guests';
+  if (mode === 'all') return true;
+  if (mode === 'guests') return uploaderType === 'guest';
+  return false;
+};
+
+// Whether downloads of photos by an uploader type get the watermark
+eventSchema.methods.shouldWatermark = function(uploaderType) {
+  const { enabled, type, text, imageKey, applyTo } = this.watermark || {};
+  if (!enabled || !applyTo.includes(uploaderType)) return false;
+  return type === 'image' ? Boolean(imageKey) : Boolean(text);
+};
+
 // Transform output
 eventSchema.methods.toJSON = function() {
   const eventObject = this.toObject();
@@ -37,9 +37,70 @@ const guestbookSchema = new mongoose.Schema({
       type: Number,
       default: null // Duration in seconds
     },
+    fileSize: {
+      type: Number,
+      default: null // Bytes, counted towards storage quotas
+    },
     cloudinaryPublicId: {
       type: String,
       default: null
+    },
+    storageProvider: {
+      type: String,
+      enum: ['cloudinary', 'local', 's3'],
+      default: 'cloudinary'
+    },
+    mimeType: {
+      type: String,
+      default: null
+    },
+    // Integrated loudness of the recording as uploaded (LUFS), before normalization
+    loudness: {
+      type: Number,
+      default: null
+    },
+    // Peak amplitude (0-1) of equal slices of the recording, for drawing its waveform
+    peaks: {
+      type: [Number],
+      default: undefined
+    },
+    // Recordings are normalized and transcoded in a background job
+    processingStatus: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'completed'
+    },
+    // Speech-to-text of the recording, made by the configured transcription engine
+    transcript: {
+      status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', null],
+        default: null
+      },
+      text: {
+        type: String,
+        default: null
+      },
+      // Language code detected (or configured), e.g. 'en'
+      language: {
+        type: String,
+        default: null
+      },
+      // Timed segments (seconds), for following along in a player
+      segments: [{
+        _id: false,
+        start: Number,
+        end: Number,
+        text: String
+      }],
+      engine: {
+        type: String,
+        default: null
+      },
+      transcribedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
   attachedMedia: [{
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Event the job belongs to, for per-event status
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 'dead' jobs exhausted their attempts and wait in the dead-letter list
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run (pushed back between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  // Reported by long-running handlers
+  progress: {
+    completed: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: null
+    }
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ event: 1, createdAt: -1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+// Completed jobs are removed after a week; dead jobs stay until retried
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
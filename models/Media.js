@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 
+// A stored rendition of a photo or video (url, storage key, byte size and dimensions)
+const qualityVariant = {
+  url: String,
+  key: String,
+  size: Number,
+  width: Number,
+  height: Number
+};
+
+// Layout hint sent with srcset: full width on phones, a two or three column grid above
+const DEFAULT_SIZES = '(max-width: 600px) 100vw, (max-width: 1200px) 50vw, 33vw';
+
+// Mime types of the modern formats, in the order browsers should try them
+const RENDITION_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
 const mediaSchema = new mongoose.Schema({
   event: {
     type: mongoose.Schema.Types.ObjectId,
@@ -62,6 +80,11 @@ const mediaSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3'],
+    default: 'cloudinary'
+  },
   dimensions: {
     width: {
       type: Number,
@@ -103,6 +126,17 @@ const mediaSchema = new mongoose.Schema({
         type: Number,
         default: null
       }
+    },
+    // GeoJSON copy of the coordinates for geospatial queries
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
     }
   },
   metadata: {
@@ -135,6 +169,11 @@ const mediaSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Capture time when known, otherwise upload time; used to sort galleries chronologically
+  capturedAt: {
+    type: Date,
+    default: null
+  },
   interactions: {
     likes: [{
       guestName: {
@@ -189,45 +228,234 @@ const mediaSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  processingStatus: {
+  // Shown while the image loads: a blurhash string, a tiny WebP as a data URI and
+  // the dominant colour (#rrggbb). Videos get theirs from the poster frame.
+  placeholder: {
+    blurhash: {
+      type: String,
+      default: null
+    },
+    dataUri: {
+      type: String,
+      default: null
+    },
+    dominantColor: {
+      type: String,
+      default: null
+    }
+  },
+  // Difference hash of a photo, compared to find near-duplicates in the event
+  perceptualHash: {
     type: String,
-    enum: ['uploading', 'processing', 'completed', 'failed'],
-    default: 'completed'
+    default: null
   },
-  quality: {
-    original: {
-      url: String,
-      size: Number
+  // Near-duplicate photos share a group, named after the first photo in it
+  duplicateGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  // Non-destructive edits. Renditions are regenerated from the untouched original
+  // with these applied; crop is in fractions (0-1) of the rotated photo and the
+  // focal point in fractions of the cropped one.
+  edits: {
+    rotation: {
+      type: Number,
+      enum: [0, 90, 180, 270],
+      default: 0
+    },
+    crop: {
+      left: {
+        type: Number,
+        default: null
+      },
+      top: {
+        type: Number,
+        default: null
+      },
+      width: {
+        type: Number,
+        default: null
+      },
+      height: {
+        type: Number,
+        default: null
+      }
+    },
+    focalPoint: {
+      x: {
+        type: Number,
+        default: null
+      },
+      y: {
+        type: Number,
+        default: null
+      }
     },
-    large: {
-      url: String,
-      size: Number
+    // Bumped on every change; part of the rendition names so cached copies aren't reused
+    revision: {
+      type: Number,
+      default: 0
     },
-    medium: {
-      url: String,
-      size: Number
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'applied', 'failed'],
+      default: 'none'
     },
-    small: {
-      url: String,
-      size: Number
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     },
-    thumbnail: {
-      url: String,
-      size: Number
+    editedAt: {
+      type: Date,
+      default: null
     }
-  }
+  },
+  processingStatus: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'failed'],
+    default: 'completed'
+  },
+  processingError: {
+    type: String,
+    default: null
+  },
+  quality: {
+    original: qualityVariant,
+    // Browser-friendly copy of an original that can't be displayed directly
+    // (JPEG for HEIC photos, H.264 MP4 for videos)
+    display: qualityVariant,
+    // Full size video frame the thumbnails are made from
+    poster: qualityVariant,
+    large: qualityVariant,
+    medium: qualityVariant,
+    small: qualityVariant,
+    thumbnail: qualityVariant
+  },
+  // Watermarked copy served to guests by the download endpoint. The signature
+  // identifies the event watermark settings it was made with.
+  watermarked: {
+    ...qualityVariant,
+    signature: String
+  },
+  // AVIF and WebP copies of a photo at several widths, listed in srcset
+  renditions: [{
+    _id: false,
+    format: {
+      type: String,
+      enum: Object.keys(RENDITION_TYPES)
+    },
+    ...qualityVariant
+  }]
 }, {
   timestamps: true
 });
 
 // Indexes for better performance
 mediaSchema.index({ event: 1, createdAt: -1 });
+// Unique so a direct upload can only be finalized once
+mediaSchema.index({ cloudinaryPublicId: 1 }, { unique: true });
+mediaSchema.index({ event: 1, capturedAt: -1 });
 mediaSchema.index({ event: 1, album: 1 });
 mediaSchema.index({ event: 1, fileType: 1 });
 mediaSchema.index({ event: 1, status: 1 });
 mediaSchema.index({ 'uploader.userId': 1 });
 mediaSchema.index({ isFeatured: 1 });
 mediaSchema.index({ tags: 1 });
+mediaSchema.index({ event: 1, 'location.point': '2dsphere' });
+mediaSchema.index({ event: 1, duplicateGroup: 1 });
+
+// Fill in the chronological sort date once processing has read the EXIF capture time
+mediaSchema.pre('save', function(next) {
+  if (!this.capturedAt && this.processingStatus === 'completed') {
+    this.capturedAt = this.metadata.dateTimeTaken || this.createdAt || new Date();
+  }
+
+  // Keep the GeoJSON point in sync with the coordinates
+  const { latitude, longitude } = this.location.coordinates;
+  if (latitude != null && longitude != null) {
+    this.location.point = { type: 'Point', coordinates: [longitude, latitude] };
+  } else if (this.location.point && this.location.point.type) {
+    this.location.point = undefined;
+  }
+
+  next();
+});
+
+// Responsive image descriptor for a <picture> element: one <source> per modern
+// format plus the JPEG renditions as the <img> fallback. Null for videos and audio.
+const buildSrcset = (media) => {
+  if (media.fileType !== 'image' || !media.url) return null;
+
+  const toSrcset = (variants) => variants
+    .filter(variant => variant && variant.url && variant.width)
+    .sort((a, b) => a.width - b.width)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ');
+
+  const renditions = media.renditions || [];
+  const quality = media.quality || {};
+
+  const sources = Object.entries(RENDITION_TYPES)
+    .map(([format, type]) => ({
+      type,
+      srcset: toSrcset(renditions.filter(rendition => rendition.format === format))
+    }))
+    .filter(source => source.srcset);
+
+  return {
+    sizes: DEFAULT_SIZES,
+    sources,
+    src: (quality.large && quality.large.url) || media.url,
+    srcset: toSrcset([quality.small, quality.medium, quality.large]) || null
+  };
+};
+
+// Also callable on plain media objects, as Media.buildSrcset
+mediaSchema.statics.buildSrcset = buildSrcset;
+
+// Strip a photo down to its previews, up to the large size, so the clean file
+// stays behind the watermarked download
+const keepPreviewsOnly = (ret) => {
+  const quality = ret.quality || {};
+  const large = quality.large;
+
+  ret.url = large && large.url ? large.url : undefined;
+  delete ret.fileName;
+  delete ret.cloudinaryPublicId;
+  delete quality.original;
+  delete quality.display;
+  ret.renditions = (ret.renditions || []).filter(rendition => large && rendition.width <= large.width);
+};
+
+// Every media response carries the srcset descriptor. The previewsOnly option
+// leaves out the clean files of a watermarked photo.
+mediaSchema.set('toJSON', {
+  transform: (doc, ret, options) => {
+    // Until processing finishes the stored file may still carry metadata the event scrubs
+    if (ret.processingStatus && ret.processingStatus !== 'completed') {
+      delete ret.url;
+      delete ret.fileName;
+      delete ret.cloudinaryPublicId;
+    }
+
+    if (options.previewsOnly) {
+      keepPreviewsOnly(ret);
+    }
+
+    ret.srcset = buildSrcset(ret);
+    return ret;
+  }
+});
+
+// JSON for guests and the event room: photos the event watermarks come with their
+// previews only
+mediaSchema.methods.toGuestJSON = function(event) {
+  return this.toJSON({
+    previewsOnly: this.fileType === 'image' && event.shouldWatermark(this.uploader.type)
+  });
+};
 
 // Virtual for like count
 mediaSchema.virtual('likeCount').get(function() {
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  uploader: {
+    type: {
+      type: String,
+      enum: ['guest', 'host', 'photographer'],
+      default: 'guest'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    guestName: {
+      type: String,
+      trim: true,
+      default: 'Anonymous Guest'
+    },
+    guestEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null
+    }
+  },
+  // SHA-256 of the random secret in the upload URL
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total size announced by the client (Upload-Length)
+  length: {
+    type: Number,
+    required: true
+  },
+  // Bytes received so far (Upload-Offset)
+  offset: {
+    type: Number,
+    default: 0
+  },
+  fields: {
+    album: {
+      type: String,
+      default: null
+    },
+    caption: {
+      type: String,
+      default: null
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'failed'],
+    default: 'uploading'
+  },
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Set while a PATCH request is writing, so concurrent writes are refused
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+uploadSessionSchema.index({ event: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Virtual for upload progress percentage
+uploadSessionSchema.virtual('progress').get(function() {
+  if (!this.length) return 100;
+  return Math.floor((this.offset / this.length) * 100);
+});
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -63,6 +63,17 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Bytes all events hosted by this user may store; null uses HOST_STORAGE_QUOTA
+  storageQuota: {
+    type: Number,
+    default: null
+  },
+  // Bytes counted against storageQuota, kept up to date with $inc; null until
+  // first counted from the stored media and audio
+  storageUsed: {
+    type: Number,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -0,0 +1,68 @@
+const express = require('express');
+const { query, body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { drivers } = require('../utils/storage');
+const { reconcileStorage, DEFAULT_MIN_AGE } = require('../utils/storageReconciliation');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Options shared by the dry run and the repair
+const getReconcileOptions = (source) => ({
+  provider: source.provider,
+  minAge: source.minAgeHours !== undefined ? parseFloat(source.minAgeHours) * 60 * 60 * 1000 : DEFAULT_MIN_AGE
+});
+
+// List orphaned files and documents with missing files (dry run)
+router.get('/storage/reconcile', [
+  query('provider').optional().isIn(drivers).withMessage('Unknown storage provider'),
+  query('minAgeHours').optional().isFloat({ min: 0 }).withMessage('Minimum age must be a number of hours')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const report = await reconcileStorage(getReconcileOptions(req.query));
+
+  res.json({
+    success: true,
+    data: { report }
+  });
+}));
+
+// Delete orphaned files and documents whose files are missing
+router.post('/storage/reconcile', [
+  body('provider').optional().isIn(drivers).withMessage('Unknown storage provider'),
+  body('minAgeHours').optional().isFloat({ min: 0 }).withMessage('Minimum age must be a number of hours')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const report = await reconcileStorage({
+    ...getReconcileOptions(req.body),
+    repair: true
+  });
+
+  const { recountedEvents, recountedHosts, deletedFiles, removedMedia, updatedGuestbook, removedGuestbook } = report.repaired;
+
+  res.json({
+    success: true,
+    message: `Deleted ${deletedFiles} orphaned files, repaired ${removedMedia + updatedGuestbook + removedGuestbook} documents and recounted ${recountedEvents + recountedHosts} usage counters`,
+    data: { report }
+  });
+}));
+
+module.exports = router;
@@ -13,7 +13,8 @@ const {
   userRateLimit 
 } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { uploadSingleProfile, extractMetadata } = require('../utils/cloudinary');
+const { uploadSingleProfile, extractMetadata, IMAGE_MIME_TYPES } = require('../utils/cloudinary');
+const { getHostQuota, getStorageUsedByEvent } = require('../utils/storageQuota');
 
 const router = express.Router();
 
@@ -202,7 +203,7 @@ router.put('/profile', authenticateToken, updateProfileValidation, asyncHandler(
 }));
 
 // Upload profile photo
-router.post('/profile/photo', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/profile/photo', authenticateToken, asyncHandler(async (req, res, next) => {
   uploadSingleProfile(req, res, async (err) => {
     if (err) {
       return res.status(400).json({
@@ -218,20 +219,26 @@ router.post('/profile/photo', authenticateToken, asyncHandler(async (req, res) =
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { profilePhoto: req.file.path },
-      { new: true }
-    );
-
-    res.json({
-      success: true,
-      message: 'Profile photo updated successfully',
-      data: { 
-        user,
-        photoUrl: req.file.path
-      }
-    });
+    try {
+      const metadata = await extractMetadata(req.file, 'profiles', { allowedTypes: IMAGE_MIME_TYPES });
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { profilePhoto: metadata.url },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: 'Profile photo updated successfully',
+        data: { 
+          user,
+          photoUrl: metadata.url
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   });
 }));
 
@@ -377,8 +384,11 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
 
   const eventIds = events.map(event => event._id);
 
+  // Quotas cover the events the user hosts, not those they photograph
+  const hostedEvents = events.filter(event => event.host.toString() === userId.toString());
+
   // Get statistics
-  const [totalEvents, totalMedia, totalGuestbookEntries] = await Promise.all([
+  const [totalEvents, totalMedia, totalGuestbookEntries, storage, usedByEvent] = await Promise.all([
     Event.countDocuments({ 
       $or: [
         { host: userId },
@@ -386,9 +396,19 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
       ]
     }),
     Media.countDocuments({ event: { $in: eventIds } }),
-    Guestbook.countDocuments({ event: { $in: eventIds } })
+    Guestbook.countDocuments({ event: { $in: eventIds } }),
+    getHostQuota(userId),
+    getStorageUsedByEvent(hostedEvents.map(event => event._id))
   ]);
 
+  storage.events = hostedEvents
+    .map(event => ({
+      event: event._id,
+      title: event.title,
+      used: usedByEvent[event._id.toString()]
+    }))
+    .sort((a, b) => b.used - a.used);
+
   // Get recent activity
   const recentMedia = await Media.find({ event: { $in: eventIds } })
     .sort({ createdAt: -1 })
@@ -409,6 +429,7 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
         totalGuestbookEntries,
         activeEvents: events.filter(e => e.isActive && e.isPublished).length
       },
+      storage,
       recentActivity: {
         media: recentMedia,
         guestbook: recentGuestbook
@@ -5,6 +5,7 @@ const Event = require('../models/Event');
 const Media = require('../models/Media');
 const Guestbook = require('../models/Guestbook');
 const User = require('../models/User');
+const Job = require('../models/Job');
 const { 
   authenticateToken,
   requireEventOwnership,
@@ -13,7 +14,27 @@ const {
   userRateLimit 
 } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { uploadSingleCover, extractMetadata } = require('../utils/cloudinary');
+const {
+  uploadSingleCover,
+  uploadSingleWatermark,
+  extractMetadata,
+  IMAGE_MIME_TYPES,
+  MEDIA_MIME_TYPES,
+  MAX_EVENT_FILE_SIZE
+} = require('../utils/cloudinary');
+const { getEventQuota } = require('../utils/storageQuota');
+const { requestEventDeletion } = require('../utils/eventDeletion');
+const {
+  requestEventExport,
+  hasDownloadableExport,
+  createExportDownloadLink,
+  verifyExportDownloadToken
+} = require('../utils/eventExport');
+const { sanitizeFileName, getAttachmentHeader } = require('../utils/mediaArchive');
+const { getStorage } = require('../utils/storage');
+const { isKeyInFolder } = require('../utils/storage/keys');
+const { queueFileCleanup } = require('../utils/mediaPipeline');
+const { retryJob } = require('../utils/jobQueue');
 
 const router = express.Router();
 
@@ -25,7 +46,8 @@ const createEventValidation = [
   body('eventDate').isISO8601().withMessage('Valid event date is required'),
   body('venue.name').optional().trim(),
   body('venue.address').optional().trim(),
-  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long')
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('settings.maxFileSize').optional().isInt({ min: 1, max: MAX_EVENT_FILE_SIZE }).withMessage(`Max file size must be between 1 and ${MAX_EVENT_FILE_SIZE} bytes`)
 ];
 
 const updateEventValidation = [
@@ -33,9 +55,41 @@ const updateEventValidation = [
   body('coupleNames.partner1').optional().trim().isLength({ min: 1 }).withMessage('Partner 1 name cannot be empty'),
   body('coupleNames.partner2').optional().trim().isLength({ min: 1 }).withMessage('Partner 2 name cannot be empty'),
   body('eventDate').optional().isISO8601().withMessage('Valid event date is required'),
-  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long')
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('settings.maxFileSize').optional().isInt({ min: 1, max: MAX_EVENT_FILE_SIZE }).withMessage(`Max file size must be between 1 and ${MAX_EVENT_FILE_SIZE} bytes`),
+  body('settings.allowedFileTypes').optional().isArray().withMessage('Allowed file types must be a list'),
+  body('settings.allowedFileTypes.*').optional().isIn(MEDIA_MIME_TYPES).withMessage('Unsupported file type'),
+  body('storageQuota').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Storage quota must be a number of bytes')
 ];
 
+const watermarkValidation = [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('type').optional().isIn(['text', 'image']).withMessage('Watermark type must be text or image'),
+  body('text').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Watermark text too long'),
+  body('position').optional().isIn(['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center']).withMessage('Invalid watermark position'),
+  body('opacity').optional().isFloat({ min: 0, max: 1 }).withMessage('Opacity must be between 0 and 1'),
+  body('scale').optional().isFloat({ min: 0.05, max: 1 }).withMessage('Scale must be between 0.05 and 1'),
+  body('applyTo').optional().isArray().withMessage('Apply to must be a list of uploader types'),
+  body('applyTo.*').optional().isIn(['guest', 'host', 'photographer']).withMessage('Invalid uploader type')
+];
+
+// Event fields hosts set through the events API. Everything else (cover photo,
+// watermark, exports, statistics, deletion) belongs to its own endpoints and jobs.
+const EDITABLE_FIELDS = ['title', 'description', 'coupleNames', 'eventDate', 'venue', 'theme', 'privacy', 'settings', 'endDate'];
+
+// Editable fields from the request body. Storage quotas are set by admins, not by
+// the hosts they limit.
+const getEditableFields = (req) => {
+  const fields = req.user.role === 'admin' ? [...EDITABLE_FIELDS, 'storageQuota'] : EDITABLE_FIELDS;
+
+  return fields.reduce((acc, field) => {
+    if (req.body[field] !== undefined) {
+      acc[field] = req.body[field];
+    }
+    return acc;
+  }, {});
+};
+
 // Create new event
 router.post('/', authenticateToken, createEventValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -48,7 +102,7 @@ router.post('/', authenticateToken, createEventValidation, asyncHandler(async (r
   }
 
   const eventData = {
-    ...req.body,
+    ...getEditableFields(req),
     host: req.user._id
   };
 
@@ -75,7 +129,8 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
     $or: [
       { host: userId },
       { photographers: userId }
-    ]
+    ],
+    deletionRequestedAt: null
   };
 
   // Filter by status
@@ -174,7 +229,9 @@ router.get('/public/:eventId', validateEventAccess, asyncHandler(async (req, res
       enableSlideshow: event.settings.enableSlideshow,
       slideshowInterval: event.settings.slideshowInterval,
       enableGuestbook: event.settings.enableGuestbook,
-      enableAudioMessages: event.settings.enableAudioMessages
+      enableAudioMessages: event.settings.enableAudioMessages,
+      maxFileSize: event.settings.maxFileSize,
+      allowedFileTypes: event.settings.allowedFileTypes
     },
     privacy: {
       allowComments: event.privacy.allowComments,
@@ -202,7 +259,7 @@ router.put('/:eventId', authenticateToken, requireEventOwnership, updateEventVal
 
   const event = await Event.findByIdAndUpdate(
     req.params.eventId,
-    req.body,
+    getEditableFields(req),
     { new: true, runValidators: true }
   ).populate('host', 'firstName lastName email')
    .populate('photographers', 'firstName lastName email');
@@ -215,7 +272,7 @@ router.put('/:eventId', authenticateToken, requireEventOwnership, updateEventVal
 }));
 
 // Upload cover photo
-router.post('/:eventId/cover', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+router.post('/:eventId/cover', authenticateToken, requireEventOwnership, asyncHandler(async (req, res, next) => {
   uploadSingleCover(req, res, async (err) => {
     if (err) {
       return res.status(400).json({
@@ -231,20 +288,135 @@ router.post('/:eventId/cover', authenticateToken, requireEventOwnership, asyncHa
       });
     }
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.eventId,
-      { coverPhoto: req.file.path },
-      { new: true }
-    );
-
-    res.json({
-      success: true,
-      message: 'Cover photo updated successfully',
-      data: { 
-        event,
-        coverPhotoUrl: req.file.path
+    try {
+      const metadata = await extractMetadata(req.file, 'covers', { allowedTypes: IMAGE_MIME_TYPES });
+
+      const previous = req.event;
+      const event = await Event.findByIdAndUpdate(
+        req.params.eventId,
+        {
+          coverPhoto: metadata.url,
+          coverPhotoKey: metadata.cloudinaryPublicId,
+          coverPhotoProvider: metadata.storageProvider
+        },
+        { new: true }
+      );
+
+      // Remove the replaced cover from storage
+      if (previous.coverPhotoKey && isKeyInFolder(previous.coverPhotoKey, ['covers'])) {
+        await queueFileCleanup([{
+          key: previous.coverPhotoKey,
+          resourceType: 'image',
+          provider: previous.coverPhotoProvider
+        }], { event: event._id });
       }
+
+      res.json({
+        success: true,
+        message: 'Cover photo updated successfully',
+        data: { 
+          event,
+          coverPhotoUrl: metadata.url
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}));
+
+// Update watermark settings
+router.put('/:eventId/watermark', authenticateToken, requireEventOwnership, watermarkValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
     });
+  }
+
+  const event = await Event.findById(req.params.eventId);
+
+  ['enabled', 'type', 'text', 'position', 'opacity', 'scale', 'applyTo'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      event.watermark[field] = req.body[field];
+    }
+  });
+
+  if (event.watermark.enabled) {
+    if (event.watermark.type === 'text' && !event.watermark.text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Watermark text is required'
+      });
+    }
+
+    if (event.watermark.type === 'image' && !event.watermark.imageKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a watermark image first'
+      });
+    }
+  }
+
+  await event.save();
+
+  res.json({
+    success: true,
+    message: 'Watermark updated successfully',
+    data: { watermark: event.watermark }
+  });
+}));
+
+// Upload watermark image
+router.post('/:eventId/watermark/image', authenticateToken, requireEventOwnership, asyncHandler(async (req, res, next) => {
+  uploadSingleWatermark(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No watermark image uploaded'
+      });
+    }
+
+    try {
+      const metadata = await extractMetadata(req.file, 'watermarks', { allowedTypes: IMAGE_MIME_TYPES });
+
+      const previous = req.event.watermark || {};
+      const event = await Event.findByIdAndUpdate(
+        req.params.eventId,
+        {
+          'watermark.imageUrl': metadata.url,
+          'watermark.imageKey': metadata.cloudinaryPublicId,
+          'watermark.imageProvider': metadata.storageProvider
+        },
+        { new: true }
+      );
+
+      // Remove the replaced image from storage
+      if (previous.imageKey && isKeyInFolder(previous.imageKey, ['watermarks'])) {
+        await queueFileCleanup([{
+          key: previous.imageKey,
+          resourceType: 'image',
+          provider: previous.imageProvider
+        }], { event: event._id });
+      }
+
+      res.json({
+        success: true,
+        message: 'Watermark image updated successfully',
+        data: { watermark: event.watermark }
+      });
+    } catch (error) {
+      next(error);
+    }
   });
 }));
 
@@ -356,7 +528,8 @@ router.get('/:eventId/stats', authenticateToken, requireEventOwnership, asyncHan
     totalGuestbookEntries,
     totalLikes,
     totalComments,
-    recentActivity
+    recentActivity,
+    storage
   ] = await Promise.all([
     Media.countDocuments({ event: eventId, fileType: 'image' }),
     Media.countDocuments({ event: eventId, fileType: 'video' }),
@@ -374,7 +547,8 @@ router.get('/:eventId/stats', authenticateToken, requireEventOwnership, asyncHan
     Media.find({ event: eventId })
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('originalName fileType createdAt uploader')
+      .select('originalName fileType createdAt uploader'),
+    getEventQuota(req.event)
   ]);
 
   // Update event statistics
@@ -397,6 +571,7 @@ router.get('/:eventId/stats', authenticateToken, requireEventOwnership, asyncHan
         totalComments: totalComments[0]?.total || 0,
         totalMedia: totalPhotos + totalVideos
       },
+      storage,
       recentActivity
     }
   });
@@ -419,29 +594,180 @@ router.patch('/:eventId/publish', authenticateToken, requireEventOwnership, asyn
   });
 }));
 
-// Delete event
+// Summary of a 'delete-event' job for the deletion status endpoints
+const formatDeletion = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  lastError: job.lastError,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt
+});
+
+// Delete event (files and documents are removed in the background)
 router.delete('/:eventId', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
-  const eventId = req.params.eventId;
+  const event = req.event;
+  let job = await Job.findOne({ type: 'delete-event', event: event._id }).sort({ createdAt: -1 });
 
-  // Delete all associated media and guestbook entries
-  await Promise.all([
-    Media.deleteMany({ event: eventId }),
-    Guestbook.deleteMany({ event: eventId })
-  ]);
+  if (!job) {
+    job = await requestEventDeletion(event, req.user);
+  } else if (job.status === 'dead') {
+    // Deleting again resumes a deletion that ran out of attempts
+    await retryJob(job);
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Event deletion started',
+    data: { deletion: formatDeletion(job) }
+  });
+}));
+
+// Get the progress of an event deletion
+router.get('/:eventId/deletion', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await Job.findOne({ type: 'delete-event', event: req.params.eventId }).sort({ createdAt: -1 });
 
-  // Remove event from user's events array
-  await User.updateMany(
-    { events: eventId },
-    { $pull: { events: eventId } }
+  // The event may already be gone, so access is checked against the job
+  const userId = req.user._id.toString();
+  const canView = job && (
+    job.payload.host === userId ||
+    job.payload.requestedBy === userId ||
+    req.user.role === 'admin'
   );
 
-  // Delete the event
-  await Event.findByIdAndDelete(eventId);
+  if (!canView) {
+    return res.status(404).json({
+      success: false,
+      message: 'No deletion found for this event'
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Event deleted successfully'
+    data: { deletion: formatDeletion(job) }
+  });
+}));
+
+// Summary of an event's latest 'export-event' job, with a fresh download link
+// while the finished export is kept
+const formatExport = (job, event) => {
+  let archive = null;
+
+  if (hasDownloadableExport(event)) {
+    const { size, createdAt, expiresAt } = event.archiveExport;
+    const link = createExportDownloadLink(event);
+    archive = {
+      size,
+      createdAt,
+      expiresAt,
+      downloadUrl: link.url,
+      downloadUrlExpiresAt: link.expiresAt
+    };
+  }
+
+  return {
+    jobId: job ? job._id : null,
+    status: job ? job.status : null,
+    progress: job ? job.progress : null,
+    lastError: job ? job.lastError : null,
+    requestedAt: job ? job.createdAt : null,
+    completedAt: job ? job.completedAt : null,
+    archive
+  };
+};
+
+// Start an archival export of the event (built in the background)
+router.post('/:eventId/export', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  const event = req.event;
+  let job = await Job.findOne({ type: 'export-event', event: event._id }).sort({ createdAt: -1 });
+
+  // One export at a time; asking again while it runs returns the same one
+  if (!job || !['queued', 'running'].includes(job.status)) {
+    job = await requestEventExport(event, req.user);
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Event export started',
+    data: { export: formatExport(job, event) }
+  });
+}));
+
+// Get the progress of the latest export, and a download link once it's ready
+router.get('/:eventId/export', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  const event = req.event;
+  const job = await Job.findOne({ type: 'export-event', event: event._id }).sort({ createdAt: -1 });
+
+  if (!job && !hasDownloadableExport(event)) {
+    return res.status(404).json({
+      success: false,
+      message: 'No export found for this event'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { export: formatExport(job, event) }
+  });
+}));
+
+// Download an event export. Authorized by the signed link from the export status
+// endpoint rather than a header, so it works as a plain browser download.
+router.get('/:eventId/export/download', [
+  query('token').notEmpty().withMessage('Download token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyExportDownloadToken(req.query.token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Download link expired' : 'Invalid download link'
+    });
+  }
+
+  if (payload.eventId !== req.params.eventId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid download link'
+    });
+  }
+
+  const event = await Event.findById(req.params.eventId);
+
+  // Replaced by a newer export, or past its retention
+  if (!event || event.archiveExport.key !== payload.key || !hasDownloadableExport(event)) {
+    return res.status(410).json({
+      success: false,
+      message: 'This export is no longer available'
+    });
+  }
+
+  const { key, provider, size, createdAt } = event.archiveExport;
+  const stream = await getStorage(provider).getStream(key, { resourceType: 'raw' });
+  const fileName = `${sanitizeFileName(event.title, 'wedding-memories')} - export ${createdAt.toISOString().slice(0, 10)}.zip`;
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': getAttachmentHeader(fileName),
+    ...(size ? { 'Content-Length': size } : {})
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming event export:', error);
+    res.destroy(error);
   });
+  stream.pipe(res);
 }));
 
 // Add photographer to event
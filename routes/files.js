@@ -0,0 +1,116 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const localStorage = require('../utils/storage/local');
+const { getStorage } = require('../utils/storage');
+const { PUBLIC_FOLDERS, isKeyInFolder } = require('../utils/storage/keys');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Missing files and files outside the public folders look the same
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'File not found'
+});
+
+// Redirect to a short-lived presigned URL for objects in a private S3 bucket
+router.get('/s3/*', asyncHandler(async (req, res) => {
+  if (!isKeyInFolder(req.params[0], PUBLIC_FOLDERS)) {
+    return notFound(res);
+  }
+
+  const signedUrl = await getStorage('s3').getSignedUrl(req.params[0]);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, signedUrl);
+}));
+
+// Receive a direct upload for the local storage driver
+router.put('/direct/:token', asyncHandler(async (req, res) => {
+  let upload;
+  try {
+    upload = localStorage.verifyDirectUpload(req.params.token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired upload token'
+    });
+  }
+
+  const contentLength = parseInt(req.headers['content-length']);
+  if (upload.maxBytes && contentLength > upload.maxBytes) {
+    return res.status(413).json({
+      success: false,
+      message: 'File too large'
+    });
+  }
+
+  const filePath = localStorage.resolvePath(upload.key);
+  const tempPath = `${filePath}.part`;
+
+  // Tokens are single use: never overwrite a file that already arrived
+  if (fs.existsSync(filePath)) {
+    return res.status(409).json({
+      success: false,
+      message: 'File already uploaded'
+    });
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Count bytes as they stream in, since Content-Length can't be trusted
+  let received = 0;
+  req.on('data', (chunk) => {
+    received += chunk.length;
+    if (upload.maxBytes && received > upload.maxBytes) {
+      req.destroy(new Error('File too large'));
+    }
+  });
+
+  try {
+    await pipeline(req, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    if (res.headersSent) return;
+    return res.status(received > upload.maxBytes ? 413 : 400).json({
+      success: false,
+      message: received > upload.maxBytes ? 'File too large' : 'Upload failed'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { key: upload.key, size: received }
+  });
+}));
+
+// Serve files written by the local storage driver
+router.get('/*', (req, res, next) => {
+  if (!isKeyInFolder(req.params[0], PUBLIC_FOLDERS)) {
+    return notFound(res);
+  }
+
+  let filePath;
+  try {
+    filePath = localStorage.resolvePath(req.params[0]);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid file path'
+    });
+  }
+
+  res.sendFile(filePath, { dotfiles: 'deny', maxAge: '30d', immutable: true }, (err) => {
+    if (!err || res.headersSent) return;
+
+    if (err.code === 'ENOENT' || err.status === 404) {
+      return notFound(res);
+    }
+
+    next(err);
+  });
+});
+
+module.exports = router;
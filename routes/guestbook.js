@@ -10,7 +10,10 @@ const {
   userRateLimit 
 } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { uploadSingleAudio, extractMetadata, deleteFile } = require('../utils/cloudinary');
+const { uploadSingleAudio, extractMetadata, deleteFile, AUDIO_MIME_TYPES } = require('../utils/cloudinary');
+const { reserveStorage, recordStorageUsage } = require('../utils/storageQuota');
+const { queueAudioProcessing, queueTranscription } = require('../utils/mediaPipeline');
+const { getEngineName } = require('../utils/transcription');
 
 const router = express.Router();
 
@@ -87,7 +90,7 @@ router.post('/:eventId', validateEventAccess, userRateLimit(10, 60 * 60 * 1000),
 }));
 
 // Create audio guestbook entry
-router.post('/:eventId/audio', validateEventAccess, userRateLimit(5, 60 * 60 * 1000), asyncHandler(async (req, res) => {
+router.post('/:eventId/audio', validateEventAccess, userRateLimit(5, 60 * 60 * 1000), asyncHandler(async (req, res, next) => {
   const event = req.event;
 
   if (!event.settings.enableGuestbook || !event.settings.enableAudioMessages) {
@@ -121,7 +124,19 @@ router.post('/:eventId/audio', validateEventAccess, userRateLimit(5, 60 * 60 * 1
       });
     }
 
-    const metadata = extractMetadata(req.file);
+    let metadata;
+    try {
+      await reserveStorage(event, req.file.size);
+    } catch (error) {
+      return next(error);
+    }
+
+    try {
+      metadata = await extractMetadata(req.file, 'audio', { allowedTypes: AUDIO_MIME_TYPES });
+    } catch (error) {
+      await recordStorageUsage(event, -req.file.size).catch(() => {});
+      return next(error);
+    }
 
     const guestbookEntry = new Guestbook({
       event: event._id,
@@ -130,9 +145,13 @@ router.post('/:eventId/audio', validateEventAccess, userRateLimit(5, 60 * 60 * 1
       messageType: textMessage?.trim() ? 'mixed' : 'audio',
       textMessage: textMessage?.trim() || null,
       audioMessage: {
-        url: req.file.path,
+        url: metadata.url,
         duration: metadata.duration,
-        cloudinaryPublicId: metadata.cloudinaryPublicId
+        fileSize: metadata.fileSize,
+        cloudinaryPublicId: metadata.cloudinaryPublicId,
+        storageProvider: metadata.storageProvider,
+        mimeType: metadata.mimeType,
+        processingStatus: 'processing'
       },
       status: event.privacy.moderateUploads ? 'pending' : 'approved',
       metadata: {
@@ -142,7 +161,23 @@ router.post('/:eventId/audio', validateEventAccess, userRateLimit(5, 60 * 60 * 1
       }
     });
 
-    await guestbookEntry.save();
+    try {
+      await guestbookEntry.save();
+
+      // Normalized, with its duration and waveform, in the background
+      await queueAudioProcessing(guestbookEntry);
+    } catch (error) {
+      // Without its processing job the entry would stay 'processing' for good, so
+      // it goes, and the recording with it once nothing refers to it
+      const removed = guestbookEntry.isNew ||
+        await Guestbook.deleteOne({ _id: guestbookEntry._id }).then(() => true, () => false);
+
+      if (removed) {
+        await deleteFile(metadata.cloudinaryPublicId, 'raw', metadata.storageProvider).catch(() => {});
+        await recordStorageUsage(event, -req.file.size).catch(() => {});
+      }
+      return next(error);
+    }
 
     // Update event statistics
     if (guestbookEntry.status === 'approved') {
@@ -247,6 +282,7 @@ router.get('/manage/:eventId', authenticateToken, requireEventOwnership, asyncHa
     query.$or = [
       { guestName: { $regex: search, $options: 'i' } },
       { textMessage: { $regex: search, $options: 'i' } },
+      { 'audioMessage.transcript.text': { $regex: search, $options: 'i' } },
       { guestEmail: { $regex: search, $options: 'i' } }
     ];
   }
@@ -270,7 +306,7 @@ router.get('/manage/:eventId', authenticateToken, requireEventOwnership, asyncHa
 
   // Get status counts
   const statusCounts = await Guestbook.aggregate([
-    { $match: { event: mongoose.Types.ObjectId(req.params.eventId) } },
+    { $match: { event: new mongoose.Types.ObjectId(req.params.eventId) } },
     { $group: { _id: '$status', count: { $sum: 1 } } }
   ]);
 
@@ -363,6 +399,60 @@ router.put('/entry/:entryId', authenticateToken, asyncHandler(async (req, res) =
   });
 }));
 
+// Transcribe (or re-transcribe) an audio message
+router.post('/entry/:entryId/transcribe', authenticateToken, asyncHandler(async (req, res) => {
+  const entry = await Guestbook.findById(req.params.entryId).populate('event');
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Guestbook entry not found'
+    });
+  }
+
+  // Check permissions
+  const event = entry.event;
+  const isOwner = event.host.toString() === req.user._id.toString() ||
+                  event.photographers.includes(req.user._id);
+
+  if (!isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied'
+    });
+  }
+
+  if (!entry.audioMessage.cloudinaryPublicId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Entry has no audio message'
+    });
+  }
+
+  if (!getEngineName()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Transcription is not configured'
+    });
+  }
+
+  // Transcribed automatically once processing finishes
+  if (entry.audioMessage.processingStatus === 'processing') {
+    return res.status(409).json({
+      success: false,
+      message: 'Audio message is still being processed'
+    });
+  }
+
+  const job = await queueTranscription(entry);
+
+  res.status(202).json({
+    success: true,
+    message: 'Audio message is being transcribed',
+    data: { jobId: job._id }
+  });
+}));
+
 // Delete guestbook entry
 router.delete('/entry/:entryId', authenticateToken, asyncHandler(async (req, res) => {
   const entry = await Guestbook.findById(req.params.entryId).populate('event');
@@ -386,16 +476,17 @@ router.delete('/entry/:entryId', authenticateToken, asyncHandler(async (req, res
     });
   }
 
-  // Delete audio file from Cloudinary if exists
+  // Delete audio file from storage if exists
   if (entry.audioMessage.cloudinaryPublicId) {
     try {
-      await deleteFile(entry.audioMessage.cloudinaryPublicId, 'raw');
+      await deleteFile(entry.audioMessage.cloudinaryPublicId, 'raw', entry.audioMessage.storageProvider);
     } catch (error) {
-      console.error('Error deleting audio from Cloudinary:', error);
+      console.error('Error deleting audio from storage:', error);
     }
   }
 
   await Guestbook.findByIdAndDelete(req.params.entryId);
+  await recordStorageUsage(event, -(entry.audioMessage.fileSize || 0));
 
   // Update event statistics
   await Event.findByIdAndUpdate(event._id, {
@@ -567,19 +658,19 @@ router.patch('/bulk-action/:eventId', authenticateToken, requireEventOwnership,
   if (action === 'unpin') updateData.isPinned = false;
 
   if (action === 'delete') {
-    // Get entries to delete audio files from Cloudinary
+    // Get entries to delete audio files from storage
     const entriesToDelete = await Guestbook.find({
       _id: { $in: entryIds },
       event: req.params.eventId
     });
 
-    // Delete audio files from Cloudinary
+    // Delete audio files from storage
     for (const entry of entriesToDelete) {
       if (entry.audioMessage.cloudinaryPublicId) {
         try {
-          await deleteFile(entry.audioMessage.cloudinaryPublicId, 'raw');
+          await deleteFile(entry.audioMessage.cloudinaryPublicId, 'raw', entry.audioMessage.storageProvider);
         } catch (error) {
-          console.error('Error deleting audio from Cloudinary:', error);
+          console.error('Error deleting audio from storage:', error);
         }
       }
     }
@@ -589,6 +680,10 @@ router.patch('/bulk-action/:eventId', authenticateToken, requireEventOwnership,
       _id: { $in: entryIds },
       event: req.params.eventId
     });
+    await recordStorageUsage(
+      req.params.eventId,
+      -entriesToDelete.reduce((sum, entry) => sum + (entry.audioMessage.fileSize || 0), 0)
+    );
 
     // Update event statistics
     await Event.findByIdAndUpdate(req.params.eventId, {
@@ -1,8 +1,10 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { body, validationResult, query } = require('express-validator');
+const jwt = require('jsonwebtoken');
+const { body, param, validationResult, query } = require('express-validator');
 const Media = require('../models/Media');
 const Event = require('../models/Event');
+const Job = require('../models/Job');
 const { 
   authenticateToken,
   requireEventOwnership,
@@ -14,24 +16,79 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const { 
   uploadMultipleMedia,
   uploadSingleMedia,
-  extractMetadata,
-  generateImageVariants,
-  deleteFile 
+  deleteFile,
+  getFileInfo,
+  downloadFileHeader,
+  generateSignedUpload,
+  validateFile,
+  MEDIA_MIME_TYPES
 } = require('../utils/cloudinary');
+const { getResourceType } = require('../utils/storage');
+const { INCOMING_FOLDER } = require('../utils/storage/keys');
+const { createMediaFromFile, queueMediaCleanup, queueMediaEdits } = require('../utils/mediaPipeline');
+const { retryJob } = require('../utils/jobQueue');
+const { verifyFileType } = require('../utils/fileType');
+const { checkStorageQuota } = require('../utils/storageQuota');
+const { getWatermarkedRendition, getWatermarkedFileName } = require('../utils/watermark');
+const { sanitizeFileName, streamMediaArchive, getAttachmentHeader } = require('../utils/mediaArchive');
 
 const router = express.Router();
 
+// Limits for uploads that go straight to storage
+const MAX_DIRECT_UPLOAD_SIZE = parseInt(process.env.MAX_DIRECT_UPLOAD_SIZE) || 500 * 1024 * 1024; // 500MB default
+const DIRECT_UPLOAD_EXPIRES = 60 * 60; // 1 hour
+
+// Direct upload tokens are signed for their own audience, so they never pass as a login
+const DIRECT_UPLOAD_AUDIENCE = 'direct-upload';
+
+// Uploader details for hosts and photographers
+const getHostUploader = (user) => ({
+  type: user.role === 'photographer' ? 'photographer' : 'host',
+  userId: user._id
+});
+
+// Uploader details for guests
+const getGuestUploader = (guestName, guestEmail) => ({
+  type: 'guest',
+  guestName: guestName.trim(),
+  guestEmail: guestEmail?.trim() || null
+});
+
+// Parse comma separated tags
+const parseTags = (tags) => {
+  if (!tags) return [];
+  return Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim());
+};
+
+// Per-file rejection reported back in upload responses
+const getRejection = (file, error) => ({
+  fileName: file.originalname,
+  code: error.isOperational && typeof error.code === 'string' ? error.code : 'UPLOAD_FAILED',
+  message: error.isOperational ? error.message : 'File could not be processed'
+});
+
+// Files over the event's own limit are rejected one by one; multer only aborts
+// the request for files above any event's limit
+const getMulterErrorStatus = (err) => err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+
+// Summary message for a multi-file upload
+const getUploadMessage = (uploaded, rejected) => {
+  return `${uploaded} file(s) uploaded successfully${rejected > 0 ? `, ${rejected} rejected` : ''}`;
+};
+
 // Upload media files (for authenticated users - hosts/photographers)
 router.post('/upload/:eventId', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
   uploadMultipleMedia(req, res, async (err) => {
     if (err) {
-      return res.status(400).json({
+      return res.status(getMulterErrorStatus(err)).json({
         success: false,
         message: err.message
       });
     }
 
-    if (!req.files || req.files.length === 0) {
+    const rejectedFiles = req.rejectedFiles || [];
+
+    if ((!req.files || req.files.length === 0) && rejectedFiles.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No files uploaded'
@@ -44,58 +101,37 @@ router.post('/upload/:eventId', authenticateToken, requireEventOwnership, asyncH
     // Process each uploaded file
     for (const file of req.files) {
       try {
-        const metadata = extractMetadata(file);
-        
-        // Generate image variants for images
-        let quality = {};
-        if (metadata.fileType === 'image') {
-          quality = await generateImageVariants(metadata.cloudinaryPublicId);
-        }
-
-        const media = new Media({
-          event: event._id,
-          uploader: {
-            type: req.user.role === 'photographer' ? 'photographer' : 'host',
-            userId: req.user._id
-          },
-          ...metadata,
-          quality,
-          album: req.body.album || 'All Photos',
-          caption: req.body.caption || '',
-          tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : []
+        // Event limits apply to the detected type, not the claimed one
+        const verifiedFile = await verifyFileType(file, MEDIA_MIME_TYPES);
+        validateFile(verifiedFile, event.settings);
+
+        const media = await createMediaFromFile(verifiedFile, {
+          event,
+          uploader: getHostUploader(req.user),
+          album: req.body.album,
+          caption: req.body.caption,
+          tags: parseTags(req.body.tags)
         });
-
-        await media.save();
         uploadedMedia.push(media);
-
-        // Emit real-time update
-        const io = req.app.get('io');
-        io.to(event._id.toString()).emit('new-media', {
-          media: media,
-          eventId: event._id
-        });
-
       } catch (error) {
         console.error('Error processing file:', error);
-        // Delete failed upload from Cloudinary
-        if (file.filename) {
-          await deleteFile(file.filename);
-        }
+        rejectedFiles.push(getRejection(file, error));
       }
     }
 
-    // Update event statistics
-    await Event.findByIdAndUpdate(event._id, {
-      $inc: {
-        'statistics.totalPhotos': uploadedMedia.filter(m => m.fileType === 'image').length,
-        'statistics.totalVideos': uploadedMedia.filter(m => m.fileType === 'video').length
-      }
-    });
+    if (uploadedMedia.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files were uploaded',
+        data: { media: [], rejected: rejectedFiles }
+      });
+    }
 
+    // Processing jobs announce each item once its renditions are ready
     res.status(201).json({
       success: true,
-      message: `${uploadedMedia.length} file(s) uploaded successfully`,
-      data: { media: uploadedMedia }
+      message: getUploadMessage(uploadedMedia.length, rejectedFiles.length),
+      data: { media: uploadedMedia, rejected: rejectedFiles }
     });
   });
 }));
@@ -104,13 +140,15 @@ router.post('/upload/:eventId', authenticateToken, requireEventOwnership, asyncH
 router.post('/guest-upload/:eventId', validateEventAccess, userRateLimit(20, 60 * 60 * 1000), asyncHandler(async (req, res) => {
   uploadMultipleMedia(req, res, async (err) => {
     if (err) {
-      return res.status(400).json({
+      return res.status(getMulterErrorStatus(err)).json({
         success: false,
         message: err.message
       });
     }
 
-    if (!req.files || req.files.length === 0) {
+    const rejectedFiles = req.rejectedFiles || [];
+
+    if ((!req.files || req.files.length === 0) && rejectedFiles.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No files uploaded'
@@ -127,73 +165,264 @@ router.post('/guest-upload/:eventId', validateEventAccess, userRateLimit(20, 60
       });
     }
 
-    const uploadedMedia = [];
+    const savedMedia = [];
 
     // Process each uploaded file
     for (const file of req.files) {
       try {
-        const metadata = extractMetadata(file);
-        
-        // Generate image variants for images
-        let quality = {};
-        if (metadata.fileType === 'image') {
-          quality = await generateImageVariants(metadata.cloudinaryPublicId);
-        }
-
-        const media = new Media({
-          event: event._id,
-          uploader: {
-            type: 'guest',
-            guestName: guestName.trim(),
-            guestEmail: guestEmail?.trim() || null
-          },
-          ...metadata,
-          quality,
-          album: req.body.album || 'All Photos',
-          caption: req.body.caption || '',
-          status: event.privacy.moderateUploads ? 'pending' : 'approved'
+        // Event limits apply to the detected type, not the claimed one
+        const verifiedFile = await verifyFileType(file, MEDIA_MIME_TYPES);
+        validateFile(verifiedFile, event.settings);
+
+        const media = await createMediaFromFile(verifiedFile, {
+          event,
+          uploader: getGuestUploader(guestName, guestEmail),
+          album: req.body.album,
+          caption: req.body.caption
         });
-
-        await media.save();
-        
-        if (media.status === 'approved') {
-          uploadedMedia.push(media);
-
-          // Emit real-time update only for approved media
-          const io = req.app.get('io');
-          io.to(event._id.toString()).emit('new-media', {
-            media: media,
-            eventId: event._id
-          });
-        }
-
+        savedMedia.push(media);
       } catch (error) {
         console.error('Error processing file:', error);
-        // Delete failed upload from Cloudinary
-        if (file.filename) {
-          await deleteFile(file.filename);
-        }
+        rejectedFiles.push(getRejection(file, error));
       }
     }
 
-    // Update event statistics for approved media
-    if (uploadedMedia.length > 0) {
-      await Event.findByIdAndUpdate(event._id, {
-        $inc: {
-          'statistics.totalPhotos': uploadedMedia.filter(m => m.fileType === 'image').length,
-          'statistics.totalVideos': uploadedMedia.filter(m => m.fileType === 'video').length
-        }
+    if (savedMedia.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files were uploaded',
+        data: { media: [], rejected: rejectedFiles }
       });
     }
 
+    // Processing jobs announce each item once its renditions are ready;
+    // guests only get back what doesn't need approval
+    const uploadedMedia = savedMedia.filter(media => media.status === 'approved');
+
     res.status(201).json({
       success: true,
-      message: `${uploadedMedia.length} file(s) uploaded successfully${event.privacy.moderateUploads ? ' and pending approval' : ''}`,
-      data: { media: uploadedMedia }
+      message: `${getUploadMessage(savedMedia.length, rejectedFiles.length)}${event.privacy.moderateUploads ? ' and pending approval' : ''}`,
+      data: { media: uploadedMedia, rejected: rejectedFiles }
+    });
+  });
+}));
+
+// Request a signed upload so the client can send a file straight to storage
+const createSignatureHandler = asyncHandler(async (req, res) => {
+  const { fileName, mimeType, fileSize } = req.body;
+
+  if (!fileName || !mimeType) {
+    return res.status(400).json({
+      success: false,
+      message: 'File name and mime type are required'
+    });
+  }
+
+  if (!MEDIA_MIME_TYPES.includes(mimeType)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only image and video files are allowed'
+    });
+  }
+
+  if (fileSize && parseInt(fileSize) > MAX_DIRECT_UPLOAD_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: 'File too large'
+    });
+  }
+
+  // Event limits are checked again on finalize against the stored file
+  validateFile({ size: parseInt(fileSize) || 0, mimetype: mimeType }, req.event.settings);
+  await checkStorageQuota(req.event, parseInt(fileSize) || 0);
+
+  const maxFileSize = Math.min(MAX_DIRECT_UPLOAD_SIZE, req.event.settings.maxFileSize || MAX_DIRECT_UPLOAD_SIZE);
+
+  // Files that will be scrubbed wait in a private folder until they are processed
+  const uploaderType = req.user ? getHostUploader(req.user).type : 'guest';
+  const folder = req.event.shouldScrubMetadata(uploaderType) ? INCOMING_FOLDER : 'media';
+
+  const upload = await generateSignedUpload(folder, {
+    fileName,
+    mimeType,
+    maxBytes: maxFileSize,
+    expiresIn: DIRECT_UPLOAD_EXPIRES
+  });
+
+  // The token binds the storage key to this event and kind of uploader so it can't
+  // be finalized elsewhere
+  const uploadToken = jwt.sign(
+    {
+      type: 'direct-upload',
+      eventId: req.event._id.toString(),
+      key: upload.key,
+      provider: upload.provider,
+      fileName,
+      mimeType,
+      uploader: req.user ? 'user' : 'guest'
+    },
+    process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+    { expiresIn: DIRECT_UPLOAD_EXPIRES, audience: DIRECT_UPLOAD_AUDIENCE }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      uploadToken,
+      upload: {
+        method: upload.method,
+        url: upload.url,
+        fields: upload.fields,
+        headers: upload.headers
+      },
+      maxFileSize,
+      expiresIn: DIRECT_UPLOAD_EXPIRES
+    }
+  });
+});
+
+// Verify a directly uploaded file and create its Media document
+const finalizeDirectUpload = async (req, res, uploader) => {
+  const event = req.event;
+  let token;
+
+  try {
+    token = jwt.verify(req.body.uploadToken, process.env.JWT_SECRET || 'your-super-secret-jwt-key', {
+      audience: DIRECT_UPLOAD_AUDIENCE
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired upload token'
+    });
+  }
+
+  if (token.type !== 'direct-upload' || token.eventId !== event._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload token does not belong to this event'
+    });
+  }
+
+  if (token.uploader !== (req.user ? 'user' : 'guest')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Upload token does not belong to this uploader'
+    });
+  }
+
+  const alreadyFinalized = () => res.status(409).json({
+    success: false,
+    message: 'Upload already finalized'
+  });
+
+  if (await Media.exists({ cloudinaryPublicId: token.key })) {
+    return alreadyFinalized();
+  }
+
+  const resourceType = getResourceType(token.mimeType);
+
+  // Make sure the file actually arrived in storage
+  let info;
+  try {
+    info = await getFileInfo(token.key, resourceType, token.provider);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Uploaded file not found in storage'
+    });
+  }
+
+  if (info.bytes > MAX_DIRECT_UPLOAD_SIZE) {
+    await deleteFile(token.key, resourceType, token.provider).catch(() => {});
+    return res.status(400).json({
+      success: false,
+      message: 'File too large'
+    });
+  }
+
+  let file = {
+    originalname: token.fileName,
+    mimetype: token.mimeType,
+    size: info.bytes
+  };
+
+  // The first bytes are enough to check the file type
+  file.header = await downloadFileHeader(token.key, resourceType, token.provider);
+
+  try {
+    file = await verifyFileType(file, MEDIA_MIME_TYPES);
+    validateFile(file, event.settings);
+  } catch (error) {
+    await deleteFile(token.key, resourceType, token.provider).catch(() => {});
+    throw error;
+  }
+
+  let media;
+  try {
+    media = await createMediaFromFile(file, {
+      event,
+      uploader,
+      album: req.body.album,
+      caption: req.body.caption,
+      tags: parseTags(req.body.tags),
+      stored: { ...info, provider: token.provider }
     });
+  } catch (error) {
+    // A concurrent finalize of the same token created it first
+    if (error.code === 11000) {
+      return alreadyFinalized();
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: media.status === 'approved' ? 'File uploaded successfully' : 'File uploaded and pending approval',
+    data: { media }
   });
+};
+
+// Direct uploads (for authenticated users - hosts/photographers)
+router.post('/upload/:eventId/signature', authenticateToken, requireEventOwnership, createSignatureHandler);
+
+router.post('/upload/:eventId/finalize', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  await finalizeDirectUpload(req, res, getHostUploader(req.user));
+}));
+
+// Direct uploads (for guests)
+router.post('/guest-upload/:eventId/signature', validateEventAccess, userRateLimit(20, 60 * 60 * 1000), createSignatureHandler);
+
+router.post('/guest-upload/:eventId/finalize', validateEventAccess, userRateLimit(20, 60 * 60 * 1000), asyncHandler(async (req, res) => {
+  const { guestName = 'Anonymous Guest', guestEmail } = req.body;
+
+  if (!guestName.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Guest name is required'
+    });
+  }
+
+  await finalizeDirectUpload(req, res, getGuestUploader(guestName, guestEmail));
 }));
 
+// One page of media in the order it was taken. Media without a capture time (no
+// EXIF, or uploaded before it was read) is placed by when it was uploaded.
+const findByCaptureTime = async (query, sortOrder, skip, limit) => {
+  const page = await Media.aggregate([
+    { $match: Media.find(query).cast() },
+    { $addFields: { takenAt: { $ifNull: ['$capturedAt', '$createdAt'] } } },
+    { $sort: { takenAt: sortOrder, _id: sortOrder } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+
+  const ids = page.map(item => item._id.toString());
+  const media = await Media.find({ _id: { $in: ids } }).select('-cloudinaryPublicId -processingStatus');
+  return media.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+};
+
 // Get media for an event (public access)
 router.get('/event/:eventId', validateEventAccess, asyncHandler(async (req, res) => {
   const { 
@@ -209,6 +438,7 @@ router.get('/event/:eventId', validateEventAccess, asyncHandler(async (req, res)
   const query = {
     event: req.params.eventId,
     status: 'approved',
+    processingStatus: 'completed',
     isHidden: false
   };
 
@@ -228,21 +458,26 @@ router.get('/event/:eventId', validateEventAccess, asyncHandler(async (req, res)
   }
 
   const sortOrder = order === 'desc' ? -1 : 1;
-  const sortOptions = {};
-  sortOptions[sort] = sortOrder;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  let media;
 
-  const media = await Media.find(query)
-    .sort(sortOptions)
-    .limit(parseInt(limit))
-    .skip((parseInt(page) - 1) * parseInt(limit))
-    .select('-cloudinaryPublicId -processingStatus');
+  // "taken" orders by when the photo was taken rather than uploaded
+  if (sort === 'taken') {
+    media = await findByCaptureTime(query, sortOrder, skip, parseInt(limit));
+  } else {
+    media = await Media.find(query)
+      .sort({ [sort]: sortOrder, _id: sortOrder })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .select('-cloudinaryPublicId -processingStatus');
+  }
 
   const total = await Media.countDocuments(query);
 
   res.json({
     success: true,
     data: {
-      media,
+      media: media.map(item => item.toGuestJSON(req.event)),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -254,6 +489,85 @@ router.get('/event/:eventId', validateEventAccess, asyncHandler(async (req, res)
   });
 }));
 
+// Stream a ZIP of an event's media: all of it, one album (album) or a selection
+// (mediaIds in the body, or ids as a comma-separated query parameter). Guests get
+// approved media only, watermarked where the event asks for it.
+const sendMediaArchive = ({ guest }) => asyncHandler(async (req, res) => {
+  const event = req.event;
+  const album = req.body.album || req.query.album;
+  const ids = req.body.mediaIds || (req.query.ids ? req.query.ids.split(',') : null);
+
+  if (guest && !event.privacy.allowDownloads) {
+    return res.status(403).json({
+      success: false,
+      message: 'Downloads are not allowed for this event'
+    });
+  }
+
+  const query = {
+    event: event._id,
+    processingStatus: 'completed'
+  };
+
+  if (guest) {
+    query.status = 'approved';
+    query.isHidden = false;
+  } else {
+    query.status = { $ne: 'rejected' };
+  }
+
+  if (album && album !== 'All Photos') {
+    query.album = album;
+  }
+
+  if (ids) {
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid media selection'
+      });
+    }
+    query._id = { $in: ids };
+  }
+
+  if (await Media.countDocuments(query) === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'No media to download'
+    });
+  }
+
+  const archiveName = [event.title, album && album !== 'All Photos' ? album : null]
+    .filter(Boolean)
+    .join(' - ');
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': getAttachmentHeader(`${sanitizeFileName(archiveName, 'wedding-memories')}.zip`)
+  });
+
+  const cursor = Media.find(query).sort({ album: 1, capturedAt: 1, _id: 1 }).cursor();
+
+  try {
+    const included = await streamMediaArchive(res, cursor, { event, watermark: guest });
+
+    await Media.updateMany(
+      { _id: { $in: included } },
+      { $inc: { 'interactions.downloads': 1 } }
+    );
+  } catch (error) {
+    // Too late for an error response; cut the download short so it isn't mistaken for a complete archive
+    console.error('Error streaming media archive:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
+
+// Download an event, album or selection as a ZIP (guests)
+router.get('/event/:eventId/archive', validateEventAccess, userRateLimit(10, 60 * 60 * 1000), sendMediaArchive({ guest: true }));
+router.post('/event/:eventId/archive', validateEventAccess, userRateLimit(10, 60 * 60 * 1000), sendMediaArchive({ guest: true }));
+
 // Get media for management (authenticated users)
 router.get('/manage/:eventId', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
   const { 
@@ -330,6 +644,308 @@ router.get('/manage/:eventId', authenticateToken, requireEventOwnership, asyncHa
   });
 }));
 
+// Get clustered locations of approved photos for the venue map (authenticated users)
+router.get('/manage/:eventId/map', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  // Photos within roughly `radius` meters of each other share a cluster
+  const radius = Math.min(Math.max(parseFloat(req.query.radius) || 25, 1), 5000);
+  const cellSize = radius / 111320; // meters per degree of latitude
+
+  const clusters = await Media.aggregate([
+    {
+      $match: {
+        event: new mongoose.Types.ObjectId(req.params.eventId),
+        status: 'approved',
+        'location.point.coordinates': { $exists: true }
+      }
+    },
+    {
+      $project: {
+        longitude: { $arrayElemAt: ['$location.point.coordinates', 0] },
+        latitude: { $arrayElemAt: ['$location.point.coordinates', 1] },
+        thumbnailUrl: { $ifNull: ['$quality.thumbnail.url', '$url'] },
+        capturedAt: 1
+      }
+    },
+    { $sort: { capturedAt: 1 } },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$longitude', cellSize] } },
+          y: { $floor: { $divide: ['$latitude', cellSize] } }
+        },
+        latitude: { $avg: '$latitude' },
+        longitude: { $avg: '$longitude' },
+        count: { $sum: 1 },
+        mediaIds: { $push: '$_id' },
+        thumbnailUrl: { $first: '$thumbnailUrl' },
+        firstTakenAt: { $first: '$capturedAt' },
+        lastTakenAt: { $last: '$capturedAt' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        latitude: 1,
+        longitude: 1,
+        count: 1,
+        mediaIds: { $slice: ['$mediaIds', 20] },
+        thumbnailUrl: 1,
+        firstTakenAt: 1,
+        lastTakenAt: 1
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const bounds = clusters.length > 0 ? {
+    north: Math.max(...clusters.map(c => c.latitude)),
+    south: Math.min(...clusters.map(c => c.latitude)),
+    east: Math.max(...clusters.map(c => c.longitude)),
+    west: Math.min(...clusters.map(c => c.longitude))
+  } : null;
+
+  res.json({
+    success: true,
+    data: {
+      clusters,
+      bounds,
+      radius,
+      totalLocated: clusters.reduce((sum, c) => sum + c.count, 0)
+    }
+  });
+}));
+
+// Get clusters of near-duplicate photos (authenticated users)
+router.get('/manage/:eventId/duplicates', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  const clusters = await Media.aggregate([
+    {
+      $match: {
+        event: new mongoose.Types.ObjectId(req.params.eventId),
+        duplicateGroup: { $ne: null }
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$duplicateGroup',
+        count: { $sum: 1 },
+        media: {
+          $push: {
+            _id: '$_id',
+            url: '$url',
+            thumbnailUrl: { $ifNull: ['$quality.thumbnail.url', '$url'] },
+            placeholder: '$placeholder',
+            originalName: '$originalName',
+            fileSize: '$fileSize',
+            dimensions: '$dimensions',
+            uploader: '$uploader',
+            status: '$status',
+            isFeatured: '$isFeatured',
+            likeCount: { $size: '$interactions.likes' },
+            createdAt: '$createdAt'
+          }
+        },
+        lastUploadedAt: { $max: '$createdAt' }
+      }
+    },
+    // The other copies may have been deleted one by one
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { lastUploadedAt: -1 } },
+    {
+      $project: {
+        _id: 0,
+        groupId: '$_id',
+        count: 1,
+        media: 1,
+        lastUploadedAt: 1
+      }
+    }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      clusters,
+      totalDuplicates: clusters.reduce((sum, cluster) => sum + cluster.count - 1, 0)
+    }
+  });
+}));
+
+// Keep one photo of a duplicate cluster and hide or delete the rest
+router.post('/manage/:eventId/duplicates/:groupId/resolve', authenticateToken, requireEventOwnership, [
+  param('groupId').isMongoId().withMessage('Invalid duplicate cluster'),
+  body('keep').isMongoId().withMessage('The media item to keep is required'),
+  body('action').isIn(['hide', 'delete']).withMessage('Action must be hide or delete')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { keep, action } = req.body;
+  const event = req.event;
+  const cluster = await Media.find({
+    event: event._id,
+    duplicateGroup: req.params.groupId
+  });
+
+  if (cluster.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Duplicate cluster not found'
+    });
+  }
+
+  if (!cluster.some(media => media._id.toString() === keep)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The media item to keep is not part of this cluster'
+    });
+  }
+
+  const duplicates = cluster.filter(media => media._id.toString() !== keep);
+  const duplicateIds = duplicates.map(media => media._id);
+
+  if (action === 'delete') {
+    // Delete from storage in the background
+    for (const media of duplicates) {
+      try {
+        await queueMediaCleanup(media);
+      } catch (error) {
+        console.error('Error queueing storage cleanup:', error);
+      }
+    }
+
+    await Media.deleteMany({ _id: { $in: duplicateIds } });
+
+    // The statistics only count what was published: approved and processed
+    const counted = duplicates.filter(media => media.status === 'approved' && media.processingStatus === 'completed');
+    const photos = counted.filter(media => media.fileType === 'image').length;
+    const videos = counted.filter(media => media.fileType === 'video').length;
+    if (photos > 0 || videos > 0) {
+      await Event.findByIdAndUpdate(event._id, {
+        $inc: { 'statistics.totalPhotos': -photos, 'statistics.totalVideos': -videos }
+      });
+    }
+  } else {
+    await Media.updateMany({ _id: { $in: duplicateIds } }, { isHidden: true });
+  }
+
+  // The cluster is resolved; the remaining photos start over ungrouped
+  await Media.updateMany(
+    { event: event._id, duplicateGroup: req.params.groupId },
+    { duplicateGroup: null }
+  );
+
+  // Emit real-time update
+  const io = req.app.get('io');
+  const eventName = action === 'delete' ? 'media-deleted' : 'media-hidden';
+  duplicateIds.forEach(mediaId => {
+    io.to(event._id.toString()).emit(eventName, {
+      mediaId,
+      eventId: event._id
+    });
+  });
+
+  res.json({
+    success: true,
+    message: `${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'} ${action === 'delete' ? 'deleted' : 'hidden'}`,
+    data: {
+      kept: keep,
+      [action === 'delete' ? 'deleted' : 'hidden']: duplicateIds
+    }
+  });
+}));
+
+// Get background job status for an event (processing and cleanup)
+router.get('/manage/:eventId/jobs', authenticateToken, requireEventOwnership, [
+  query('status').optional().isIn(['queued', 'running', 'completed', 'dead']).withMessage('Unknown job status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status, page = 1, limit = 50 } = req.query;
+  const eventId = new mongoose.Types.ObjectId(req.params.eventId);
+
+  const query = { event: eventId };
+  if (status) {
+    query.status = status;
+  }
+
+  const [jobs, total, statusCounts] = await Promise.all([
+    Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit)),
+    Job.countDocuments(query),
+    Job.aggregate([
+      { $match: { event: eventId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = { queued: 0, running: 0, completed: 0, dead: 0 };
+  statusCounts.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      counts,
+      jobs,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    }
+  });
+}));
+
+// Download an event, album or selection as a ZIP of the originals (hosts and photographers)
+router.get('/manage/:eventId/archive', authenticateToken, requireEventOwnership, sendMediaArchive({ guest: false }));
+router.post('/manage/:eventId/archive', authenticateToken, requireEventOwnership, sendMediaArchive({ guest: false }));
+
+// Retry a job from the dead-letter list
+router.post('/manage/:eventId/jobs/:jobId/retry', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.jobId, event: req.params.eventId });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  if (job.status !== 'dead') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only failed jobs can be retried'
+    });
+  }
+
+  await retryJob(job);
+
+  res.json({
+    success: true,
+    message: 'Job queued for retry',
+    data: { job }
+  });
+}));
+
 // Get single media item
 router.get('/:mediaId', optionalAuth, asyncHandler(async (req, res) => {
   const media = await Media.findById(req.params.mediaId)
@@ -342,11 +958,13 @@ router.get('/:mediaId', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user has access to this media
-  const event = media.event;
+  // Check if user has access to this media; the populated event is what the
+  // response shows, so ownership and watermark settings are read separately
+  const event = await Event.findById(media.event._id).select('host photographers watermark');
   const isOwner = req.user && (
     event.host.toString() === req.user._id.toString() ||
-    event.photographers.includes(req.user._id)
+    event.photographers.includes(req.user._id) ||
+    req.user.role === 'admin'
   );
 
   // If media is not approved and user is not owner, deny access
@@ -362,7 +980,7 @@ router.get('/:mediaId', optionalAuth, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { media }
+    data: { media: isOwner ? media : media.toGuestJSON(event) }
   });
 }));
 
@@ -409,7 +1027,7 @@ router.put('/:mediaId', authenticateToken, asyncHandler(async (req, res) => {
   if (status === 'approved' && media.status !== 'approved') {
     const io = req.app.get('io');
     io.to(event._id.toString()).emit('media-approved', {
-      media: updatedMedia,
+      media: updatedMedia.toGuestJSON(event),
       eventId: event._id
     });
   }
@@ -421,6 +1039,119 @@ router.put('/:mediaId', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// Rotation, crop and focal point of a photo. The body holds the complete set of
+// edits; anything left out is reset.
+const mediaEditsValidation = [
+  body('rotation').optional().isIn([0, 90, 180, 270]).withMessage('Rotation must be 0, 90, 180 or 270').toInt(),
+  body('crop').optional({ nullable: true }).isObject().withMessage('Crop must be an object'),
+  body(['crop.left', 'crop.top']).if(body('crop').exists({ values: 'null' }))
+    .isFloat({ min: 0, max: 1 }).withMessage('Crop position must be between 0 and 1').toFloat(),
+  body(['crop.width', 'crop.height']).if(body('crop').exists({ values: 'null' }))
+    .isFloat({ gt: 0, max: 1 }).withMessage('Crop size must be between 0 and 1').toFloat(),
+  body('crop').optional({ nullable: true }).custom(crop =>
+    crop.left + crop.width <= 1 && crop.top + crop.height <= 1
+  ).withMessage('Crop must lie within the photo'),
+  body('focalPoint').optional({ nullable: true }).isObject().withMessage('Focal point must be an object'),
+  body(['focalPoint.x', 'focalPoint.y']).if(body('focalPoint').exists({ values: 'null' }))
+    .isFloat({ min: 0, max: 1 }).withMessage('Focal point must be between 0 and 1').toFloat()
+];
+
+// Find a photo the current user may edit; sends the error response and returns null otherwise
+const findEditableMedia = async (req, res) => {
+  const media = await Media.findById(req.params.mediaId).populate('event');
+
+  if (!media) {
+    res.status(404).json({
+      success: false,
+      message: 'Media not found'
+    });
+    return null;
+  }
+
+  // Check permissions
+  const event = media.event;
+  const isOwner = event.host.toString() === req.user._id.toString() ||
+                  event.photographers.includes(req.user._id);
+
+  if (!isOwner) {
+    res.status(403).json({
+      success: false,
+      message: 'Permission denied'
+    });
+    return null;
+  }
+
+  if (media.fileType !== 'image') {
+    res.status(400).json({
+      success: false,
+      message: 'Only photos can be edited'
+    });
+    return null;
+  }
+
+  if (media.processingStatus !== 'completed') {
+    res.status(409).json({
+      success: false,
+      message: 'Photo is still being processed'
+    });
+    return null;
+  }
+
+  return media;
+};
+
+// Edit a photo (renditions are regenerated from the original in the background)
+router.put('/:mediaId/edits', authenticateToken, mediaEditsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const media = await findEditableMedia(req, res);
+  if (!media) return;
+
+  const { rotation, crop, focalPoint } = req.body;
+  const job = await queueMediaEdits(media, { rotation, crop, focalPoint }, req.user);
+
+  res.status(202).json({
+    success: true,
+    message: 'Photo edits saved; renditions are being regenerated',
+    data: {
+      edits: media.edits,
+      jobId: job._id
+    }
+  });
+}));
+
+// Revert a photo to its original
+router.delete('/:mediaId/edits', authenticateToken, asyncHandler(async (req, res) => {
+  const media = await findEditableMedia(req, res);
+  if (!media) return;
+
+  const { rotation, crop, focalPoint } = media.edits;
+  if (!rotation && crop.width == null && focalPoint.x == null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Photo has not been edited'
+    });
+  }
+
+  const job = await queueMediaEdits(media, null, req.user);
+
+  res.status(202).json({
+    success: true,
+    message: 'Photo is being reverted to its original',
+    data: {
+      edits: media.edits,
+      jobId: job._id
+    }
+  });
+}));
+
 // Delete media
 router.delete('/:mediaId', authenticateToken, asyncHandler(async (req, res) => {
   const media = await Media.findById(req.params.mediaId).populate('event');
@@ -444,22 +1175,24 @@ router.delete('/:mediaId', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete from Cloudinary
+  // Delete from storage in the background
   try {
-    await deleteFile(media.cloudinaryPublicId, media.fileType === 'video' ? 'video' : 'image');
+    await queueMediaCleanup(media);
   } catch (error) {
-    console.error('Error deleting from Cloudinary:', error);
+    console.error('Error queueing storage cleanup:', error);
   }
 
   // Delete from database
   await Media.findByIdAndDelete(req.params.mediaId);
 
-  // Update event statistics
+  // Update event statistics (media is only counted once processing finished)
   const updateObj = {};
-  if (media.fileType === 'image') {
-    updateObj['statistics.totalPhotos'] = -1;
-  } else if (media.fileType === 'video') {
-    updateObj['statistics.totalVideos'] = -1;
+  if (media.processingStatus === 'completed') {
+    if (media.fileType === 'image') {
+      updateObj['statistics.totalPhotos'] = -1;
+    } else if (media.fileType === 'video') {
+      updateObj['statistics.totalVideos'] = -1;
+    }
   }
 
   await Event.findByIdAndUpdate(event._id, { $inc: updateObj });
@@ -629,18 +1362,18 @@ router.patch('/bulk-action/:eventId', authenticateToken, requireEventOwnership,
   if (action === 'unfeature') updateData.isFeatured = false;
 
   if (action === 'delete') {
-    // Get media items to delete from Cloudinary
+    // Get media items to delete from storage
     const mediaToDelete = await Media.find({
       _id: { $in: mediaIds },
       event: req.params.eventId
     });
 
-    // Delete from Cloudinary
+    // Delete from storage in the background
     for (const media of mediaToDelete) {
       try {
-        await deleteFile(media.cloudinaryPublicId, media.fileType === 'video' ? 'video' : 'image');
+        await queueMediaCleanup(media);
       } catch (error) {
-        console.error('Error deleting from Cloudinary:', error);
+        console.error('Error queueing storage cleanup:', error);
       }
     }
 
@@ -684,6 +1417,27 @@ router.get('/:mediaId/download', optionalAuth, asyncHandler(async (req, res) =>
     });
   }
 
+  // The event's own team always gets the unmarked file
+  const event = media.event;
+  const isOwner = req.user && (
+    event.host.toString() === req.user._id.toString() ||
+    event.photographers.includes(req.user._id) ||
+    req.user.role === 'admin'
+  );
+
+  let downloadUrl = media.url;
+  let filename = media.originalName;
+  const watermarked = !isOwner &&
+    media.fileType === 'image' &&
+    media.processingStatus === 'completed' &&
+    event.shouldWatermark(media.uploader.type);
+
+  if (watermarked) {
+    const rendition = await getWatermarkedRendition(media, event);
+    downloadUrl = rendition.url;
+    filename = getWatermarkedFileName(media.originalName);
+  }
+
   // Increment download count
   await media.incrementDownloads();
 
@@ -691,8 +1445,9 @@ router.get('/:mediaId/download', optionalAuth, asyncHandler(async (req, res) =>
   res.json({
     success: true,
     data: {
-      downloadUrl: media.url,
-      filename: media.originalName
+      downloadUrl,
+      filename,
+      watermarked
     }
   });
 }));
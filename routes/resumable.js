@@ -0,0 +1,387 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const Event = require('../models/Event');
+const {
+  authenticateToken,
+  requireEventOwnership,
+  validateEventAccess,
+  userRateLimit
+} = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateFile, MEDIA_MIME_TYPES } = require('../utils/cloudinary');
+const { createMediaFromFile } = require('../utils/mediaPipeline');
+const { checkStorageQuota } = require('../utils/storageQuota');
+
+const router = express.Router();
+
+// Resumable uploads follow the tus 1.0 protocol (creation and termination extensions)
+const TUS_VERSION = '1.0.0';
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_DIRECT_UPLOAD_SIZE) || 500 * 1024 * 1024; // 500MB default
+const UPLOAD_EXPIRES_MS = 24 * 60 * 60 * 1000; // Unfinished uploads are dropped after a day
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // A PATCH holding the lock longer than this is presumed dead
+const TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'wedding-memories-uploads');
+
+// Partial file for an upload session
+const getTempPath = (session) => path.join(TMP_DIR, session._id.toString());
+
+// Parse the tus Upload-Metadata header ("key base64value,key base64value")
+const parseUploadMetadata = (header = '') => {
+  return header.split(',').reduce((acc, pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      acc[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return acc;
+  }, {});
+};
+
+// Hash of an upload secret, as stored on the session
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// Load the session an upload URL points to. Upload ids are guessable, so the URL
+// also carries a random secret; a wrong secret looks the same as a missing upload.
+const loadUploadSession = asyncHandler(async (req, res, next) => {
+  const { uploadId, secret } = req.params;
+  const session = mongoose.isValidObjectId(uploadId)
+    ? await UploadSession.findById(uploadId).select('+secretHash')
+    : null;
+
+  const valid = session && session.secretHash &&
+    crypto.timingSafeEqual(Buffer.from(session.secretHash, 'hex'), hashSecret(secret));
+
+  if (!valid) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  req.uploadSession = session;
+  next();
+});
+
+// Remove expired sessions and their partial files
+const cleanupExpiredUploads = async () => {
+  const expired = await UploadSession.find({
+    status: { $in: ['uploading', 'failed'] },
+    expiresAt: { $lt: new Date() }
+  }).limit(50);
+
+  for (const session of expired) {
+    await fs.promises.unlink(getTempPath(session)).catch(() => {});
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+};
+
+// Every tus response carries the protocol version
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  next();
+});
+
+// Protocol discovery
+router.options('*', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,termination',
+    'Tus-Max-Size': MAX_UPLOAD_SIZE
+  });
+  res.status(204).end();
+});
+
+// Create an upload session
+const createUpload = async (req, res, uploader) => {
+  const length = parseInt(req.headers['upload-length']);
+  const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+
+  if (!Number.isInteger(length) || length <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload-Length header is required'
+    });
+  }
+
+  if (length > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({
+      success: false,
+      message: 'File too large'
+    });
+  }
+
+  if (!metadata.filename || !MEDIA_MIME_TYPES.includes(metadata.filetype)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only image and video files are allowed'
+    });
+  }
+
+  validateFile({ size: length, mimetype: metadata.filetype }, req.event.settings);
+  await checkStorageQuota(req.event, length);
+
+  cleanupExpiredUploads().catch(error => console.error('Error cleaning up uploads:', error));
+
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const session = await UploadSession.create({
+    event: req.event._id,
+    uploader,
+    secretHash: hashSecret(secret).toString('hex'),
+    fileName: metadata.filename,
+    mimeType: metadata.filetype,
+    length,
+    fields: {
+      album: metadata.album || null,
+      caption: metadata.caption || null,
+      tags: metadata.tags ? metadata.tags.split(',').map(tag => tag.trim()) : []
+    },
+    expiresAt: new Date(Date.now() + UPLOAD_EXPIRES_MS)
+  });
+
+  await fs.promises.mkdir(TMP_DIR, { recursive: true });
+  await fs.promises.writeFile(getTempPath(session), '');
+
+  const uploadUrl = `${req.baseUrl}/${session._id}/${secret}`;
+
+  res.status(201)
+    .set('Location', uploadUrl)
+    .set('Upload-Offset', '0')
+    .json({
+      success: true,
+      data: {
+        uploadId: session._id,
+        uploadUrl,
+        expiresAt: session.expiresAt
+      }
+    });
+};
+
+// Hand a fully received file to the normal media creation path. Resolves with
+// the error if the file was refused or couldn't be stored.
+const completeUpload = async (session) => {
+  const tempPath = getTempPath(session);
+  let failure = null;
+
+  try {
+    const event = await Event.findById(session.event);
+    if (!event || !event.isActive) {
+      throw new Error('Event not found');
+    }
+
+    // Storing it reserves the quota, which other uploads may have used up since this one started
+    const media = await createMediaFromFile({
+      path: tempPath,
+      originalname: session.fileName,
+      mimetype: session.mimeType,
+      size: session.length
+    }, {
+      event,
+      uploader: session.toObject().uploader,
+      album: session.fields.album,
+      caption: session.fields.caption,
+      tags: session.fields.tags
+    });
+
+    session.status = 'completed';
+    session.media = media._id;
+  } catch (error) {
+    console.error('Error processing resumable upload:', error);
+    session.status = 'failed';
+    session.error = error.message;
+    failure = error;
+  }
+
+  await session.save();
+  await fs.promises.unlink(tempPath).catch(() => {});
+  return failure;
+};
+
+// Start a resumable upload (for authenticated users - hosts/photographers)
+router.post('/upload/:eventId', authenticateToken, requireEventOwnership, asyncHandler(async (req, res) => {
+  await createUpload(req, res, {
+    type: req.user.role === 'photographer' ? 'photographer' : 'host',
+    userId: req.user._id
+  });
+}));
+
+// Start a resumable upload (for guests)
+router.post('/guest-upload/:eventId', validateEventAccess, userRateLimit(20, 60 * 60 * 1000), asyncHandler(async (req, res) => {
+  const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+  const guestName = (metadata.guestName || 'Anonymous Guest').trim();
+
+  if (!guestName) {
+    return res.status(400).json({
+      success: false,
+      message: 'Guest name is required'
+    });
+  }
+
+  await createUpload(req, res, {
+    type: 'guest',
+    guestName,
+    guestEmail: metadata.guestEmail?.trim() || null
+  });
+}));
+
+// Get the current offset (used by clients to resume)
+router.head('/:uploadId/:secret', loadUploadSession, asyncHandler(async (req, res) => {
+  const session = req.uploadSession;
+
+  res.set({
+    'Upload-Offset': session.offset,
+    'Upload-Length': session.length,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).end();
+}));
+
+// Append a chunk at the given offset
+router.patch('/:uploadId/:secret', loadUploadSession, asyncHandler(async (req, res) => {
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({
+      success: false,
+      message: 'Content-Type must be application/offset+octet-stream'
+    });
+  }
+
+  const offset = parseInt(req.headers['upload-offset']);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload-Offset header is required'
+    });
+  }
+
+  // Take the write lock only if the client's offset matches ours
+  const session = await UploadSession.findOneAndUpdate(
+    {
+      _id: req.uploadSession._id,
+      status: 'uploading',
+      offset,
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { lockedAt: new Date() },
+    { new: true }
+  );
+
+  if (!session) {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload-Offset mismatch, upload finished or another request is writing'
+    });
+  }
+
+  const tempPath = getTempPath(session);
+  const remaining = session.length - offset;
+
+  if (parseInt(req.headers['content-length']) > remaining) {
+    await UploadSession.updateOne({ _id: session._id }, { lockedAt: null });
+    return res.status(413).json({
+      success: false,
+      message: 'Chunk exceeds Upload-Length'
+    });
+  }
+
+  let received = 0;
+  let tooLarge = false;
+
+  req.on('data', (chunk) => {
+    received += chunk.length;
+    if (received > remaining) {
+      tooLarge = true;
+      req.destroy(new Error('Chunk exceeds Upload-Length'));
+    }
+  });
+
+  try {
+    await pipeline(req, fs.createWriteStream(tempPath, { flags: 'r+', start: offset }));
+  } catch (error) {
+    // A dropped connection keeps whatever arrived; the client resumes from the new offset
+    console.error('Resumable upload interrupted:', error.message);
+  }
+
+  const { size } = await fs.promises.stat(tempPath);
+  session.offset = Math.min(size, session.length);
+  session.lockedAt = null;
+  session.expiresAt = new Date(Date.now() + UPLOAD_EXPIRES_MS);
+
+  if (tooLarge) {
+    // Discard anything written past the announced length
+    await fs.promises.truncate(tempPath, session.offset);
+    await session.save();
+    if (res.headersSent) return;
+    return res.status(413).json({
+      success: false,
+      message: 'Chunk exceeds Upload-Length'
+    });
+  }
+
+  let failure = null;
+  if (session.offset === session.length) {
+    session.status = 'processing';
+    await session.save();
+    failure = await completeUpload(session);
+  } else {
+    await session.save();
+  }
+
+  if (res.headersSent) return;
+
+  res.set('Upload-Offset', session.offset);
+
+  // Every byte arrived, but the file was refused or couldn't be stored
+  if (failure) {
+    const status = failure.statusCode || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Upload could not be processed' : failure.message,
+      ...(typeof failure.code === 'string' && { code: failure.code })
+    });
+  }
+
+  res.status(204).end();
+}));
+
+// Get upload status, including the created media once processing finished
+router.get('/:uploadId/:secret', loadUploadSession, asyncHandler(async (req, res) => {
+  const session = await req.uploadSession.populate('media');
+
+  res.json({
+    success: true,
+    data: {
+      uploadId: session._id,
+      status: session.status,
+      offset: session.offset,
+      length: session.length,
+      progress: session.progress,
+      error: session.error,
+      media: session.media
+    }
+  });
+}));
+
+// Cancel an upload
+router.delete('/:uploadId/:secret', loadUploadSession, asyncHandler(async (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.status !== 'uploading') {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload already finished'
+    });
+  }
+
+  await fs.promises.unlink(getTempPath(session)).catch(() => {});
+  await UploadSession.deleteOne({ _id: session._id });
+
+  res.status(204).end();
+}));
+
+module.exports = router;
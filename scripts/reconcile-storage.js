@@ -0,0 +1,67 @@
+// Compare stored files with the database and optionally repair the differences.
+//
+//   npm run reconcile-storage                      dry run against STORAGE_DRIVER
+//   npm run reconcile-storage -- --repair          delete orphans and dangling documents, recount usage
+//   npm run reconcile-storage -- --provider=s3 --min-age-hours=48
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileStorage, DEFAULT_MIN_AGE } = require('../utils/storageReconciliation');
+
+// Read --flag and --name=value arguments
+const parseArgs = (args) => {
+  const options = {};
+  args.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    options[name] = value === undefined ? true : value;
+  });
+  return options;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const minAgeHours = parseFloat(args['min-age-hours']);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/wedding-memories');
+
+  try {
+    const report = await reconcileStorage({
+      provider: args.provider,
+      repair: args.repair === true,
+      minAge: Number.isFinite(minAgeHours) ? minAgeHours * 60 * 60 * 1000 : DEFAULT_MIN_AGE
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log(`Storage reconciliation (${report.provider}, ${report.mode})`);
+    console.log(`Checked ${report.checked.files} files, ${report.checked.media} media items and ${report.checked.guestbook} audio messages`);
+
+    console.log(`\nOrphaned files: ${report.orphaned.length} (${report.orphanedBytes} bytes)`);
+    report.orphaned.forEach(asset => console.log(`  ${asset.key}`));
+
+    console.log(`\nDocuments with missing files: ${report.missing.length}`);
+    report.missing.forEach(item => console.log(`  ${item.type} ${item.id} -> ${item.key}`));
+
+    console.log(`\nUsage counters out of step: ${report.counters.length}`);
+    report.counters.forEach(item => console.log(`  ${item.type} ${item.id}: ${item.counted} counted, ${item.actual} stored`));
+
+    if (report.repaired) {
+      const { recountedEvents, recountedHosts, deletedFiles, removedMedia, updatedGuestbook, removedGuestbook, errors } = report.repaired;
+      console.log(`\nRecounted ${recountedEvents} events and ${recountedHosts} hosts`);
+      console.log(`Deleted ${deletedFiles} files, removed ${removedMedia} media items and ${removedGuestbook} guestbook entries, removed audio from ${updatedGuestbook} guestbook entries`);
+      errors.forEach(error => console.error(`  Failed: ${error.key || error.id}: ${error.message}`));
+    } else if (report.orphaned.length > 0 || report.missing.length > 0 || report.counters.length > 0) {
+      console.log('\nRun again with --repair to fix these');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Storage reconciliation failed:', error);
+  process.exit(1);
+});
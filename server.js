@@ -17,10 +17,14 @@ const eventRoutes = require('./routes/events');
 const mediaRoutes = require('./routes/media');
 const guestbookRoutes = require('./routes/guestbook');
 const qrRoutes = require('./routes/qr');
+const fileRoutes = require('./routes/files');
+const resumableRoutes = require('./routes/resumable');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const jobQueue = require('./utils/jobQueue');
 
 const app = express();
 const server = http.createServer(app);
@@ -68,6 +72,14 @@ if (mongoose.connection.readyState === 1) {
 
 app.use(session(sessionConfig));
 
+// Origins S3-compatible storage serves media from (public bucket or presigned redirects)
+const storageOrigins = [process.env.S3_PUBLIC_URL, process.env.S3_ENDPOINT]
+  .filter(Boolean)
+  .map(url => new URL(url).origin);
+if (process.env.STORAGE_DRIVER === 's3' && !process.env.S3_ENDPOINT) {
+  storageOrigins.push('https://*.amazonaws.com');
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -76,8 +88,8 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
       scriptSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:", "https://res.cloudinary.com", "blob:"],
-      mediaSrc: ["'self'", "https://res.cloudinary.com", "blob:"],
+      imgSrc: ["'self'", "data:", "https://res.cloudinary.com", "blob:", ...storageOrigins],
+      mediaSrc: ["'self'", "https://res.cloudinary.com", "blob:", ...storageOrigins],
       connectSrc: ["'self'", "ws:", "wss:"]
     }
   }
@@ -87,14 +99,17 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Chunks of a resumable upload would otherwise exhaust the limit on a single large video
+  skip: (req) => ['PATCH', 'HEAD'].includes(req.method) && req.path.startsWith('/media/resumable/')
 });
 app.use('/api', limiter);
 
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size']
 }));
 
 // Compression
@@ -109,6 +124,9 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Serve files stored by the local storage driver
+app.use('/uploads', fileRoutes);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
@@ -133,12 +151,17 @@ io.on('connection', (socket) => {
 // Make io accessible to routes
 app.set('io', io);
 
+// Background jobs (media processing, storage cleanup) run in this process
+jobQueue.start({ io });
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/media/resumable', resumableRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/guestbook', guestbookRoutes);
 app.use('/api/qr', qrRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Mock data route for demo purposes when database is not available
 app.get('/api/mock/status', (req, res) => {
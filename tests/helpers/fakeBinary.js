@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stand-ins for ffmpeg, ffprobe and whisper.cpp: node scripts written to a temp
+// directory, so the helpers that spawn them run without the real tools installed.
+// Point FFMPEG_PATH and friends at them before requiring the module under test.
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-memories-bin-'));
+
+// Write an executable running `source`, with the arguments it was called with in `args`
+const fakeBinary = (name, source) => {
+  const filePath = path.join(binDir, name);
+  fs.writeFileSync(filePath, `#!${process.execPath}\nconst args = process.argv.slice(2);\n${source}\n`, { mode: 0o755 });
+  return filePath;
+};
+
+// Arguments of the last run of a recording binary
+const argsFile = path.join(binDir, 'args.json');
+const readArgs = () => JSON.parse(fs.readFileSync(argsFile, 'utf8'));
+
+// Binary that saves its arguments for readArgs, then runs `source`
+const recordingBinary = (name, source = '') => fakeBinary(name, `
+require('fs').writeFileSync(${JSON.stringify(argsFile)}, JSON.stringify(args));
+${source}`);
+
+// Binary that prints `output` (environment set in a test doesn't reach child processes)
+const printingBinary = (name, output) => fakeBinary(name, `process.stdout.write(${JSON.stringify(output)});`);
+
+// whisper.cpp writing `output` as its JSON transcript (to the --output-file prefix)
+const whisperBinary = (output) => recordingBinary('whisper-cli', `
+const prefix = args[args.indexOf('--output-file') + 1];
+require('fs').writeFileSync(prefix + '.json', ${JSON.stringify(JSON.stringify(output))});`);
+
+// Remove the temp directory once the tests are done
+const removeBinaries = () => fs.rmSync(binDir, { recursive: true, force: true });
+
+module.exports = {
+  binDir,
+  fakeBinary,
+  recordingBinary,
+  printingBinary,
+  whisperBinary,
+  readArgs,
+  removeBinaries
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { authenticateToken, optionalAuth, generateToken, generateRefreshToken } = require('../../middleware/auth');
+
+const run = (middleware, token) => new Promise((resolve) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ req, res: this, body, nextCalled: false });
+    }
+  };
+  middleware(req, res, () => resolve({ req, res, nextCalled: true }));
+});
+
+describe('auth middleware', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), isActive: true };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs in with a login token', async () => {
+    const { req, nextCalled } = await run(authenticateToken, generateToken(user._id));
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBe(user);
+  });
+
+  it('rejects tokens issued for something else', async () => {
+    const { res, nextCalled } = await run(authenticateToken, generateRefreshToken(user._id));
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('ignores typed tokens for optional authentication', async () => {
+    const { req, nextCalled } = await run(optionalAuth, generateRefreshToken(user._id));
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBeUndefined();
+  });
+});
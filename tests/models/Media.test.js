@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Media = require('../../models/Media');
+
+const createMedia = (overrides = {}) => new Media({
+  event: new mongoose.Types.ObjectId(),
+  originalName: 'photo.jpg',
+  fileType: 'image',
+  mimeType: 'image/jpeg',
+  fileSize: 100,
+  url: '/uploads/wedding-memories/incoming/abc.jpg',
+  fileName: 'wedding-memories/incoming/abc.jpg',
+  cloudinaryPublicId: 'wedding-memories/incoming/abc.jpg',
+  uploader: { type: 'guest', guestName: 'Cara' },
+  ...overrides
+});
+
+describe('Media JSON', () => {
+  it('leaves out the stored file until processing has completed', () => {
+    for (const processingStatus of ['uploading', 'processing', 'failed']) {
+      const json = createMedia({ processingStatus }).toJSON();
+      expect(json.url).toBeUndefined();
+      expect(json.fileName).toBeUndefined();
+      expect(json.cloudinaryPublicId).toBeUndefined();
+      expect(json.srcset).toBeNull();
+    }
+  });
+
+  it('includes the URL and srcset of processed media', () => {
+    const json = createMedia({
+      processingStatus: 'completed',
+      url: '/uploads/wedding-memories/media/abc.jpg',
+      quality: { large: { url: '/large.jpg', width: 1600 } }
+    }).toJSON();
+
+    expect(json.url).toBe('/uploads/wedding-memories/media/abc.jpg');
+    expect(json.srcset.src).toBe('/large.jpg');
+  });
+});
+
+describe('Media.buildSrcset', () => {
+  const variant = (name, width, format) => ({
+    url: `/uploads/wedding-memories/media/abc-${name}.${format || 'jpg'}`,
+    width,
+    ...(format ? { format } : {})
+  });
+
+  const photo = (overrides = {}) => ({
+    fileType: 'image',
+    url: '/uploads/wedding-memories/media/abc.jpg',
+    quality: {
+      small: variant('small', 400),
+      medium: variant('medium', 800),
+      large: variant('large', 1600)
+    },
+    renditions: [
+      variant('1600', 1600, 'webp'),
+      variant('640', 640, 'avif'),
+      variant('640', 640, 'webp'),
+      variant('1600', 1600, 'avif')
+    ],
+    ...overrides
+  });
+
+  it('lists AVIF before WebP, each ordered by width', () => {
+    expect(Media.buildSrcset(photo()).sources).toEqual([
+      {
+        type: 'image/avif',
+        srcset: '/uploads/wedding-memories/media/abc-640.avif 640w, /uploads/wedding-memories/media/abc-1600.avif 1600w'
+      },
+      {
+        type: 'image/webp',
+        srcset: '/uploads/wedding-memories/media/abc-640.webp 640w, /uploads/wedding-memories/media/abc-1600.webp 1600w'
+      }
+    ]);
+  });
+
+  it('falls back to the JPEG previews, ordered by width', () => {
+    const srcset = Media.buildSrcset(photo({
+      quality: { large: variant('large', 1600), small: variant('small', 400), medium: variant('medium', 800) }
+    }));
+
+    expect(srcset.src).toBe('/uploads/wedding-memories/media/abc-large.jpg');
+    expect(srcset.srcset).toBe(
+      '/uploads/wedding-memories/media/abc-small.jpg 400w, ' +
+      '/uploads/wedding-memories/media/abc-medium.jpg 800w, ' +
+      '/uploads/wedding-memories/media/abc-large.jpg 1600w'
+    );
+  });
+
+  it('leaves out formats without renditions', () => {
+    const srcset = Media.buildSrcset(photo({ renditions: [variant('640', 640, 'webp')] }));
+
+    expect(srcset.sources.map(source => source.type)).toEqual(['image/webp']);
+  });
+
+  it('uses the stored file when there are no renditions', () => {
+    expect(Media.buildSrcset(photo({ quality: {}, renditions: [] }))).toEqual({
+      sizes: '(max-width: 600px) 100vw, (max-width: 1200px) 50vw, 33vw',
+      sources: [],
+      src: '/uploads/wedding-memories/media/abc.jpg',
+      srcset: null
+    });
+  });
+
+  it('skips previews without a width', () => {
+    const srcset = Media.buildSrcset(photo({ quality: { small: { url: '/small.jpg' }, large: variant('large', 1600) } }));
+
+    expect(srcset.srcset).toBe('/uploads/wedding-memories/media/abc-large.jpg 1600w');
+  });
+
+  it('sends the gallery layout as sizes', () => {
+    expect(Media.buildSrcset(photo()).sizes).toBe('(max-width: 600px) 100vw, (max-width: 1200px) 50vw, 33vw');
+  });
+
+  it('has nothing for videos', () => {
+    expect(Media.buildSrcset(photo({ fileType: 'video' }))).toBeNull();
+  });
+});
+
+describe('Media JSON for guests of a watermarked event', () => {
+  it('builds the srcset from the previews only', () => {
+    const json = createMedia({
+      processingStatus: 'completed',
+      url: '/uploads/wedding-memories/media/abc.jpg',
+      quality: {
+        display: { url: '/display.jpg', width: 2560 },
+        large: { url: '/large.jpg', width: 1200 },
+        small: { url: '/small.jpg', width: 400 }
+      },
+      renditions: [
+        { format: 'webp', url: '/abc-640.webp', width: 640 },
+        { format: 'webp', url: '/abc-1600.webp', width: 1600 }
+      ]
+    }).toJSON({ previewsOnly: true });
+
+    expect(json.url).toBe('/large.jpg');
+    expect(json.srcset).toEqual({
+      sizes: expect.any(String),
+      sources: [{ type: 'image/webp', srcset: '/abc-640.webp 640w' }],
+      src: '/large.jpg',
+      srcset: '/small.jpg 400w, /large.jpg 1200w'
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-memories-direct-'));
+process.env.LOCAL_STORAGE_PATH = root;
+process.env.STORAGE_DRIVER = 'local';
+
+jest.mock('../../utils/storageQuota', () => ({
+  ...jest.requireActual('../../utils/storageQuota'),
+  checkStorageQuota: jest.fn().mockResolvedValue(),
+  reserveStorage: jest.fn().mockResolvedValue(),
+  recordStorageUsage: jest.fn().mockResolvedValue()
+}));
+
+const Event = require('../../models/Event');
+const Media = require('../../models/Media');
+const User = require('../../models/User');
+const jobQueue = require('../../utils/jobQueue');
+const mediaRoutes = require('../../routes/media');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+describe('direct uploads', () => {
+  let event;
+  let photo;
+
+  // Sign an upload as a guest and put the file where the client would have uploaded it
+  const signAndUpload = async () => {
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}/signature`)
+      .send({ fileName: 'photo.jpg', mimeType: 'image/jpeg', fileSize: photo.length });
+    expect(res.status).toBe(200);
+
+    const { uploadToken } = res.body.data;
+    const filePath = path.join(root, jwt.decode(uploadToken).key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, photo);
+    return { uploadToken, filePath };
+  };
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: new mongoose.Types.ObjectId(),
+      isPublished: true
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Media, 'exists').mockResolvedValue(null);
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function() {
+      this.isNew = false;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('finalizes a guest upload', async () => {
+    const { uploadToken } = await signAndUpload();
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}/finalize`)
+      .send({ uploadToken, guestName: 'Cara' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.media.uploader.guestName).toBe('Cara');
+  });
+
+  it('leaves the user id out of upload tokens', async () => {
+    const { uploadToken } = await signAndUpload();
+    expect(jwt.decode(uploadToken).userId).toBeUndefined();
+  });
+
+  it('does not accept an upload token as a login', async () => {
+    const { uploadToken } = await signAndUpload();
+    const findUser = jest.spyOn(User, 'findById');
+
+    const res = await request(app)
+      .post(`/api/media/upload/${event._id}/finalize`)
+      .set('Authorization', `Bearer ${uploadToken}`)
+      .send({ uploadToken });
+
+    expect(res.status).toBe(401);
+    expect(findUser).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens signed without the upload audience', async () => {
+    const { uploadToken } = await signAndUpload();
+    const { iat, exp, aud, ...payload } = jwt.decode(uploadToken);
+    const forged = jwt.sign(payload, JWT_SECRET);
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}/finalize`)
+      .send({ uploadToken: forged, guestName: 'Cara' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects tokens issued to another kind of uploader', async () => {
+    const { uploadToken } = await signAndUpload();
+    const { iat, exp, aud, ...payload } = jwt.decode(uploadToken);
+    const userToken = jwt.sign({ ...payload, uploader: 'user' }, JWT_SECRET, { audience: 'direct-upload' });
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}/finalize`)
+      .send({ uploadToken: userToken, guestName: 'Cara' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('answers a concurrent finalize with 409 and keeps the file', async () => {
+    const { uploadToken, filePath } = await signAndUpload();
+    Media.prototype.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}/finalize`)
+      .send({ uploadToken, guestName: 'Cara' });
+
+    expect(res.status).toBe(409);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+});
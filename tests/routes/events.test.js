@@ -0,0 +1,227 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { Readable } = require('stream');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const { generateToken } = require('../../middleware/auth');
+const { getStorage } = require('../../utils/storage');
+const { createExportDownloadLink } = require('../../utils/eventExport');
+const eventRoutes = require('../../routes/events');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/events', eventRoutes);
+app.use(errorHandler);
+
+const createEvent = (overrides = {}) => new Event({
+  title: 'Ann & Bob',
+  coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+  eventDate: new Date('2026-06-01'),
+  host: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+// Fields a host must not be able to set through create or update
+const SERVER_MANAGED = {
+  coverPhotoKey: 'wedding-memories/media/someone-elses.jpg',
+  coverPhotoProvider: 's3',
+  deletionRequestedAt: '2026-01-01T00:00:00.000Z',
+  'watermark.imageKey': 'wedding-memories/media/someone-elses.jpg',
+  watermark: { enabled: true, type: 'image', imageKey: 'wedding-memories/media/someone-elses.jpg' },
+  archiveExport: { key: 'wedding-memories/exports/other.zip' },
+  statistics: { totalPhotos: 1000 },
+  storageUsed: 0,
+  storageQuota: 1e12,
+  isActive: false,
+  host: new mongoose.Types.ObjectId().toString()
+};
+
+describe('event create and update', () => {
+  let user;
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${generateToken(user._id)}`);
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      role: 'host',
+      isActive: true,
+      events: [],
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates events from the editable fields only', async () => {
+    let saved;
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      saved = this;
+      return Promise.resolve(this);
+    });
+
+    const res = await asUser(request(app).post('/api/events')).send({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: '2026-06-01',
+      settings: { enableSlideshow: false },
+      ...SERVER_MANAGED
+    });
+
+    expect(res.status).toBe(201);
+    expect(saved.host).toEqual(user._id);
+    expect(saved.settings.enableSlideshow).toBe(false);
+    expect(saved.coverPhotoKey).toBeNull();
+    expect(saved.coverPhotoProvider).toBeNull();
+    expect(saved.deletionRequestedAt).toBeNull();
+    expect(saved.watermark.imageKey).toBeNull();
+    expect(saved.archiveExport.key).toBeNull();
+    expect(saved.statistics.totalPhotos).toBe(0);
+    expect(saved.storageQuota).toBeNull();
+    expect(saved.isActive).toBe(true);
+  });
+
+  it('updates the editable fields only', async () => {
+    const event = createEvent({ host: user._id });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    const update = jest.spyOn(Event, 'findByIdAndUpdate').mockReturnValue({
+      populate() { return this; },
+      then: (resolve) => resolve(event)
+    });
+
+    const res = await asUser(request(app).put(`/api/events/${event._id}`)).send({
+      title: 'Ann & Bob 2',
+      privacy: { moderateUploads: true },
+      ...SERVER_MANAGED
+    });
+
+    expect(res.status).toBe(200);
+    expect(update.mock.calls[0][1]).toEqual({
+      title: 'Ann & Bob 2',
+      privacy: { moderateUploads: true }
+    });
+  });
+
+  it('never takes the watermark image key from the request', async () => {
+    const event = createEvent({ host: user._id });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    const update = jest.spyOn(Event, 'findByIdAndUpdate').mockReturnValue({
+      populate() { return this; },
+      then: (resolve) => resolve(event)
+    });
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    await asUser(request(app).put(`/api/events/${event._id}`)).send({
+      'watermark.imageKey': 'wedding-memories/incoming/private.jpg'
+    });
+    expect(update.mock.calls[0][1]).toEqual({});
+
+    const res = await asUser(request(app).put(`/api/events/${event._id}/watermark`)).send({
+      enabled: true,
+      type: 'text',
+      text: 'Studio',
+      imageKey: 'wedding-memories/incoming/private.jpg',
+      'watermark.imageKey': 'wedding-memories/incoming/private.jpg'
+    });
+
+    expect(res.status).toBe(200);
+    expect(event.watermark.text).toBe('Studio');
+    expect(event.watermark.imageKey).toBeNull();
+  });
+
+  it('lets admins set storage quotas', async () => {
+    user.role = 'admin';
+    const event = createEvent();
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    const update = jest.spyOn(Event, 'findByIdAndUpdate').mockReturnValue({
+      populate() { return this; },
+      then: (resolve) => resolve(event)
+    });
+
+    await asUser(request(app).put(`/api/events/${event._id}`)).send({ storageQuota: 5000, storageUsed: 0 });
+
+    expect(update.mock.calls[0][1]).toEqual({ storageQuota: 5000 });
+  });
+});
+
+describe('GET /api/events/:eventId/export/download', () => {
+  let event;
+
+  // Path of a signed link for the event's current export
+  const getLink = (target = event) => createExportDownloadLink(target).url;
+
+  beforeEach(() => {
+    event = createEvent({
+      archiveExport: {
+        key: 'wedding-memories/exports/export.zip',
+        provider: 'local',
+        size: 3,
+        createdAt: new Date('2026-06-02T00:00:00Z'),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(getStorage('local'), 'getStream').mockImplementation(async () => Readable.from([Buffer.from('zip')]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams the export for a valid link', async () => {
+    const res = await request(app).get(getLink());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toContain('Ann & Bob - export 2026-06-02.zip');
+    expect(getStorage('local').getStream).toHaveBeenCalledWith('wedding-memories/exports/export.zip', { resourceType: 'raw' });
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get(`/api/events/${event._id}/export/download`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects tokens that are not export links', async () => {
+    const res = await request(app).get(`/api/events/${event._id}/export/download?token=${generateToken(event.host)}`);
+
+    expect(res.status).toBe(401);
+    expect(getStorage('local').getStream).not.toHaveBeenCalled();
+  });
+
+  it("rejects links for another event's export", async () => {
+    const other = createEvent({ archiveExport: event.archiveExport.toObject() });
+    const [, token] = getLink(other).split('?');
+
+    const res = await request(app).get(`/api/events/${event._id}/export/download?${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses exports that were replaced since the link was made', async () => {
+    const link = getLink();
+    event.archiveExport.key = 'wedding-memories/exports/newer.zip';
+
+    const res = await request(app).get(link);
+
+    expect(res.status).toBe(410);
+  });
+
+  it('never streams a file outside the exports folder', async () => {
+    event.archiveExport.key = 'wedding-memories/incoming/private.jpg';
+    const link = getLink();
+
+    const res = await request(app).get(link);
+
+    expect(res.status).toBe(410);
+    expect(getStorage('local').getStream).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-memories-files-'));
+process.env.LOCAL_STORAGE_PATH = root;
+
+const { getStorage } = require('../../utils/storage');
+const fileRoutes = require('../../routes/files');
+
+const app = express();
+app.use('/uploads', fileRoutes);
+
+const writeFile = (key, contents) => {
+  const filePath = path.join(root, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+};
+
+describe('file routes', () => {
+  beforeAll(() => {
+    writeFile('wedding-memories/media/photo.jpg', 'photo');
+    writeFile('wedding-memories/exports/export.zip', 'zip');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves local files from public folders', async () => {
+    const res = await request(app).get('/uploads/wedding-memories/media/photo.jpg');
+    expect(res.status).toBe(200);
+    expect(res.body.toString()).toBe('photo');
+  });
+
+  it('does not serve local exports', async () => {
+    const res = await request(app).get('/uploads/wedding-memories/exports/export.zip');
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 404 for missing local files', async () => {
+    const res = await request(app).get('/uploads/wedding-memories/media/missing.jpg');
+    expect(res.status).toBe(404);
+  });
+
+  it('redirects S3 keys in public folders to a presigned URL', async () => {
+    jest.spyOn(getStorage('s3'), 'getSignedUrl').mockResolvedValue('https://bucket.example/signed');
+
+    const res = await request(app).get('/uploads/s3/wedding-memories/media/photo.jpg');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://bucket.example/signed');
+  });
+
+  it('does not presign S3 exports or keys outside the app folders', async () => {
+    const getSignedUrl = jest.spyOn(getStorage('s3'), 'getSignedUrl').mockResolvedValue('https://bucket.example/signed');
+
+    for (const key of ['wedding-memories/exports/export.zip', 'other-app/secret.txt', 'wedding-memories/media/../exports/a.zip']) {
+      const res = await request(app).get(`/uploads/s3/${key}`);
+      expect(res.status).toBe(404);
+    }
+    expect(getSignedUrl).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../../utils/cloudinary', () => ({
+  ...jest.requireActual('../../utils/cloudinary'),
+  extractMetadata: jest.fn(),
+  deleteFile: jest.fn()
+}));
+
+jest.mock('../../utils/storageQuota', () => ({
+  ...jest.requireActual('../../utils/storageQuota'),
+  reserveStorage: jest.fn(),
+  recordStorageUsage: jest.fn()
+}));
+
+jest.mock('../../utils/mediaPipeline', () => ({
+  ...jest.requireActual('../../utils/mediaPipeline'),
+  queueAudioProcessing: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const Guestbook = require('../../models/Guestbook');
+const User = require('../../models/User');
+const { generateToken } = require('../../middleware/auth');
+const { extractMetadata, deleteFile } = require('../../utils/cloudinary');
+const { reserveStorage, recordStorageUsage } = require('../../utils/storageQuota');
+const { queueAudioProcessing } = require('../../utils/mediaPipeline');
+const guestbookRoutes = require('../../routes/guestbook');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/guestbook', guestbookRoutes);
+app.use(errorHandler);
+
+describe('POST /api/guestbook/:eventId/audio', () => {
+  const recording = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(100)]);
+  let event;
+
+  const send = () => request(app)
+    .post(`/api/guestbook/${event._id}/audio`)
+    .field('guestName', 'Carol')
+    .attach('audio', recording, { filename: 'message.mp3', contentType: 'audio/mpeg' });
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: new mongoose.Types.ObjectId(),
+      isPublished: true,
+      settings: { enableGuestbook: true, enableAudioMessages: true }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event, 'findByIdAndUpdate').mockResolvedValue(event);
+    jest.spyOn(Guestbook.prototype, 'save').mockImplementation(function() {
+      this.isNew = false;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Guestbook, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app.set('io', { to: () => ({ emit: jest.fn() }) });
+
+    extractMetadata.mockResolvedValue({
+      url: '/uploads/wedding-memories/audio/abc.mp3',
+      cloudinaryPublicId: 'wedding-memories/audio/abc.mp3',
+      storageProvider: 'local',
+      fileSize: recording.length,
+      mimeType: 'audio/mpeg',
+      duration: null
+    });
+    deleteFile.mockResolvedValue({});
+    reserveStorage.mockResolvedValue();
+    recordStorageUsage.mockResolvedValue();
+    queueAudioProcessing.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    [extractMetadata, deleteFile, reserveStorage, recordStorageUsage, queueAudioProcessing].forEach(fn => fn.mockReset());
+  });
+
+  it('queues the recording for processing', async () => {
+    const res = await send();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.entry.audioMessage.processingStatus).toBe('processing');
+    expect(queueAudioProcessing).toHaveBeenCalledTimes(1);
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+
+  it('removes the entry and its recording when processing cannot be queued', async () => {
+    queueAudioProcessing.mockRejectedValue(new Error('Queue unavailable'));
+
+    const res = await send();
+
+    expect(res.status).toBe(500);
+    const [entry] = queueAudioProcessing.mock.calls[0];
+    expect(Guestbook.deleteOne).toHaveBeenCalledWith({ _id: entry._id });
+    expect(deleteFile).toHaveBeenCalledWith('wedding-memories/audio/abc.mp3', 'raw', 'local');
+    expect(recordStorageUsage).toHaveBeenCalledWith(event, -recording.length);
+  });
+
+  it('keeps the recording while an entry that could not be removed refers to it', async () => {
+    queueAudioProcessing.mockRejectedValue(new Error('Queue unavailable'));
+    Guestbook.deleteOne.mockRejectedValue(new Error('Database unavailable'));
+
+    const res = await send();
+
+    expect(res.status).toBe(500);
+    expect(deleteFile).not.toHaveBeenCalled();
+    expect(recordStorageUsage).not.toHaveBeenCalled();
+  });
+
+  it('drops the recording when the entry cannot be saved', async () => {
+    Guestbook.prototype.save.mockRejectedValue(new Error('Database unavailable'));
+
+    await send();
+
+    expect(Guestbook.deleteOne).not.toHaveBeenCalled();
+    expect(deleteFile).toHaveBeenCalledWith('wedding-memories/audio/abc.mp3', 'raw', 'local');
+    expect(recordStorageUsage).toHaveBeenCalledWith(event, -recording.length);
+  });
+});
+
+describe('GET /api/guestbook/manage/:eventId', () => {
+  const host = { _id: new mongoose.Types.ObjectId(), role: 'host', isActive: true };
+  let event;
+  let entry;
+
+  // Query chain resolving to a list of documents
+  const chain = (docs) => {
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      skip: () => query,
+      then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: host._id
+    });
+    entry = new Guestbook({
+      event: event._id,
+      guestName: 'Cara',
+      messageType: 'audio',
+      audioMessage: {
+        cloudinaryPublicId: 'wedding-memories/audio/abc.m4a',
+        transcript: { status: 'completed', text: 'Have a wonderful day', language: 'en', engine: 'whisper' }
+      }
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(host) });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Guestbook, 'find').mockReturnValue(chain([entry]));
+    jest.spyOn(Guestbook, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Guestbook, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds recordings by what was said in them', async () => {
+    const res = await request(app)
+      .get(`/api/guestbook/manage/${event._id}?search=wonderful`)
+      .set('Authorization', `Bearer ${generateToken(host._id)}`);
+
+    expect(res.status).toBe(200);
+    expect(Guestbook.find.mock.calls[0][0].$or).toContainEqual({
+      'audioMessage.transcript.text': { $regex: 'wonderful', $options: 'i' }
+    });
+    expect(res.body.data.entries[0].audioMessage.transcript).toMatchObject({
+      text: 'Have a wonderful day',
+      language: 'en'
+    });
+  });
+});
@@ -0,0 +1,427 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+jest.mock('../../utils/mediaPipeline', () => ({
+  ...jest.requireActual('../../utils/mediaPipeline'),
+  queueMediaCleanup: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const Media = require('../../models/Media');
+const User = require('../../models/User');
+const Job = require('../../models/Job');
+const { generateToken } = require('../../middleware/auth');
+const { queueMediaCleanup } = require('../../utils/mediaPipeline');
+const mediaRoutes = require('../../routes/media');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+
+const createEvent = (overrides = {}) => new Event({
+  title: 'Ann & Bob',
+  coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+  eventDate: new Date('2026-06-01'),
+  host: new mongoose.Types.ObjectId(),
+  isPublished: true,
+  ...overrides
+});
+
+const createMedia = (event, overrides = {}) => new Media({
+  event: event._id,
+  originalName: 'photo.jpg',
+  fileType: 'image',
+  mimeType: 'image/jpeg',
+  fileSize: 100,
+  url: '/uploads/wedding-memories/media/photo.jpg',
+  cloudinaryPublicId: 'wedding-memories/media/photo.jpg',
+  uploader: { type: 'guest', guestName: 'Cara' },
+  processingStatus: 'completed',
+  ...overrides
+});
+
+const variant = (name, width) => ({
+  url: `/uploads/wedding-memories/media/photo-${name}.jpg`,
+  key: `wedding-memories/media/photo-${name}.jpg`,
+  width,
+  height: width
+});
+
+// Processed photo with every kind of rendition
+const createPhoto = (event, uploaderType, overrides = {}) => createMedia(event, {
+  fileName: 'wedding-memories/media/photo.jpg',
+  uploader: { type: uploaderType },
+  quality: {
+    original: variant('original', 4000),
+    display: variant('display', 2560),
+    large: variant('large', 1200),
+    thumbnail: variant('thumbnail', 200)
+  },
+  renditions: [
+    { format: 'webp', ...variant('640', 640) },
+    { format: 'webp', ...variant('1600', 1600) }
+  ],
+  ...overrides
+});
+
+// Watermark applied to photographers' photos
+const WATERMARK = { enabled: true, type: 'text', text: 'Studio', applyTo: ['photographer'] };
+
+// Files a guest must never be handed for a watermarked photo
+const CLEAN_FILES = /photo-(original|display|1600)\.jpg|media\/photo\.jpg/;
+
+// Query chain resolving to a list of documents
+const chain = (docs) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    skip: () => query,
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('GET /api/media/event/:eventId', () => {
+  let event;
+
+  beforeEach(() => {
+    event = createEvent();
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Media, 'countDocuments').mockResolvedValue(3);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sort=taken', () => {
+    it('orders by capture time, placing media without one by upload time', async () => {
+      const older = createMedia(event, { capturedAt: new Date('2026-06-01T10:00:00Z') });
+      const undated = createMedia(event, { capturedAt: null, createdAt: new Date('2026-06-01T11:00:00Z') });
+      const newer = createMedia(event, { capturedAt: new Date('2026-06-01T12:00:00Z') });
+
+      const aggregate = jest.spyOn(Media, 'aggregate').mockResolvedValue([
+        { _id: older._id }, { _id: undated._id }, { _id: newer._id }
+      ]);
+      const find = Media.find;
+      jest.spyOn(Media, 'find').mockImplementation(function(filter, ...args) {
+        if (filter && filter._id) return chain([newer, older, undated]);
+        return find.call(this, filter, ...args);
+      });
+
+      const res = await request(app).get(`/api/media/event/${event._id}?sort=taken&order=asc`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.media.map(item => item._id)).toEqual(
+        [older, undated, newer].map(item => item._id.toString())
+      );
+
+      const [match, addFields, sort] = aggregate.mock.calls[0][0];
+      expect(match.$match.event).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(match.$match.event.equals(event._id)).toBe(true);
+      expect(addFields.$addFields.takenAt).toEqual({ $ifNull: ['$capturedAt', '$createdAt'] });
+      expect(sort.$sort).toEqual({ takenAt: 1, _id: 1 });
+    });
+  });
+
+  describe('watermarked events', () => {
+    beforeEach(() => {
+      event.watermark = WATERMARK;
+    });
+
+    it('lists watermarked photos without their clean files', async () => {
+      jest.spyOn(Media, 'find').mockReturnValue(chain([createPhoto(event, 'photographer')]));
+
+      const res = await request(app).get(`/api/media/event/${event._id}`);
+
+      expect(res.status).toBe(200);
+      const [photo] = res.body.data.media;
+      expect(photo.url).toBe('/uploads/wedding-memories/media/photo-large.jpg');
+      expect(photo.fileName).toBeUndefined();
+      expect(photo.quality.original).toBeUndefined();
+      expect(photo.quality.display).toBeUndefined();
+      expect(photo.renditions.map(rendition => rendition.width)).toEqual([640]);
+      expect(JSON.stringify(photo)).not.toMatch(CLEAN_FILES);
+    });
+
+    it('lists photos the watermark does not apply to as they are', async () => {
+      jest.spyOn(Media, 'find').mockReturnValue(chain([createPhoto(event, 'guest')]));
+
+      const res = await request(app).get(`/api/media/event/${event._id}`);
+
+      const [photo] = res.body.data.media;
+      expect(photo.url).toBe('/uploads/wedding-memories/media/photo.jpg');
+      expect(photo.quality.original.url).toBe('/uploads/wedding-memories/media/photo-original.jpg');
+      expect(photo.renditions).toHaveLength(2);
+    });
+  });
+});
+
+describe('GET /api/media/manage/:eventId/jobs', () => {
+  const host = { _id: new mongoose.Types.ObjectId(), role: 'host', isActive: true };
+  let event;
+
+  beforeEach(() => {
+    event = createEvent({ host: host._id });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(host) });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Job, 'find').mockReturnValue(chain([]));
+    jest.spyOn(Job, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Job, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filters by a known status', async () => {
+    const res = await request(app)
+      .get(`/api/media/manage/${event._id}/jobs?status=dead`)
+      .set('Authorization', `Bearer ${generateToken(host._id)}`);
+
+    expect(res.status).toBe(200);
+    expect(Job.find).toHaveBeenCalledWith({ event: event._id, status: 'dead' });
+  });
+
+  it('rejects statuses that are not plain job states', async () => {
+    const res = await request(app)
+      .get(`/api/media/manage/${event._id}/jobs?status[$ne]=completed`)
+      .set('Authorization', `Bearer ${generateToken(host._id)}`);
+
+    expect(res.status).toBe(400);
+    expect(Job.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/media/manage/:eventId/map', () => {
+  const host = { _id: new mongoose.Types.ObjectId(), role: 'host', isActive: true };
+  let event;
+
+  const getMap = (query = '') => request(app)
+    .get(`/api/media/manage/${event._id}/map${query}`)
+    .set('Authorization', `Bearer ${generateToken(host._id)}`);
+
+  // Pipeline stage of the last aggregation by its operator
+  const stage = (name) => Media.aggregate.mock.calls[0][0].find(step => step[name])[name];
+
+  beforeEach(() => {
+    event = createEvent({ host: host._id });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(host) });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Media, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clusters only approved photos with a location', async () => {
+    await getMap();
+
+    expect(stage('$match')).toEqual({
+      event: event._id,
+      status: 'approved',
+      'location.point.coordinates': { $exists: true }
+    });
+  });
+
+  it('sizes the grid cells by the radius in meters', async () => {
+    const res = await getMap('?radius=111.32');
+
+    expect(res.body.data.radius).toBe(111.32);
+    const { x, y } = stage('$group')._id;
+    expect(x.$floor.$divide[1]).toBeCloseTo(0.001, 10);
+    expect(y.$floor.$divide[1]).toBeCloseTo(0.001, 10);
+  });
+
+  it('keeps the radius between 1 meter and 5 km, 25 meters by default', async () => {
+    expect((await getMap()).body.data.radius).toBe(25);
+    expect((await getMap('?radius=0.1')).body.data.radius).toBe(1);
+    expect((await getMap('?radius=100000')).body.data.radius).toBe(5000);
+  });
+
+  it('bounds the map by the clusters and totals their photos', async () => {
+    Media.aggregate.mockResolvedValue([
+      { latitude: 52.37, longitude: 4.9, count: 5 },
+      { latitude: 52.36, longitude: 4.92, count: 2 },
+      { latitude: 52.38, longitude: 4.89, count: 1 }
+    ]);
+
+    const res = await getMap();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bounds).toEqual({ north: 52.38, south: 52.36, east: 4.92, west: 4.89 });
+    expect(res.body.data.totalLocated).toBe(8);
+  });
+
+  it('has no bounds without located photos', async () => {
+    const res = await getMap();
+
+    expect(res.body.data).toMatchObject({ clusters: [], bounds: null, totalLocated: 0 });
+  });
+});
+
+describe('GET /api/media/:mediaId', () => {
+  const photographer = { _id: new mongoose.Types.ObjectId(), role: 'photographer', isActive: true };
+  let event;
+  let photo;
+
+  beforeEach(() => {
+    event = createEvent({ photographers: [photographer._id], watermark: WATERMARK });
+    photo = createPhoto(event, 'photographer');
+    jest.spyOn(Media, 'findById').mockReturnValue({ populate: () => Promise.resolve(photo) });
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => Promise.resolve(event) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(photographer) });
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives guests the previews of a watermarked photo only', async () => {
+    const res = await request(app).get(`/api/media/${photo._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.media.url).toBe('/uploads/wedding-memories/media/photo-large.jpg');
+    expect(res.body.data.media.quality.original).toBeUndefined();
+    expect(JSON.stringify(res.body.data.media)).not.toMatch(CLEAN_FILES);
+  });
+
+  it("gives the event's photographers the clean files", async () => {
+    const res = await request(app)
+      .get(`/api/media/${photo._id}`)
+      .set('Authorization', `Bearer ${generateToken(photographer._id)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.media.url).toBe('/uploads/wedding-memories/media/photo.jpg');
+    expect(res.body.data.media.quality.original.url).toBe('/uploads/wedding-memories/media/photo-original.jpg');
+  });
+});
+
+describe('PUT /api/media/:mediaId', () => {
+  const host = { _id: new mongoose.Types.ObjectId(), role: 'host', isActive: true };
+  const emit = jest.fn();
+  let event;
+
+  beforeEach(() => {
+    event = createEvent({ host: host._id, watermark: WATERMARK });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(host) });
+    app.set('io', { to: () => ({ emit }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    emit.mockReset();
+  });
+
+  it('announces approved watermarked photos to the event room by their previews', async () => {
+    const pending = createPhoto(event, 'photographer', { status: 'pending' });
+    pending.event = event;
+    jest.spyOn(Media, 'findById').mockReturnValue({ populate: () => Promise.resolve(pending) });
+    jest.spyOn(Media, 'findByIdAndUpdate').mockResolvedValue(createPhoto(event, 'photographer', { _id: pending._id }));
+
+    const res = await request(app)
+      .put(`/api/media/${pending._id}`)
+      .set('Authorization', `Bearer ${generateToken(host._id)}`)
+      .send({ status: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.media.quality.original.url).toBe('/uploads/wedding-memories/media/photo-original.jpg');
+
+    const [name, { media }] = emit.mock.calls[0];
+    expect(name).toBe('media-approved');
+    expect(media.url).toBe('/uploads/wedding-memories/media/photo-large.jpg');
+    expect(JSON.stringify(media)).not.toMatch(CLEAN_FILES);
+  });
+});
+
+describe('POST /api/media/manage/:eventId/duplicates/:groupId/resolve', () => {
+  const host = { _id: new mongoose.Types.ObjectId(), role: 'host', isActive: true };
+  const groupId = new mongoose.Types.ObjectId();
+  let event;
+  let cluster;
+
+  const resolve = (body, group = groupId) => request(app)
+    .post(`/api/media/manage/${event._id}/duplicates/${group}/resolve`)
+    .set('Authorization', `Bearer ${generateToken(host._id)}`)
+    .send(body);
+
+  beforeEach(() => {
+    event = createEvent({ host: host._id });
+    cluster = [
+      createMedia(event, { duplicateGroup: groupId, status: 'approved' }),
+      createMedia(event, { duplicateGroup: groupId, status: 'approved' }),
+      createMedia(event, { duplicateGroup: groupId, status: 'pending' }),
+      createMedia(event, { duplicateGroup: groupId, status: 'rejected' }),
+      createMedia(event, { duplicateGroup: groupId, status: 'approved', fileType: 'video', mimeType: 'video/mp4' }),
+      createMedia(event, { duplicateGroup: groupId, status: 'approved', processingStatus: 'processing' })
+    ];
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(host) });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event, 'findByIdAndUpdate').mockResolvedValue(event);
+    jest.spyOn(Media, 'find').mockResolvedValue(cluster);
+    jest.spyOn(Media, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Media, 'updateMany').mockResolvedValue({});
+    queueMediaCleanup.mockResolvedValue({});
+    app.set('io', { to: () => ({ emit: jest.fn() }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueMediaCleanup.mockReset();
+  });
+
+  it('deletes the other copies and uncounts only the published ones', async () => {
+    const res = await resolve({ keep: cluster[0]._id.toString(), action: 'delete' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted).toHaveLength(5);
+    expect(queueMediaCleanup).toHaveBeenCalledTimes(5);
+    expect(Event.findByIdAndUpdate).toHaveBeenCalledWith(event._id, {
+      $inc: { 'statistics.totalPhotos': -1, 'statistics.totalVideos': -1 }
+    });
+    expect(Media.updateMany).toHaveBeenLastCalledWith(
+      { event: event._id, duplicateGroup: groupId.toString() },
+      { duplicateGroup: null }
+    );
+  });
+
+  it('leaves the statistics alone when no published copy goes', async () => {
+    Media.find.mockResolvedValue([cluster[0], cluster[2], cluster[3]]);
+
+    await resolve({ keep: cluster[0]._id.toString(), action: 'delete' });
+
+    expect(Event.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('hides the other copies', async () => {
+    const res = await resolve({ keep: cluster[1]._id.toString(), action: 'hide' });
+
+    expect(res.status).toBe(200);
+    expect(Media.deleteMany).not.toHaveBeenCalled();
+    expect(Media.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: cluster.filter((media, i) => i !== 1).map(media => media._id) } },
+      { isHidden: true }
+    );
+    expect(Event.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses to keep a photo from outside the cluster', async () => {
+    const res = await resolve({ keep: new mongoose.Types.ObjectId().toString(), action: 'hide' });
+
+    expect(res.status).toBe(400);
+    expect(Media.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('validates the cluster id before looking it up', async () => {
+    const res = await resolve({ keep: cluster[0]._id.toString(), action: 'hide' }, 'not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Invalid duplicate cluster');
+    expect(Media.find).not.toHaveBeenCalled();
+  });
+});
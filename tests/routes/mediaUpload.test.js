@@ -0,0 +1,78 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+
+process.env.MAX_EVENT_FILE_SIZE = '50000';
+
+jest.mock('../../utils/mediaPipeline', () => ({
+  ...jest.requireActual('../../utils/mediaPipeline'),
+  createMediaFromFile: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const { createMediaFromFile } = require('../../utils/mediaPipeline');
+const mediaRoutes = require('../../routes/media');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+
+describe('multi-file uploads', () => {
+  let event;
+  let photo;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: new mongoose.Types.ObjectId(),
+      isPublished: true,
+      settings: { maxFileSize: 5000 }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    createMediaFromFile.mockImplementation(async (file) => ({ originalName: file.originalname, status: 'approved' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    createMediaFromFile.mockReset();
+  });
+
+  it('rejects a file over the event limit on its own', async () => {
+    const big = Buffer.concat([photo, Buffer.alloc(10000)]);
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}`)
+      .field('guestName', 'Carol')
+      .attach('media', photo, { filename: 'small.jpg', contentType: 'image/jpeg' })
+      .attach('media', big, { filename: 'big.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.media).toEqual([{ originalName: 'small.jpg', status: 'approved' }]);
+    expect(res.body.data.rejected).toEqual([
+      expect.objectContaining({ fileName: 'big.jpg', code: 'FILE_TOO_LARGE' })
+    ]);
+    expect(createMediaFromFile).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses the request when a file exceeds the largest event limit', async () => {
+    const huge = Buffer.concat([photo, Buffer.alloc(60000)]);
+
+    const res = await request(app)
+      .post(`/api/media/guest-upload/${event._id}`)
+      .field('guestName', 'Carol')
+      .attach('media', huge, { filename: 'huge.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(413);
+    expect(createMediaFromFile).not.toHaveBeenCalled();
+  });
+});
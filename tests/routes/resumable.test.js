@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-memories-resumable-'));
+process.env.UPLOAD_TMP_DIR = tmpDir;
+
+jest.mock('../../utils/storageQuota', () => ({
+  ...jest.requireActual('../../utils/storageQuota'),
+  checkStorageQuota: jest.fn().mockResolvedValue(),
+  reserveStorage: jest.fn().mockResolvedValue(),
+  recordStorageUsage: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../utils/mediaPipeline', () => ({
+  ...jest.requireActual('../../utils/mediaPipeline'),
+  createMediaFromFile: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const UploadSession = require('../../models/UploadSession');
+const { createMediaFromFile } = require('../../utils/mediaPipeline');
+const { AppError, errorHandler } = require('../../middleware/errorHandler');
+const resumableRoutes = require('../../routes/resumable');
+
+const app = express();
+app.use('/api/media/resumable', resumableRoutes);
+app.use(errorHandler);
+
+const metadata = (fields) => Object.entries(fields)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+describe('resumable uploads', () => {
+  let event;
+  let sessions;
+
+  // Start a guest upload of `length` bytes and return its URL
+  const createUpload = async (length = 4) => {
+    const res = await request(app)
+      .post(`/api/media/resumable/guest-upload/${event._id}`)
+      .set('Upload-Length', String(length))
+      .set('Upload-Metadata', metadata({ filename: 'clip.mp4', filetype: 'video/mp4', guestName: 'Cara' }));
+    expect(res.status).toBe(201);
+    return res.headers.location;
+  };
+
+  const patch = (url, offset, body) => request(app)
+    .patch(url)
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(Buffer.from(body));
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: new mongoose.Types.ObjectId(),
+      isPublished: true,
+      settings: { maxFileSize: 1024 }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+
+    // Sessions kept in memory
+    sessions = new Map();
+    jest.spyOn(UploadSession, 'create').mockImplementation(async (data) => {
+      const session = new UploadSession(data);
+      sessions.set(session._id.toString(), session);
+      return session;
+    });
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(UploadSession, 'find').mockReturnValue({ limit: async () => [] });
+    jest.spyOn(UploadSession, 'findById').mockImplementation((id) => {
+      const session = sessions.get(String(id)) || null;
+      return { select: async () => session };
+    });
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation(async ({ _id, offset }) => {
+      const session = sessions.get(String(_id));
+      if (!session || session.status !== 'uploading' || session.offset !== offset) return null;
+      session.lockedAt = new Date();
+      return session;
+    });
+    jest.spyOn(UploadSession, 'deleteOne').mockImplementation(async ({ _id }) => {
+      sessions.delete(String(_id));
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    createMediaFromFile.mockReset();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('issues an upload URL with a random secret', async () => {
+    const url = await createUpload();
+    const [uploadId, secret] = url.split('/').slice(-2);
+
+    expect(mongoose.isValidObjectId(uploadId)).toBe(true);
+    expect(secret.length).toBeGreaterThanOrEqual(32);
+    expect(sessions.get(uploadId).secretHash).not.toContain(secret);
+  });
+
+  it('accepts chunks and reports the offset with the secret', async () => {
+    const url = await createUpload();
+
+    const patched = await patch(url, 0, 'ab');
+    expect(patched.status).toBe(204);
+    expect(patched.headers['upload-offset']).toBe('2');
+
+    const head = await request(app).head(url);
+    expect(head.status).toBe(200);
+    expect(head.headers['upload-offset']).toBe('2');
+  });
+
+  it('refuses every upload request without the right secret', async () => {
+    const url = await createUpload();
+    const uploadId = url.split('/').slice(-2)[0];
+
+    for (const wrongUrl of [`/api/media/resumable/${uploadId}`, `/api/media/resumable/${uploadId}/guessed`]) {
+      expect((await request(app).head(wrongUrl)).status).toBe(404);
+      expect((await patch(wrongUrl, 0, 'ab')).status).toBe(404);
+      expect((await request(app).get(wrongUrl)).status).toBe(404);
+      expect((await request(app).delete(wrongUrl)).status).toBe(404);
+    }
+
+    expect(sessions.get(uploadId).offset).toBe(0);
+    expect(sessions.has(uploadId)).toBe(true);
+  });
+
+  it('cancels an upload with the secret', async () => {
+    const url = await createUpload();
+    const uploadId = url.split('/').slice(-2)[0];
+
+    expect((await request(app).delete(url)).status).toBe(204);
+    expect(sessions.has(uploadId)).toBe(false);
+  });
+
+  it('answers the last chunk with 204 once the media is created', async () => {
+    createMediaFromFile.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const url = await createUpload();
+
+    const res = await patch(url, 0, 'abcd');
+    expect(res.status).toBe(204);
+    expect(createMediaFromFile).toHaveBeenCalled();
+  });
+
+  it('answers the last chunk with the error when the file is refused', async () => {
+    createMediaFromFile.mockRejectedValue(new AppError('File type does not match its content', 415, 'FILE_TYPE_MISMATCH'));
+    const url = await createUpload();
+
+    const res = await patch(url, 0, 'abcd');
+    expect(res.status).toBe(415);
+    expect(res.body.code).toBe('FILE_TYPE_MISMATCH');
+    expect(res.headers['upload-offset']).toBe('4');
+
+    const status = await request(app).get(url);
+    expect(status.body.data.status).toBe('failed');
+  });
+
+  it('answers the last chunk with 500 when the file cannot be stored', async () => {
+    createMediaFromFile.mockRejectedValue(new Error('Storage unavailable'));
+    const url = await createUpload();
+
+    const res = await patch(url, 0, 'abcd');
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe('Upload could not be processed');
+  });
+});
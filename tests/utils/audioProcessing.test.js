@@ -0,0 +1,30 @@
+const { getPeaks } = require('../../utils/audioProcessing');
+
+// 16-bit mono PCM holding the given samples
+const toPcm = (samples) => {
+  const pcm = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+  return pcm;
+};
+
+describe('getPeaks', () => {
+  it('takes the loudest sample of each slice, either polarity', () => {
+    const pcm = toPcm([100, -16384, 0, 0, 32767, 8192, -32768, 0]);
+
+    expect(getPeaks(pcm, 4)).toEqual([0.5, 0, 1, 1]);
+  });
+
+  it('spreads samples that do not divide evenly across the slices', () => {
+    const pcm = toPcm([0, 0, 32767, 0, 0, 0, 0]);
+
+    expect(getPeaks(pcm, 3)).toEqual([0, 1, 0]);
+  });
+
+  it('returns one peak per sample for recordings shorter than the count', () => {
+    expect(getPeaks(toPcm([16384, -3277]), 100)).toEqual([0.5, 0.1]);
+  });
+
+  it('ignores a trailing odd byte', () => {
+    expect(getPeaks(Buffer.alloc(1), 10)).toEqual([]);
+  });
+});
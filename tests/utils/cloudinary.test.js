@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+const { getStorage } = require('../../utils/storage');
+const { extractMetadata } = require('../../utils/cloudinary');
+const { extractGps } = require('../../utils/imageProcessing');
+
+describe('extractMetadata', () => {
+  let photo;
+
+  beforeAll(async () => {
+    const buffer = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withExif({
+        IFD2: { DateTimeOriginal: '2026:06:01 14:30:00' },
+        IFD3: {
+          GPSLatitudeRef: 'N', GPSLatitude: '52/1 22/1 1200/100',
+          GPSLongitudeRef: 'W', GPSLongitude: '4/1 54/1 0/1'
+        }
+      })
+      .toBuffer();
+    photo = { buffer, size: buffer.length, mimetype: 'image/jpeg', originalname: 'photo.jpg' };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(getStorage(), 'upload').mockImplementation(async (file, { folder }) => ({
+      key: `wedding-memories/${folder}/photo.jpg`,
+      url: `/uploads/wedding-memories/${folder}/photo.jpg`,
+      bytes: file.size
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records where a photo was taken', async () => {
+    const metadata = await extractMetadata({ ...photo });
+
+    expect(metadata.location.coordinates.latitude).toBeCloseTo(52.37, 5);
+    expect(metadata.location.coordinates.longitude).toBeCloseTo(-4.9, 5);
+  });
+
+  it('drops the location of photos uploaded to events that scrub metadata', async () => {
+    const metadata = await extractMetadata({ ...photo }, 'incoming', { scrub: true });
+
+    expect(metadata.location).toBeUndefined();
+    expect(metadata.metadata).toEqual({ dateTimeTaken: expect.any(Date) });
+
+    const [stored] = getStorage().upload.mock.calls[0];
+    await expect(extractGps(stored)).resolves.toBeNull();
+  });
+});
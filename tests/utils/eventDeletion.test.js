@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../utils/cloudinary', () => ({
+  ...jest.requireActual('../../utils/cloudinary'),
+  deleteFile: jest.fn()
+}));
+
+jest.mock('../../utils/storageQuota', () => ({
+  ...jest.requireActual('../../utils/storageQuota'),
+  recordStorageUsage: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const Media = require('../../models/Media');
+const Guestbook = require('../../models/Guestbook');
+const User = require('../../models/User');
+const jobQueue = require('../../utils/jobQueue');
+const { deleteFile } = require('../../utils/cloudinary');
+
+// The job handler, as registered with the queue
+const registerHandler = jest.spyOn(jobQueue, 'registerHandler');
+require('../../utils/eventDeletion');
+const deleteEventJob = registerHandler.mock.calls.find(([type]) => type === 'delete-event')[1];
+
+describe('delete-event job', () => {
+  const io = { to: () => ({ emit: jest.fn() }) };
+  const job = { _id: new mongoose.Types.ObjectId(), progress: {} };
+
+  const createEvent = (overrides) => new Event({
+    title: 'Ann & Bob',
+    coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+    eventDate: new Date('2026-06-01'),
+    host: new mongoose.Types.ObjectId(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Media, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Guestbook, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Media, 'find').mockReturnValue({ limit: () => Promise.resolve([]) });
+    jest.spyOn(Guestbook, 'find').mockReturnValue({ limit: () => Promise.resolve([]) });
+    jest.spyOn(Media, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Guestbook, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(User, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Event, 'findByIdAndDelete').mockResolvedValue(null);
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(jobQueue, 'reportProgress').mockResolvedValue();
+    deleteFile.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    deleteFile.mockReset();
+  });
+
+  it("deletes the event's cover, watermark image and export", async () => {
+    const event = createEvent({
+      coverPhotoKey: 'wedding-memories/covers/cover.jpg',
+      watermark: { imageKey: 'wedding-memories/watermarks/logo.png' },
+      archiveExport: { key: 'wedding-memories/exports/export.zip', provider: 'local' }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+
+    await deleteEventJob({ eventId: event._id.toString() }, { io, job });
+
+    expect(deleteFile).toHaveBeenCalledWith('wedding-memories/covers/cover.jpg', 'image', null);
+    expect(deleteFile).toHaveBeenCalledWith('wedding-memories/watermarks/logo.png', 'image', null);
+    expect(deleteFile).toHaveBeenCalledWith('wedding-memories/exports/export.zip', 'raw', 'local');
+    expect(Event.findByIdAndDelete).toHaveBeenCalledWith(event._id);
+  });
+
+  it('leaves files outside the cover, watermark and export folders alone', async () => {
+    const event = createEvent({
+      coverPhotoKey: 'wedding-memories/media/someone-elses.jpg',
+      watermark: { imageKey: 'wedding-memories/watermarks/../media/photo.jpg' },
+      archiveExport: { key: 'wedding-memories/media/photo.jpg', provider: 'local' }
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+
+    await deleteEventJob({ eventId: event._id.toString() }, { io, job });
+
+    expect(deleteFile).not.toHaveBeenCalled();
+    expect(event.coverPhotoKey).toBeNull();
+    expect(event.archiveExport.key).toBeNull();
+    expect(Event.findByIdAndDelete).toHaveBeenCalledWith(event._id);
+  });
+});
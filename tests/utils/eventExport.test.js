@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const {
+  toCsvValue,
+  hasDownloadableExport,
+  createExportDownloadLink,
+  verifyExportDownloadToken
+} = require('../../utils/eventExport');
+
+const createEvent = (archiveExport) => new Event({
+  title: 'Ann & Bob',
+  coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+  eventDate: new Date('2026-06-01'),
+  host: new mongoose.Types.ObjectId(),
+  archiveExport
+});
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('toCsvValue', () => {
+  it('leaves plain values as they are', () => {
+    expect(toCsvValue('Carol')).toBe('Carol');
+    expect(toCsvValue(42)).toBe('42');
+    expect(toCsvValue(false)).toBe('false');
+  });
+
+  it('writes missing values as empty cells', () => {
+    expect(toCsvValue(null)).toBe('');
+    expect(toCsvValue(undefined)).toBe('');
+  });
+
+  it('writes dates as ISO timestamps', () => {
+    expect(toCsvValue(new Date('2026-06-01T12:00:00Z'))).toBe('2026-06-01T12:00:00.000Z');
+  });
+
+  it('quotes values with commas, quotes or line breaks', () => {
+    expect(toCsvValue('Ann, Bob')).toBe('"Ann, Bob"');
+    expect(toCsvValue('The "best" day')).toBe('"The ""best"" day"');
+    expect(toCsvValue('Line one\nLine two')).toBe('"Line one\nLine two"');
+  });
+
+  it('defuses values a spreadsheet would run as formulas', () => {
+    expect(toCsvValue('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(toCsvValue('+1')).toBe('\'+1');
+    expect(toCsvValue('-1')).toBe('\'-1');
+    expect(toCsvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+  });
+});
+
+describe('hasDownloadableExport', () => {
+  it('accepts an export in the exports folder until it expires', () => {
+    expect(hasDownloadableExport(createEvent({
+      key: 'wedding-memories/exports/export.zip',
+      expiresAt: tomorrow()
+    }))).toBe(true);
+    expect(hasDownloadableExport(createEvent({
+      key: 'wedding-memories/exports/export.zip',
+      expiresAt: new Date(Date.now() - 1000)
+    }))).toBe(false);
+  });
+
+  it('rejects keys outside the exports folder', () => {
+    expect(hasDownloadableExport(createEvent({
+      key: 'wedding-memories/incoming/private.jpg',
+      expiresAt: tomorrow()
+    }))).toBe(false);
+    expect(hasDownloadableExport(createEvent({
+      key: 'wedding-memories/exports/../incoming/private.jpg',
+      expiresAt: tomorrow()
+    }))).toBe(false);
+  });
+});
+
+describe('export download links', () => {
+  it('carries the event and export key in a token that verifies', () => {
+    const event = createEvent({ key: 'wedding-memories/exports/export.zip', expiresAt: tomorrow() });
+    const { url } = createExportDownloadLink(event);
+    const token = decodeURIComponent(url.split('token=')[1]);
+
+    expect(url).toMatch(`/api/events/${event._id}/export/download?token=`);
+    expect(verifyExportDownloadToken(token)).toMatchObject({
+      type: 'event-export',
+      eventId: event._id.toString(),
+      key: 'wedding-memories/exports/export.zip'
+    });
+  });
+
+  it('expires with the export when that comes first', () => {
+    const event = createEvent({
+      key: 'wedding-memories/exports/export.zip',
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+    const { url, expiresAt } = createExportDownloadLink(event);
+    const { exp } = jwt.decode(decodeURIComponent(url.split('token=')[1]));
+
+    // Token times are whole seconds
+    expect(expiresAt.getTime()).toBeLessThanOrEqual(event.archiveExport.expiresAt.getTime() + 1000);
+    expect(exp * 1000).toBeLessThanOrEqual(event.archiveExport.expiresAt.getTime() + 1000);
+    expect(exp * 1000).toBeLessThan(Date.now() + 5 * 60 * 1000);
+  });
+
+  it('rejects other tokens signed with the same secret', () => {
+    const token = jwt.sign({ userId: 'someone' }, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
+
+    expect(() => verifyExportDownloadToken(token)).toThrow('Invalid download token');
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectFileType, readFileHeader, verifyFileType } = require('../../utils/fileType');
+
+// ISO base media header with the given brand
+const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'ascii')]);
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+describe('detectFileType', () => {
+  it('identifies images by their signature', () => {
+    expect(detectFileType(JPEG)).toEqual(['image/jpeg']);
+    expect(detectFileType(PNG)).toEqual(['image/png']);
+    expect(detectFileType(Buffer.from('GIF89a'))).toEqual(['image/gif']);
+    expect(detectFileType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toEqual(['image/webp']);
+  });
+
+  it('tells ISO base media files apart by brand', () => {
+    expect(detectFileType(ftyp('heic'))).toEqual(['image/heic']);
+    expect(detectFileType(ftyp('mif1'))).toEqual(['image/heif']);
+    expect(detectFileType(ftyp('qt  '))).toEqual(['video/quicktime']);
+    expect(detectFileType(ftyp('isom'))).toEqual(['video/mp4']);
+  });
+
+  it('identifies audio and WebM', () => {
+    expect(detectFileType(Buffer.from('ID3\x03\0'))).toEqual(['audio/mpeg']);
+    expect(detectFileType(Buffer.from('RIFF\0\0\0\0WAVEfmt '))).toEqual(['audio/wav']);
+    expect(detectFileType(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]))).toEqual(['audio/webm', 'video/webm']);
+  });
+
+  it('returns nothing for unknown or missing content', () => {
+    expect(detectFileType(Buffer.from('<html><body>'))).toEqual([]);
+    expect(detectFileType(Buffer.alloc(0))).toEqual([]);
+    expect(detectFileType(null)).toEqual([]);
+  });
+});
+
+describe('readFileHeader', () => {
+  it('reads the first bytes of a file on disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-memories-filetype-'));
+    const filePath = path.join(dir, 'photo.png');
+    fs.writeFileSync(filePath, Buffer.concat([PNG, Buffer.alloc(200)]));
+
+    try {
+      const header = await readFileHeader({ path: filePath });
+      expect(header.length).toBe(64);
+      expect(header.subarray(0, 8)).toEqual(PNG);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('verifyFileType', () => {
+  it('accepts content matching the claimed type', async () => {
+    const file = { mimetype: 'image/jpeg', buffer: JPEG };
+    await expect(verifyFileType(file, ['image/jpeg'])).resolves.toBe(file);
+  });
+
+  it('normalizes aliases and corrects the subtype from the content', async () => {
+    await expect(verifyFileType({ mimetype: 'image/jpg', buffer: JPEG }, ['image/jpeg']))
+      .resolves.toMatchObject({ mimetype: 'image/jpeg' });
+    await expect(verifyFileType({ mimetype: 'image/jpeg', buffer: PNG }, ['image/jpeg', 'image/png']))
+      .resolves.toMatchObject({ mimetype: 'image/png' });
+  });
+
+  it('rejects content of another kind than claimed', async () => {
+    await expect(verifyFileType({ mimetype: 'image/jpeg', buffer: Buffer.from('<html>') }, ['image/jpeg']))
+      .rejects.toMatchObject({ statusCode: 415, code: 'FILE_TYPE_MISMATCH' });
+    await expect(verifyFileType({ mimetype: 'image/jpeg', buffer: ftyp('isom') }, ['image/jpeg', 'video/mp4']))
+      .rejects.toMatchObject({ code: 'FILE_TYPE_MISMATCH' });
+  });
+
+  it('rejects detected types the upload does not accept', async () => {
+    await expect(verifyFileType({ mimetype: 'image/jpeg', buffer: PNG }, ['image/jpeg']))
+      .rejects.toMatchObject({ code: 'FILE_TYPE_MISMATCH' });
+  });
+
+  it('prefers a header read ahead of time', async () => {
+    const file = { mimetype: 'image/png', header: PNG, size: 1000 };
+    await expect(verifyFileType(file, ['image/png'])).resolves.toBe(file);
+  });
+});
@@ -0,0 +1,266 @@
+const sharp = require('sharp');
+const {
+  stripHeifMetadata,
+  getCropRegion,
+  getFocalRegion,
+  computePerceptualHash,
+  getHashDistance,
+  extractGps,
+  generatePlaceholder
+} = require('../../utils/imageProcessing');
+
+// ISO base media box; full boxes start with their version and flags
+const box = (type, ...parts) => {
+  const body = Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'ascii')));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+};
+const fullBox = (type, version, ...parts) => box(type, Buffer.from([version, 0, 0, 0]), ...parts);
+const uint16 = (value) => { const b = Buffer.alloc(2); b.writeUInt16BE(value); return b; };
+const uint32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value); return b; };
+
+// Item info entry (version 2)
+const infe = (id, type, contentType) => fullBox('infe', 2, uint16(id), uint16(0), type, '\0',
+  ...(contentType ? [`${contentType}\0`] : []));
+
+// Item location (version 1, 4-byte offsets and lengths, no base offset)
+const iloc = (items) => fullBox('iloc', 1, Buffer.from([0x44, 0x00]), uint16(items.length),
+  ...items.flatMap(({ id, method, offset, length }) => [
+    uint16(id), uint16(method), uint16(0), uint16(1), uint32(offset), uint32(length)
+  ]));
+
+describe('stripHeifMetadata', () => {
+  const pixels = Buffer.from('PIXELS');
+  const exif = Buffer.from('\0\0\0\0Exif GPS 52.37N 4.89E');
+  const xmp = Buffer.from('<x:xmpmeta>GPS</x:xmpmeta>');
+
+  // ftyp, then mdat (image and Exif), then meta with XMP in idat
+  const buildHeif = () => {
+    const ftyp = box('ftyp', 'heic', uint32(0), 'mif1heic');
+    const mdatStart = ftyp.length + 8;
+    const mdat = box('mdat', pixels, exif);
+
+    return Buffer.concat([ftyp, mdat, fullBox('meta', 0,
+      fullBox('iinf', 0, uint16(3),
+        infe(1, 'hvc1'),
+        infe(2, 'Exif'),
+        infe(3, 'mime', 'application/rdf+xml')),
+      iloc([
+        { id: 1, method: 0, offset: mdatStart, length: pixels.length },
+        { id: 2, method: 0, offset: mdatStart + pixels.length, length: exif.length },
+        { id: 3, method: 1, offset: 0, length: xmp.length }
+      ]),
+      box('idat', xmp)
+    )]);
+  };
+
+  it('blanks the Exif and XMP items without moving anything', async () => {
+    const original = buildHeif();
+    const file = { buffer: original, mimetype: 'image/heic', originalname: 'IMG_0001.HEIC', size: original.length };
+
+    const scrubbed = await stripHeifMetadata(file);
+
+    expect(scrubbed.size).toBe(original.length);
+    expect(scrubbed.mimetype).toBe('image/heic');
+    expect(scrubbed.originalname).toBe('IMG_0001.HEIC');
+    expect(scrubbed.buffer.includes('GPS')).toBe(false);
+    expect(scrubbed.buffer.includes(pixels)).toBe(true);
+    expect(scrubbed.buffer.includes('application/rdf+xml')).toBe(true);
+    // The caller's buffer is left alone
+    expect(original.includes('GPS')).toBe(true);
+  });
+
+  it('leaves files without item metadata unchanged', async () => {
+    const buffer = Buffer.concat([box('ftyp', 'heic', uint32(0), 'mif1'), box('mdat', pixels)]);
+
+    const scrubbed = await stripHeifMetadata({ buffer, mimetype: 'image/heic' });
+
+    expect(scrubbed.buffer).toEqual(buffer);
+  });
+});
+
+describe('extractGps', () => {
+  // A JPEG with the given GPS IFD tags
+  const photoWithGps = (gps) => sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } })
+    .jpeg()
+    .withExif({ IFD3: gps })
+    .toBuffer()
+    .then(buffer => ({ buffer, mimetype: 'image/jpeg' }));
+
+  it('reads coordinates signed by their hemisphere', async () => {
+    const north = await extractGps(await photoWithGps({
+      GPSLatitudeRef: 'N', GPSLatitude: '52/1 22/1 1200/100',
+      GPSLongitudeRef: 'E', GPSLongitude: '4/1 54/1 0/1'
+    }));
+    const south = await extractGps(await photoWithGps({
+      GPSLatitudeRef: 'S', GPSLatitude: '33/1 52/1 1200/100',
+      GPSLongitudeRef: 'W', GPSLongitude: '151/1 12/1 3600/100'
+    }));
+
+    expect(north.latitude).toBeCloseTo(52.37, 5);
+    expect(north.longitude).toBeCloseTo(4.9, 5);
+    expect(south.latitude).toBeCloseTo(-33.87, 5);
+    expect(south.longitude).toBeCloseTo(-151.21, 5);
+  });
+
+  it('returns null for photos without GPS tags', async () => {
+    const buffer = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+
+    await expect(extractGps({ buffer, mimetype: 'image/jpeg' })).resolves.toBeNull();
+  });
+
+  it('ignores the 0,0 phones write without a fix', async () => {
+    await expect(extractGps(await photoWithGps({
+      GPSLatitudeRef: 'N', GPSLatitude: '0/1 0/1 0/1',
+      GPSLongitudeRef: 'E', GPSLongitude: '0/1 0/1 0/1'
+    }))).resolves.toBeNull();
+  });
+});
+
+describe('generatePlaceholder', () => {
+  const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+  // Components of a blurhash along x and y, from its size flag
+  const getComponents = (blurhash) => {
+    const sizeFlag = BASE83.indexOf(blurhash[0]);
+    return { x: (sizeFlag % 9) + 1, y: Math.floor(sizeFlag / 9) + 1 };
+  };
+
+  // Photo split into a red top half and a blue bottom half
+  const createPhoto = (width, height) => sharp({ create: { width, height, channels: 3, background: '#ff0000' } })
+    .composite([{
+      input: { create: { width, height: Math.floor(height / 2), channels: 3, background: '#0000ff' } },
+      top: Math.ceil(height / 2),
+      left: 0
+    }])
+    .jpeg()
+    .toBuffer()
+    .then(buffer => ({ buffer }));
+
+  it('uses 4x3 blurhash components for landscape photos and 3x4 for portrait', async () => {
+    const landscape = await generatePlaceholder(await createPhoto(400, 300));
+    const portrait = await generatePlaceholder(await createPhoto(300, 400));
+
+    expect(getComponents(landscape.blurhash)).toEqual({ x: 4, y: 3 });
+    expect(getComponents(portrait.blurhash)).toEqual({ x: 3, y: 4 });
+    // Size flag, maximum AC, four characters of DC and two per AC component
+    expect(landscape.blurhash).toHaveLength(1 + 1 + 4 + 2 * 11);
+  });
+
+  it('inlines a WebP of at most 16px in the shape of the photo', async () => {
+    const { dataUri } = await generatePlaceholder(await createPhoto(400, 200));
+
+    expect(dataUri).toMatch(/^data:image\/webp;base64,[A-Za-z0-9+/]+=*$/);
+    const image = Buffer.from(dataUri.split(',')[1], 'base64');
+    expect(image.length).toBeLessThan(1000);
+    await expect(sharp(image).metadata()).resolves.toMatchObject({ format: 'webp', width: 16, height: 8 });
+  });
+
+  it('picks the dominant colour', async () => {
+    const buffer = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    const { dominantColor } = await generatePlaceholder({ buffer });
+
+    // sharp buckets colours for its dominant colour, so allow for the bucket size
+    const [r, g, b] = dominantColor.match(/^#(..)(..)(..)$/).slice(1).map(hex => parseInt(hex, 16));
+    expect(Math.abs(r - 0x33)).toBeLessThanOrEqual(8);
+    expect(Math.abs(g - 0x66)).toBeLessThanOrEqual(8);
+    expect(Math.abs(b - 0x99)).toBeLessThanOrEqual(8);
+  });
+
+  it('returns null for files that are not images', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(generatePlaceholder({ buffer: Buffer.from('not an image') })).resolves.toBeNull();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('getCropRegion', () => {
+  const image = { width: 1000, height: 500 };
+
+  it('converts fractions of the image to pixels', () => {
+    expect(getCropRegion({ left: 0.1, top: 0.2, width: 0.5, height: 0.5 }, image))
+      .toEqual({ left: 100, top: 100, width: 500, height: 250 });
+  });
+
+  it('keeps crops that run past the edges inside the image', () => {
+    expect(getCropRegion({ left: 0.8, top: 0.9, width: 0.5, height: 0.5 }, image))
+      .toEqual({ left: 800, top: 450, width: 200, height: 50 });
+  });
+
+  it('never returns an empty region', () => {
+    expect(getCropRegion({ left: 1, top: 1, width: 0, height: 0 }, image))
+      .toEqual({ left: 999, top: 499, width: 1, height: 1 });
+  });
+});
+
+describe('getFocalRegion', () => {
+  it('centres the region on the focal point', () => {
+    expect(getFocalRegion({ x: 0.5, y: 0.5 }, { width: 1000, height: 500 }, 1))
+      .toEqual({ left: 250, top: 0, width: 500, height: 500 });
+    expect(getFocalRegion({ x: 0.5, y: 0.4 }, { width: 500, height: 1000 }, 1))
+      .toEqual({ left: 0, top: 150, width: 500, height: 500 });
+  });
+
+  it('stops at the edges of the image', () => {
+    expect(getFocalRegion({ x: 0.05, y: 0.5 }, { width: 1000, height: 500 }, 1))
+      .toEqual({ left: 0, top: 0, width: 500, height: 500 });
+    expect(getFocalRegion({ x: 0.5, y: 1 }, { width: 500, height: 1000 }, 1))
+      .toEqual({ left: 0, top: 500, width: 500, height: 500 });
+  });
+
+  it('keeps the whole image when it already has the aspect ratio', () => {
+    expect(getFocalRegion({ x: 0.2, y: 0.8 }, { width: 800, height: 600 }, 4 / 3))
+      .toEqual({ left: 0, top: 0, width: 800, height: 600 });
+  });
+});
+
+describe('perceptual hashes', () => {
+  // Grayscale JPEG whose brightness at each pixel comes from shade(x, y) (0-1)
+  const createImage = async (width, height, shade) => {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        pixels[y * width + x] = Math.round(shade(x / width, y / height) * 255);
+      }
+    }
+    const buffer = await sharp(pixels, { raw: { width, height, channels: 1 } }).jpeg().toBuffer();
+    return { buffer, mimetype: 'image/jpeg' };
+  };
+
+  // Blocks of unrelated brightness on the 9x8 grid the hash samples
+  const blocks = (x, y) => ((Math.floor(x * 9) * 37 + Math.floor(y * 8) * 53) % 100) / 100;
+
+  it('hashes to 64 bits of hex', async () => {
+    expect(await computePerceptualHash(await createImage(90, 80, blocks))).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('hashes resized and recompressed copies of a photo to nearby values', async () => {
+    const photo = await createImage(360, 320, blocks);
+    const copy = {
+      buffer: await sharp(photo.buffer).resize(120).jpeg({ quality: 60 }).toBuffer(),
+      mimetype: 'image/jpeg'
+    };
+
+    const distance = getHashDistance(await computePerceptualHash(photo), await computePerceptualHash(copy));
+    expect(distance).toBeLessThanOrEqual(6);
+  });
+
+  it('hashes different photos far apart', async () => {
+    const photo = await computePerceptualHash(await createImage(90, 80, blocks));
+    const other = await computePerceptualHash(await createImage(90, 80, (x, y) => 1 - blocks(x, y)));
+
+    expect(getHashDistance(photo, other)).toBeGreaterThan(6);
+  });
+
+  it('counts the bits two hashes differ in', () => {
+    expect(getHashDistance('0123456789abcdef', '0123456789abcdef')).toBe(0);
+    expect(getHashDistance('0000000000000000', '0000000000000001')).toBe(1);
+    expect(getHashDistance('0000000000000000', '8000000000000003')).toBe(3);
+    expect(getHashDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const jobQueue = require('../../utils/jobQueue');
+
+// Let pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('job heartbeat', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    // The queue only runs while connected
+    mongoose.connection._readyState = 1;
+    jest.spyOn(Job, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Job.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jobQueue.stop();
+    mongoose.connection._readyState = 0;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('renews the lock while a long job runs and stops once it ends', async () => {
+    let finish;
+    jobQueue.registerHandler('heartbeat-test', () => new Promise(resolve => { finish = resolve; }));
+
+    const job = new Job({ type: 'heartbeat-test', status: 'running', lockedAt: new Date(), attempts: 1 });
+    jest.spyOn(Job, 'findOneAndUpdate')
+      .mockResolvedValueOnce(job)
+      .mockResolvedValue(null);
+
+    jobQueue.start();
+    await flush();
+    expect(finish).toEqual(expect.any(Function));
+
+    jest.advanceTimersByTime(25 * 60 * 1000);
+    expect(Job.updateOne).toHaveBeenCalledTimes(2);
+    expect(Job.updateOne).toHaveBeenLastCalledWith(
+      { _id: job._id, lockedBy: expect.any(String) },
+      { lockedAt: expect.any(Date) }
+    );
+
+    finish();
+    await flush();
+    expect(job.status).toBe('completed');
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    expect(Job.updateOne).toHaveBeenCalledTimes(2);
+  });
+});
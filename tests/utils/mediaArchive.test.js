@@ -0,0 +1,37 @@
+const { sanitizeFileName, getEntryPath } = require('../../utils/mediaArchive');
+
+describe('sanitizeFileName', () => {
+  it('replaces characters file systems reject', () => {
+    expect(sanitizeFileName('a<b>c:d"e/f\\g|h?i*j\x01.jpg', 'file')).toBe('a_b_c_d_e_f_g_h_i_j_.jpg');
+  });
+
+  it('trims leading and trailing dots and spaces', () => {
+    expect(sanitizeFileName(' ..hidden.jpg. ', 'file')).toBe('hidden.jpg');
+  });
+
+  it('falls back for names with nothing left', () => {
+    expect(sanitizeFileName('..', 'file')).toBe('file');
+    expect(sanitizeFileName('', 'file')).toBe('file');
+    expect(sanitizeFileName(null, 'file')).toBe('file');
+  });
+});
+
+describe('getEntryPath', () => {
+  it('places files in their sanitized folder', () => {
+    expect(getEntryPath(['Ann & Bob', 'Ceremony/Church'], 'IMG_0001.jpg', new Set(), 'photo'))
+      .toBe('Ann & Bob/Ceremony_Church/IMG_0001.jpg');
+  });
+
+  it('numbers files whose name the folder already has, ignoring case', () => {
+    const usedPaths = new Set();
+
+    expect(getEntryPath(['Party'], 'IMG_0001.jpg', usedPaths, 'photo')).toBe('Party/IMG_0001.jpg');
+    expect(getEntryPath(['Party'], 'img_0001.JPG', usedPaths, 'photo')).toBe('Party/img_0001 (2).JPG');
+    expect(getEntryPath(['Party'], 'IMG_0001.jpg', usedPaths, 'photo')).toBe('Party/IMG_0001 (3).jpg');
+    expect(getEntryPath(['Ceremony'], 'IMG_0001.jpg', usedPaths, 'photo')).toBe('Ceremony/IMG_0001.jpg');
+  });
+
+  it('names files without a usable name by the fallback', () => {
+    expect(getEntryPath(['..'], '...', new Set(), 'photo-1.jpg')).toBe('_/photo-1.jpg');
+  });
+});
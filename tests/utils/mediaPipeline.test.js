@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { binDir, fakeBinary, whisperBinary, removeBinaries } = require('../helpers/fakeBinary');
+
+// Transcripts come from stand-ins for ffmpeg and whisper.cpp
+process.env.FFMPEG_PATH = path.join(binDir, 'ffmpeg');
+process.env.WHISPER_PATH = path.join(binDir, 'whisper-cli');
+process.env.WHISPER_MODEL_PATH = '/opt/whisper.cpp/models/ggml-base.bin';
+
+const Event = require('../../models/Event');
+const Media = require('../../models/Media');
+const Guestbook = require('../../models/Guestbook');
+const jobQueue = require('../../utils/jobQueue');
+const { getStorage } = require('../../utils/storage');
+
+jest.mock('../../utils/storageQuota', () => ({
+  ...jest.requireActual('../../utils/storageQuota'),
+  reserveStorage: jest.fn(),
+  recordStorageUsage: jest.fn()
+}));
+
+const { AppError } = require('../../middleware/errorHandler');
+const { reserveStorage, recordStorageUsage } = require('../../utils/storageQuota');
+// Job handlers, as registered with the queue
+const registerHandler = jest.spyOn(jobQueue, 'registerHandler');
+const { createMediaFromFile, flagDuplicates } = require('../../utils/mediaPipeline');
+const processMediaJob = registerHandler.mock.calls.find(([type]) => type === 'process-media')[1];
+const renderEditsJob = registerHandler.mock.calls.find(([type]) => type === 'render-edits')[1];
+const transcribeAudioJob = registerHandler.mock.calls.find(([type]) => type === 'transcribe-audio')[1];
+
+afterAll(removeBinaries);
+
+const createEvent = (scrubMetadata) => new Event({
+  title: 'Ann & Bob',
+  coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+  eventDate: new Date('2026-06-01'),
+  host: new mongoose.Types.ObjectId(),
+  privacy: { scrubMetadata }
+});
+
+// Watermark applied to guests' photos
+const WATERMARK = { enabled: true, type: 'text', text: 'Studio', applyTo: ['guest'] };
+
+describe('createMediaFromFile', () => {
+  let file;
+  let upload;
+
+  beforeAll(async () => {
+    const buffer = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+    file = { buffer, originalname: 'photo.jpg', mimetype: 'image/jpeg', size: buffer.length };
+  });
+
+  beforeEach(() => {
+    upload = jest.spyOn(getStorage('local'), 'upload').mockImplementation(async (uploaded, { folder }) => ({
+      key: `wedding-memories/${folder}/abc.jpg`,
+      url: `/uploads/wedding-memories/${folder}/abc.jpg`,
+      bytes: uploaded.size
+    }));
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function() {
+      this.isNew = false;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    reserveStorage.mockResolvedValue();
+    recordStorageUsage.mockResolvedValue();
+    process.env.STORAGE_DRIVER = 'local';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reserveStorage.mockReset();
+    recordStorageUsage.mockReset();
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  it('keeps originals the event scrubs in the private incoming folder', async () => {
+    const media = await createMediaFromFile(file, {
+      event: createEvent('guests'),
+      uploader: { type: 'guest', guestName: 'Cara' }
+    });
+
+    expect(upload.mock.calls[0][1].folder).toBe('incoming');
+    expect(media.cloudinaryPublicId).toBe('wedding-memories/incoming/abc.jpg');
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('process-media', { mediaId: media._id.toString() }, expect.anything());
+  });
+
+  it('stores originals that are published as they are in the media folder', async () => {
+    await createMediaFromFile(file, {
+      event: createEvent('guests'),
+      uploader: { type: 'host', userId: new mongoose.Types.ObjectId() }
+    });
+
+    expect(upload.mock.calls[0][1].folder).toBe('media');
+  });
+
+  it('reserves the file size before storing it', async () => {
+    const event = createEvent('none');
+    await createMediaFromFile(file, { event, uploader: { type: 'guest', guestName: 'Cara' } });
+
+    expect(reserveStorage).toHaveBeenCalledWith(event, file.size);
+    expect(reserveStorage.mock.invocationCallOrder[0]).toBeLessThan(upload.mock.invocationCallOrder[0]);
+  });
+
+  it('stores nothing once the quota is used up', async () => {
+    reserveStorage.mockRejectedValue(new AppError('This event has reached its storage limit', 413, 'STORAGE_QUOTA_EXCEEDED'));
+
+    await expect(createMediaFromFile(file, {
+      event: createEvent('none'),
+      uploader: { type: 'guest', guestName: 'Cara' }
+    })).rejects.toMatchObject({ code: 'STORAGE_QUOTA_EXCEEDED' });
+
+    expect(upload).not.toHaveBeenCalled();
+    expect(recordStorageUsage).not.toHaveBeenCalled();
+  });
+
+  it('gives the reservation back when the upload fails', async () => {
+    const event = createEvent('none');
+    upload.mockRejectedValue(new Error('Storage unavailable'));
+
+    await expect(createMediaFromFile(file, { event, uploader: { type: 'guest', guestName: 'Cara' } }))
+      .rejects.toThrow('Storage unavailable');
+
+    expect(recordStorageUsage).toHaveBeenCalledWith(event, -file.size);
+  });
+});
+
+describe('process-media job', () => {
+  let photo;
+  let event;
+  let media;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    event = createEvent('none');
+    media = new Media({
+      event: event._id,
+      uploader: { type: 'guest', guestName: 'Cara' },
+      fileType: 'image',
+      mimeType: 'image/jpeg',
+      originalName: 'photo.jpg',
+      fileSize: photo.length,
+      url: '/uploads/wedding-memories/media/abc.jpg',
+      cloudinaryPublicId: 'wedding-memories/media/abc.jpg',
+      storageProvider: 'local',
+      processingStatus: 'uploading',
+      createdAt: new Date('2026-06-01T18:00:00Z'),
+      // What the first save of an upload filled in before its EXIF was read
+      capturedAt: new Date('2026-06-01T18:00:00Z')
+    });
+    jest.spyOn(Media, 'findById').mockResolvedValue(media);
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event, 'exists').mockResolvedValue({ _id: event._id });
+    jest.spyOn(getStorage('local'), 'getStream').mockImplementation(async () => Readable.from([photo]));
+    jest.spyOn(getStorage('local'), 'upload').mockImplementation(async (uploaded, { folder }) => ({
+      key: `wedding-memories/${folder}/${uploaded.originalname}`,
+      url: `/uploads/wedding-memories/${folder}/${uploaded.originalname}`,
+      bytes: uploaded.size
+    }));
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    recordStorageUsage.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordStorageUsage.mockReset();
+  });
+
+  it('dates photos by the capture time in their EXIF', async () => {
+    const taken = await sharp(photo)
+      .withExif({ IFD2: { DateTimeOriginal: '2026:06:01 14:30:00' } })
+      .jpeg()
+      .toBuffer();
+    getStorage('local').getStream.mockImplementation(async () => Readable.from([taken]));
+    jest.spyOn(Media, 'find').mockReturnValue({
+      select() { return this; },
+      sort: () => Promise.resolve([])
+    });
+    jest.spyOn(Event, 'findByIdAndUpdate').mockResolvedValue(event);
+    const emit = jest.fn();
+
+    await processMediaJob({ mediaId: media._id.toString() }, { io: { to: () => ({ emit }) } });
+
+    expect(media.processingStatus).toBe('completed');
+    expect(media.metadata.dateTimeTaken).toEqual(expect.any(Date));
+    expect(media.capturedAt).toEqual(media.metadata.dateTimeTaken);
+    expect(media.capturedAt.getTime()).not.toBe(media.createdAt.getTime());
+  });
+
+  it('dates photos without a capture time by their upload', async () => {
+    jest.spyOn(Media, 'find').mockReturnValue({
+      select() { return this; },
+      sort: () => Promise.resolve([])
+    });
+    jest.spyOn(Event, 'findByIdAndUpdate').mockResolvedValue(event);
+    media.capturedAt = null;
+
+    await processMediaJob({ mediaId: media._id.toString() }, { io: { to: () => ({ emit: jest.fn() }) } });
+
+    expect(media.capturedAt).toEqual(new Date('2026-06-01T18:00:00Z'));
+  });
+
+  it('announces watermarked photos to the event room by their previews', async () => {
+    event.watermark = WATERMARK;
+    jest.spyOn(Media, 'find').mockReturnValue({
+      select() { return this; },
+      sort: () => Promise.resolve([])
+    });
+    jest.spyOn(Event, 'findByIdAndUpdate').mockResolvedValue(event);
+    const emit = jest.fn();
+
+    await processMediaJob({ mediaId: media._id.toString() }, { io: { to: () => ({ emit }) } });
+
+    const [name, { media: announced }] = emit.mock.calls[0];
+    expect(name).toBe('new-media');
+    expect(announced.url).toBe(media.quality.large.url);
+    expect(announced.quality.original).toBeUndefined();
+    expect(announced.fileName).toBeUndefined();
+    expect(JSON.stringify(announced)).not.toContain('wedding-memories/media/abc.jpg');
+  });
+
+  it('leaves uploads of an event being deleted alone', async () => {
+    event.deletionRequestedAt = new Date();
+
+    await processMediaJob({ mediaId: media._id.toString() }, {});
+
+    expect(getStorage('local').upload).not.toHaveBeenCalled();
+    expect(Media.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('drops the renditions when the event is deleted during processing', async () => {
+    Event.exists.mockResolvedValue(null);
+
+    await processMediaJob({ mediaId: media._id.toString() }, {});
+
+    const [, { files }] = jobQueue.enqueue.mock.calls.find(([type]) => type === 'delete-files');
+    expect(files.length).toBeGreaterThan(0);
+    expect(files.map(({ key }) => key)).not.toContain('wedding-memories/media/abc.jpg');
+    expect(Media.prototype.save).toHaveBeenCalledTimes(1);
+    expect(recordStorageUsage).not.toHaveBeenCalled();
+  });
+
+  it('drops the renditions when the upload is deleted during processing', async () => {
+    Media.prototype.save
+      .mockImplementationOnce(function() { return Promise.resolve(this); })
+      .mockRejectedValueOnce(new mongoose.Error.DocumentNotFoundError({ _id: media._id }, 'Media', 1, {}));
+
+    await processMediaJob({ mediaId: media._id.toString() }, {});
+
+    const [, { files }] = jobQueue.enqueue.mock.calls.find(([type]) => type === 'delete-files');
+    expect(files.map(({ key }) => key)).not.toContain('wedding-memories/media/abc.jpg');
+    expect(recordStorageUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe('render-edits job', () => {
+  let photo;
+  let event;
+  let media;
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 8, height: 4, channels: 3, background: '#fff' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    event = createEvent('none');
+    event.watermark = WATERMARK;
+    const original = {
+      url: '/uploads/wedding-memories/media/abc.jpg',
+      key: 'wedding-memories/media/abc.jpg',
+      size: photo.length,
+      width: 8,
+      height: 4
+    };
+    media = new Media({
+      event: event._id,
+      uploader: { type: 'guest', guestName: 'Cara' },
+      fileType: 'image',
+      mimeType: 'image/jpeg',
+      originalName: 'photo.jpg',
+      fileName: original.key,
+      fileSize: photo.length,
+      url: original.url,
+      cloudinaryPublicId: original.key,
+      storageProvider: 'local',
+      quality: { original },
+      edits: { rotation: 90, revision: 1, status: 'pending' }
+    });
+    jest.spyOn(Media, 'findById').mockResolvedValue(media);
+    jest.spyOn(Media, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      const updated = new Media(media.toObject());
+      updated.set({ ...$set, edits: { ...media.toObject().edits, status: 'applied' } });
+      return updated;
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(getStorage('local'), 'getStream').mockImplementation(async () => Readable.from([photo]));
+    jest.spyOn(getStorage('local'), 'upload').mockImplementation(async (uploaded, { folder }) => ({
+      key: `wedding-memories/${folder}/${uploaded.originalname}`,
+      url: `/uploads/wedding-memories/${folder}/${uploaded.originalname}`,
+      bytes: uploaded.size
+    }));
+    jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    recordStorageUsage.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordStorageUsage.mockReset();
+  });
+
+  it('announces the edited photo to the event room by its previews', async () => {
+    const emit = jest.fn();
+
+    await renderEditsJob({ mediaId: media._id.toString() }, { io: { to: () => ({ emit }) } });
+
+    const [name, { media: announced }] = emit.mock.calls[0];
+    expect(name).toBe('media-edited');
+    expect(announced.url).toMatch(/-r1-large/);
+    expect(announced.quality.original).toBeUndefined();
+    expect(announced.quality.display).toBeUndefined();
+    expect(JSON.stringify(announced)).not.toContain('wedding-memories/media/abc.jpg');
+  });
+});
+
+describe('flagDuplicates', () => {
+  const eventId = new mongoose.Types.ObjectId();
+  let find;
+
+  // Processed photo with a perceptual hash, optionally already in a group
+  const createPhoto = (perceptualHash, duplicateGroup = null) => new Media({
+    event: eventId,
+    fileType: 'image',
+    perceptualHash,
+    duplicateGroup
+  });
+
+  const mockCandidates = (candidates) => {
+    find = jest.spyOn(Media, 'find').mockReturnValue({
+      select() { return this; },
+      sort: () => Promise.resolve(candidates)
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Media, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips photos without a hash', async () => {
+    mockCandidates([]);
+
+    expect(await flagDuplicates(createPhoto(null))).toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('groups photos up to 6 bits apart', async () => {
+    const near = createPhoto('000000000000003f');
+    mockCandidates([near, createPhoto('000000000000007f')]);
+    const photo = createPhoto('0000000000000000');
+
+    const groupId = await flagDuplicates(photo);
+
+    expect(groupId).toEqual(near._id);
+    expect(photo.duplicateGroup).toEqual(near._id);
+    expect(Media.updateMany).toHaveBeenCalledWith(
+      { event: eventId, $or: [{ _id: { $in: [photo._id, near._id] } }, { duplicateGroup: { $in: [] } }] },
+      { duplicateGroup: near._id }
+    );
+  });
+
+  it('leaves photos without a near match ungrouped', async () => {
+    mockCandidates([createPhoto('000000000000007f')]);
+
+    expect(await flagDuplicates(createPhoto('0000000000000000'))).toBeNull();
+    expect(Media.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('joins an existing group and merges the groups it bridges', async () => {
+    const firstGroup = new mongoose.Types.ObjectId();
+    const secondGroup = new mongoose.Types.ObjectId();
+    const first = createPhoto('0000000000000001', firstGroup);
+    const second = createPhoto('0000000000000003', secondGroup);
+    mockCandidates([first, second]);
+    const photo = createPhoto('0000000000000000');
+
+    const groupId = await flagDuplicates(photo);
+
+    expect(groupId).toEqual(firstGroup);
+    const [filter, update] = Media.updateMany.mock.calls[0];
+    expect(filter.$or[1]).toEqual({ duplicateGroup: { $in: [firstGroup, secondGroup] } });
+    expect(update).toEqual({ duplicateGroup: firstGroup });
+  });
+});
+
+describe('transcribe-audio job', () => {
+  const key = 'wedding-memories/audio/abc-normalized.m4a';
+  const { TRANSCRIPTION_ENGINE } = process.env;
+  let entry;
+
+  beforeAll(() => {
+    fakeBinary('ffmpeg', '');
+    whisperBinary({
+      result: { language: 'en' },
+      transcription: [
+        { offsets: { from: 0, to: 1500 }, text: ' Congratulations!' },
+        { offsets: { from: 1500, to: 3000 }, text: ' Have a wonderful day.' }
+      ]
+    });
+  });
+
+  beforeEach(() => {
+    process.env.TRANSCRIPTION_ENGINE = 'whisper';
+    entry = new Guestbook({
+      event: new mongoose.Types.ObjectId(),
+      guestName: 'Cara',
+      messageType: 'audio',
+      status: 'approved',
+      audioMessage: { cloudinaryPublicId: key, storageProvider: 'local', fileSize: 5 }
+    });
+    jest.spyOn(Guestbook, 'findById').mockResolvedValue(entry);
+    jest.spyOn(getStorage('local'), 'getStream').mockImplementation(async () => Readable.from([Buffer.from('audio')]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (TRANSCRIPTION_ENGINE === undefined) {
+      delete process.env.TRANSCRIPTION_ENGINE;
+    } else {
+      process.env.TRANSCRIPTION_ENGINE = TRANSCRIPTION_ENGINE;
+    }
+  });
+
+  it('stores the transcript on the entry and announces it', async () => {
+    const update = jest.spyOn(Guestbook, 'findOneAndUpdate').mockImplementation(async () => entry);
+    const emit = jest.fn();
+
+    await transcribeAudioJob({ entryId: entry._id.toString() }, { io: { to: () => ({ emit }) } });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: entry._id, 'audioMessage.cloudinaryPublicId': key },
+      {
+        'audioMessage.transcript.status': 'completed',
+        'audioMessage.transcript.text': 'Congratulations! Have a wonderful day.',
+        'audioMessage.transcript.language': 'en',
+        'audioMessage.transcript.segments': [
+          { start: 0, end: 1.5, text: 'Congratulations!' },
+          { start: 1.5, end: 3, text: 'Have a wonderful day.' }
+        ],
+        'audioMessage.transcript.engine': 'whisper',
+        'audioMessage.transcript.transcribedAt': expect.any(Date)
+      },
+      { new: true }
+    );
+    expect(emit).toHaveBeenCalledWith('guestbook-transcribed', expect.objectContaining({ entryId: entry._id }));
+  });
+
+  it('drops the transcript of a recording replaced in the meantime', async () => {
+    jest.spyOn(Guestbook, 'findOneAndUpdate').mockResolvedValue(null);
+    const emit = jest.fn();
+
+    await transcribeAudioJob({ entryId: entry._id.toString() }, { io: { to: () => ({ emit }) } });
+
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+const { PUBLIC_FOLDERS, buildKey, getExtension, isKeyInFolder } = require('../../../utils/storage/keys');
+
+describe('storage keys', () => {
+  it('builds keys under the app prefix with the original extension', () => {
+    expect(buildKey({ originalname: 'IMG_0001.JPG' }, 'media', 'abc')).toBe('wedding-memories/media/abc.jpg');
+  });
+
+  it('falls back to the mime subtype for the extension', () => {
+    expect(getExtension({ originalname: 'blob', mimetype: 'audio/webm' })).toBe('.webm');
+    expect(getExtension({})).toBe('');
+  });
+
+  describe('isKeyInFolder', () => {
+    it('matches keys in the given folders, including subfolders', () => {
+      expect(isKeyInFolder('wedding-memories/media/abc.jpg', PUBLIC_FOLDERS)).toBe(true);
+      expect(isKeyInFolder('wedding-memories/media/variants/abc-720p.mp4', PUBLIC_FOLDERS)).toBe(true);
+      expect(isKeyInFolder('wedding-memories/covers/abc.jpg', ['covers'])).toBe(true);
+    });
+
+    it('keeps exports out of the public folders', () => {
+      expect(isKeyInFolder('wedding-memories/exports/abc.zip', PUBLIC_FOLDERS)).toBe(false);
+    });
+
+    it('rejects keys outside the folders or escaping them', () => {
+      expect(isKeyInFolder('wedding-memories/media/abc.jpg', ['covers'])).toBe(false);
+      expect(isKeyInFolder('wedding-memories/mediafoo/abc.jpg', ['media'])).toBe(false);
+      expect(isKeyInFolder('wedding-memories/covers/../exports/abc.zip', ['covers'])).toBe(false);
+      expect(isKeyInFolder('other/media/abc.jpg', ['media'])).toBe(false);
+      expect(isKeyInFolder(null, ['media'])).toBe(false);
+      expect(isKeyInFolder({ $ne: null }, ['media'])).toBe(false);
+    });
+  });
+});
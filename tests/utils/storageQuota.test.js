@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const Media = require('../../models/Media');
+const Guestbook = require('../../models/Guestbook');
+const {
+  getMediaStoredBytes,
+  getEventQuota,
+  getStorageUsedByEvent,
+  checkStorageQuota,
+  reserveStorage,
+  recordStorageUsage
+} = require('../../utils/storageQuota');
+
+const createEvent = (overrides = {}) => new Event({
+  title: 'Ann & Bob',
+  coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+  eventDate: new Date('2026-06-01'),
+  host: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+// Result of updateOne, matched or not
+const updated = (matched) => ({ matchedCount: matched ? 1 : 0, modifiedCount: matched ? 1 : 0 });
+
+describe('getMediaStoredBytes', () => {
+  it('adds the renditions, display copy and watermarked copy to the original', () => {
+    expect(getMediaStoredBytes({
+      fileSize: 1000,
+      quality: {
+        original: { size: 1000 },
+        display: { size: 300 },
+        large: { size: 200 },
+        thumbnail: { size: 10 }
+      },
+      watermarked: { size: 250 },
+      renditions: [{ size: 40 }, { size: 60 }]
+    })).toBe(1860);
+  });
+
+  it('counts media that has not been processed yet by its original', () => {
+    expect(getMediaStoredBytes({ fileSize: 1000 })).toBe(1000);
+    expect(getMediaStoredBytes(new Media({ fileSize: 1000 }))).toBe(1000);
+  });
+});
+
+describe('checkStorageQuota', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Counters of 1000 bytes for the event and for the host
+  const mockCounters = (hostQuota = null) => {
+    jest.spyOn(Event, 'exists').mockResolvedValue({});
+    jest.spyOn(User, 'exists').mockResolvedValue({});
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => Promise.resolve({ storageUsed: 1000 }) });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ storageUsed: 1000, storageQuota: hostQuota })
+    });
+  };
+
+  it('accepts a file that fits exactly', async () => {
+    const event = createEvent({ storageQuota: 1500 });
+    mockCounters();
+
+    await expect(checkStorageQuota(event, 500)).resolves.toBeUndefined();
+  });
+
+  it('rejects a file that takes the event over its quota', async () => {
+    const event = createEvent({ storageQuota: 1500 });
+    mockCounters();
+
+    await expect(checkStorageQuota(event, 501)).rejects.toMatchObject({
+      statusCode: 413,
+      code: 'STORAGE_QUOTA_EXCEEDED',
+      message: expect.stringContaining('This event')
+    });
+  });
+
+  it('rejects a file that takes the host over their quota', async () => {
+    const event = createEvent();
+    mockCounters(1200);
+
+    await expect(checkStorageQuota(event, 201)).rejects.toMatchObject({
+      message: expect.stringContaining('The host account')
+    });
+  });
+
+  it('goes by the counters rather than adding up stored files', async () => {
+    const event = createEvent({ storageQuota: 1500 });
+    mockCounters();
+    const aggregate = jest.spyOn(Media, 'aggregate');
+
+    await checkStorageQuota(event, 1);
+
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('getEventQuota', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports the counters against their limits', async () => {
+    const event = createEvent({ storageQuota: 4000 });
+    jest.spyOn(Event, 'exists').mockResolvedValue({});
+    jest.spyOn(User, 'exists').mockResolvedValue({});
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => Promise.resolve({ storageUsed: 1000 }) });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ storageUsed: 3000, storageQuota: null })
+    });
+
+    await expect(getEventQuota(event)).resolves.toEqual({
+      event: { used: 1000, limit: 4000, remaining: 3000, percentUsed: 25 },
+      host: { used: 3000, limit: null, remaining: null, percentUsed: null }
+    });
+  });
+
+  it('counts an event from before usage was tracked before reporting it', async () => {
+    const event = createEvent();
+    jest.spyOn(Event, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'exists').mockResolvedValue({});
+    jest.spyOn(Media, 'aggregate').mockResolvedValue([{ _id: event._id, bytes: 900 }]);
+    jest.spyOn(Guestbook, 'aggregate').mockResolvedValue([{ _id: event._id, bytes: 100 }]);
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => Promise.resolve({ storageUsed: 1000 }) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ storageUsed: 1000 }) });
+
+    await getEventQuota(event);
+
+    expect(eventUpdate).toHaveBeenCalledWith(
+      { _id: event._id, storageUsed: { $not: { $type: 'number' } } },
+      { storageUsed: 1000 }
+    );
+  });
+});
+
+describe('getStorageUsedByEvent', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads each event counter, with zero for events not found', async () => {
+    const counted = createEvent({ storageUsed: 700 });
+    const missing = new mongoose.Types.ObjectId();
+    jest.spyOn(Event, 'exists').mockResolvedValue({});
+    jest.spyOn(Event, 'find').mockReturnValue({ select: () => Promise.resolve([counted]) });
+
+    await expect(getStorageUsedByEvent([counted._id, missing])).resolves.toEqual({
+      [counted._id.toString()]: 700,
+      [missing.toString()]: 0
+    });
+  });
+});
+
+describe('reserveStorage', () => {
+  let event;
+
+  beforeEach(() => {
+    event = createEvent({ storageQuota: 1500 });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ storageQuota: 5000 }) });
+    jest.spyOn(Event, 'exists').mockResolvedValue({ _id: event._id });
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: event.host });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only increments counters that stay within their limit', async () => {
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    const hostUpdate = jest.spyOn(User, 'updateOne').mockResolvedValue(updated(true));
+
+    await reserveStorage(event, 400);
+
+    expect(eventUpdate).toHaveBeenCalledWith(
+      { _id: event._id, storageUsed: { $lte: 1100 } },
+      { $inc: { storageUsed: 400 } }
+    );
+    expect(hostUpdate).toHaveBeenCalledWith(
+      { _id: event.host, storageUsed: { $lte: 4600 } },
+      { $inc: { storageUsed: 400 } }
+    );
+  });
+
+  it('rejects bytes the event has no room for', async () => {
+    jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(false));
+    const hostUpdate = jest.spyOn(User, 'updateOne');
+
+    await expect(reserveStorage(event, 400)).rejects.toMatchObject({ code: 'STORAGE_QUOTA_EXCEEDED' });
+    expect(hostUpdate).not.toHaveBeenCalled();
+  });
+
+  it('gives the event its bytes back when the host has no room', async () => {
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    jest.spyOn(User, 'updateOne').mockResolvedValue(updated(false));
+
+    await expect(reserveStorage(event, 400)).rejects.toMatchObject({
+      message: expect.stringContaining('The host account')
+    });
+    expect(eventUpdate).toHaveBeenLastCalledWith({ _id: event._id }, { $inc: { storageUsed: -400 } });
+  });
+
+  it('leaves unlimited counters unconditional', async () => {
+    event.storageQuota = null;
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    jest.spyOn(User, 'updateOne').mockResolvedValue(updated(true));
+
+    await reserveStorage(event, 400);
+
+    expect(eventUpdate).toHaveBeenCalledWith({ _id: event._id }, { $inc: { storageUsed: 400 } });
+  });
+
+  it('counts what is already stored before the first reservation', async () => {
+    Event.exists.mockResolvedValue(null);
+    jest.spyOn(Media, 'aggregate').mockResolvedValue([{ _id: event._id, bytes: 700 }]);
+    jest.spyOn(Guestbook, 'aggregate').mockResolvedValue([]);
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    jest.spyOn(User, 'updateOne').mockResolvedValue(updated(true));
+
+    await reserveStorage(event, 400);
+
+    expect(eventUpdate).toHaveBeenNthCalledWith(1,
+      { _id: event._id, storageUsed: { $not: { $type: 'number' } } },
+      { storageUsed: 700 }
+    );
+  });
+});
+
+describe('recordStorageUsage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the event and host counters once they are counted', async () => {
+    const event = createEvent();
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    const hostUpdate = jest.spyOn(User, 'updateOne').mockResolvedValue(updated(true));
+
+    await recordStorageUsage(event, -300);
+
+    expect(eventUpdate).toHaveBeenCalledWith(
+      { _id: event._id, storageUsed: { $type: 'number' } },
+      { $inc: { storageUsed: -300 } }
+    );
+    expect(hostUpdate).toHaveBeenCalledWith(
+      { _id: event.host, storageUsed: { $type: 'number' } },
+      { $inc: { storageUsed: -300 } }
+    );
+  });
+
+  it('looks up the host of an event id', async () => {
+    const event = createEvent();
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: () => Promise.resolve(event) });
+    jest.spyOn(Event, 'updateOne').mockResolvedValue(updated(true));
+    const hostUpdate = jest.spyOn(User, 'updateOne').mockResolvedValue(updated(true));
+
+    await recordStorageUsage(event._id, 200);
+
+    expect(hostUpdate).toHaveBeenCalledWith(expect.objectContaining({ _id: event.host }), { $inc: { storageUsed: 200 } });
+  });
+});
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../utils/mediaPipeline', () => ({
+  ...jest.requireActual('../../utils/mediaPipeline'),
+  queueMediaCleanup: jest.fn()
+}));
+
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const Media = require('../../models/Media');
+const Guestbook = require('../../models/Guestbook');
+const { getStorage } = require('../../utils/storage');
+const { queueMediaCleanup } = require('../../utils/mediaPipeline');
+const { reconcileStorage } = require('../../utils/storageReconciliation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const longAgo = () => new Date(Date.now() - 7 * DAY);
+
+// A stored file as listed by a storage driver
+const asset = (key, overrides = {}) => ({
+  key,
+  resourceType: 'image',
+  bytes: 100,
+  lastModified: longAgo(),
+  ...overrides
+});
+
+// A query that can be walked with a cursor or reduced to distinct values
+const query = (docs, distinct = []) => ({
+  cursor: () => (async function* () {
+    yield* docs;
+  })(),
+  distinct: () => Promise.resolve(distinct),
+  select: () => Promise.resolve(docs)
+});
+
+describe('reconcileStorage', () => {
+  const storage = getStorage('local');
+  const hostId = new mongoose.Types.ObjectId();
+  let event;
+  let files;
+
+  // Stored files, by folder
+  const mockFiles = (byFolder) => {
+    files = byFolder;
+    jest.spyOn(storage, 'list').mockImplementation(async (prefix) => {
+      const folder = prefix.split('/')[1];
+      return files[folder] || [];
+    });
+  };
+
+  // Documents as walked by the run, and the usage counters of their event and host
+  const mockDatabase = ({ media = [], guestbook = [], finalized = [], eventUsed = 1000, hostUsed = 1000, stored = 1000 } = {}) => {
+    event = new Event({
+      title: 'Ann & Bob',
+      coupleNames: { partner1: 'Ann', partner2: 'Bob' },
+      eventDate: new Date('2026-06-01'),
+      host: hostId,
+      storageUsed: eventUsed
+    });
+    const host = new User({ _id: hostId, name: 'Ann', email: 'ann@example.com', storageUsed: hostUsed });
+
+    jest.spyOn(Media, 'find').mockReturnValue(query(media, finalized));
+    jest.spyOn(Guestbook, 'find').mockReturnValue(query(guestbook));
+    jest.spyOn(Event, 'find').mockReturnValue(query([event]));
+    jest.spyOn(User, 'find').mockReturnValue(query([host]));
+    jest.spyOn(Media, 'aggregate').mockResolvedValue([{ _id: event._id, bytes: stored }]);
+    jest.spyOn(Guestbook, 'aggregate').mockResolvedValue([]);
+  };
+
+  const createMedia = (key, overrides = {}) => new Media({
+    event: event ? event._id : new mongoose.Types.ObjectId(),
+    fileName: key.split('/').pop(),
+    originalName: 'photo.jpg',
+    fileType: 'image',
+    mimeType: 'image/jpeg',
+    fileSize: 100,
+    url: `/files/${key}`,
+    cloudinaryPublicId: key,
+    storageProvider: 'local',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(storage, 'remove').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueMediaCleanup.mockReset();
+  });
+
+  it('reports files no document refers to as orphaned', async () => {
+    const media = createMedia('wedding-memories/media/kept.jpg', {
+      quality: { thumbnail: { key: 'wedding-memories/media/kept-thumb.webp' } }
+    });
+    mockFiles({
+      media: [
+        asset('wedding-memories/media/kept.jpg'),
+        asset('wedding-memories/media/kept-thumb.webp'),
+        asset('wedding-memories/media/stray.jpg', { bytes: 250 })
+      ]
+    });
+    mockDatabase({ media: [media] });
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.orphaned.map(file => file.key)).toEqual(['wedding-memories/media/stray.jpg']);
+    expect(report.orphanedBytes).toBe(250);
+    expect(report.missing).toEqual([]);
+    expect(report.checked).toEqual({ files: 3, media: 1, guestbook: 0 });
+  });
+
+  it('keeps recent uploads in the incoming folder that are not finalized yet', async () => {
+    mockFiles({
+      incoming: [
+        asset('wedding-memories/incoming/uploading.jpg', { lastModified: new Date() }),
+        asset('wedding-memories/incoming/abandoned.jpg')
+      ]
+    });
+    mockDatabase();
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.orphaned.map(file => file.key)).toEqual(['wedding-memories/incoming/abandoned.jpg']);
+  });
+
+  it('keeps uploads finalized while the run was going', async () => {
+    mockFiles({
+      incoming: [asset('wedding-memories/incoming/finalized.jpg')]
+    });
+    mockDatabase({ finalized: ['wedding-memories/incoming/finalized.jpg'] });
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.orphaned).toEqual([]);
+  });
+
+  it('reports documents whose file is gone', async () => {
+    mockFiles({});
+    mockDatabase();
+    const media = createMedia('wedding-memories/media/gone.jpg');
+    Media.find.mockReturnValue(query([media]));
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.missing).toEqual([expect.objectContaining({
+      type: 'media',
+      id: media._id,
+      key: 'wedding-memories/media/gone.jpg'
+    })]);
+  });
+
+  it('reports counters that differ from the stored files', async () => {
+    mockFiles({});
+    mockDatabase({ eventUsed: 1500, hostUsed: 2000, stored: 1000 });
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.counters).toEqual([
+      { type: 'event', id: event._id, counted: 1500, actual: 1000 },
+      { type: 'host', id: hostId, counted: 2000, actual: 1000 }
+    ]);
+  });
+
+  it('leaves counters that match alone', async () => {
+    mockFiles({});
+    mockDatabase();
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.counters).toEqual([]);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    mockFiles({ media: [asset('wedding-memories/media/stray.jpg')] });
+    mockDatabase({ eventUsed: 1500 });
+    const eventUpdate = jest.spyOn(Event, 'updateOne');
+
+    const report = await reconcileStorage({ provider: 'local' });
+
+    expect(report.mode).toBe('dry-run');
+    expect(report.repaired).toBeUndefined();
+    expect(storage.remove).not.toHaveBeenCalled();
+    expect(eventUpdate).not.toHaveBeenCalled();
+  });
+
+  it('recounts counters, deletes orphans and removes dangling media on repair', async () => {
+    mockFiles({ media: [asset('wedding-memories/media/stray.jpg')] });
+    mockDatabase({ eventUsed: 1500, stored: 1000 });
+    const media = createMedia('wedding-memories/media/gone.jpg');
+    Media.find.mockReturnValue(query([media]));
+    jest.spyOn(Media, 'findByIdAndDelete').mockResolvedValue(media);
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const report = await reconcileStorage({ provider: 'local', repair: true });
+
+    expect(report.mode).toBe('repair');
+    expect(eventUpdate).toHaveBeenCalledWith(
+      { _id: event._id, storageUsed: 1500 },
+      { storageUsed: 1000 }
+    );
+    expect(storage.remove).toHaveBeenCalledWith('wedding-memories/media/stray.jpg', 'image');
+    expect(queueMediaCleanup).toHaveBeenCalledWith(media);
+    expect(report.repaired).toMatchObject({ recountedEvents: 1, recountedHosts: 0, deletedFiles: 1, removedMedia: 1, errors: [] });
+  });
+
+  it('leaves a counter an upload moved during the run for the next run', async () => {
+    mockFiles({});
+    mockDatabase({ eventUsed: 1500, stored: 1000 });
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const report = await reconcileStorage({ provider: 'local', repair: true });
+
+    expect(report.repaired.recountedEvents).toBe(0);
+  });
+});
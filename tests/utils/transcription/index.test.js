@@ -0,0 +1,32 @@
+const { getEngineName, getTranscriptionEngine } = require('../../../utils/transcription');
+
+describe('transcription engines', () => {
+  const { TRANSCRIPTION_ENGINE } = process.env;
+
+  afterEach(() => {
+    if (TRANSCRIPTION_ENGINE === undefined) {
+      delete process.env.TRANSCRIPTION_ENGINE;
+    } else {
+      process.env.TRANSCRIPTION_ENGINE = TRANSCRIPTION_ENGINE;
+    }
+  });
+
+  it('is off without an engine configured', () => {
+    delete process.env.TRANSCRIPTION_ENGINE;
+
+    expect(getEngineName()).toBeNull();
+  });
+
+  it('loads the configured engine', () => {
+    process.env.TRANSCRIPTION_ENGINE = 'whisper';
+
+    const engine = getTranscriptionEngine();
+
+    expect(engine.name).toBe('whisper');
+    expect(engine.transcribe).toEqual(expect.any(Function));
+  });
+
+  it('rejects engines it does not know', () => {
+    expect(() => getTranscriptionEngine('vosk')).toThrow('Unknown transcription engine: vosk');
+  });
+});
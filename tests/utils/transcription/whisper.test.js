@@ -0,0 +1,64 @@
+const path = require('path');
+const { binDir, fakeBinary, whisperBinary, readArgs, removeBinaries } = require('../../helpers/fakeBinary');
+
+process.env.FFMPEG_PATH = path.join(binDir, 'ffmpeg');
+process.env.WHISPER_PATH = path.join(binDir, 'whisper-cli');
+process.env.WHISPER_MODEL_PATH = '/opt/whisper.cpp/models/ggml-base.bin';
+process.env.WHISPER_THREADS = '2';
+
+const whisper = require('../../../utils/transcription/whisper');
+
+// whisper.cpp output for a recording with a pause in the middle
+const OUTPUT = {
+  result: { language: 'nl' },
+  transcription: [
+    { offsets: { from: 0, to: 2480 }, text: ' Gefeliciteerd Ann en Bob!' },
+    { offsets: { from: 2480, to: 4000 }, text: ' [BLANK_AUDIO]' },
+    { offsets: { from: 4000, to: 6120 }, text: ' Veel liefde. ' }
+  ]
+};
+
+describe('whisper transcription engine', () => {
+  beforeAll(() => {
+    fakeBinary('ffmpeg', '');
+  });
+
+  afterAll(removeBinaries);
+
+  it('turns the whisper.cpp JSON into text and timed segments', async () => {
+    whisperBinary(OUTPUT);
+
+    await expect(whisper.transcribe('/tmp/message.webm')).resolves.toEqual({
+      text: 'Gefeliciteerd Ann en Bob! Veel liefde.',
+      language: 'nl',
+      segments: [
+        { start: 0, end: 2.48, text: 'Gefeliciteerd Ann en Bob!' },
+        { start: 4, end: 6.12, text: 'Veel liefde.' }
+      ]
+    });
+  });
+
+  it('runs the configured model on the 16 kHz copy in the given language', async () => {
+    whisperBinary(OUTPUT);
+
+    await whisper.transcribe('/tmp/message.webm', { language: 'en' });
+
+    const args = readArgs();
+    const option = (name) => args[args.indexOf(name) + 1];
+    expect(option('--model')).toBe('/opt/whisper.cpp/models/ggml-base.bin');
+    expect(option('--language')).toBe('en');
+    expect(option('--threads')).toBe('2');
+    expect(path.basename(option('--file'))).toBe('audio.wav');
+  });
+
+  it('falls back to the configured language when none is detected', async () => {
+    whisperBinary({ transcription: [] });
+
+    await expect(whisper.transcribe('/tmp/message.webm', { language: 'en' })).resolves.toEqual({
+      text: '',
+      language: 'en',
+      segments: []
+    });
+    await expect(whisper.transcribe('/tmp/message.webm')).resolves.toMatchObject({ language: null });
+  });
+});
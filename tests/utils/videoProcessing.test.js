@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { binDir, fakeBinary, recordingBinary, printingBinary, readArgs, removeBinaries } = require('../helpers/fakeBinary');
+
+process.env.FFMPEG_PATH = path.join(binDir, 'ffmpeg');
+process.env.FFPROBE_PATH = path.join(binDir, 'ffprobe');
+
+const {
+  runCommand,
+  probeVideo,
+  extractPosterFrame,
+  transcodeToH264,
+  remuxWithoutMetadata,
+  processVideo
+} = require('../../utils/videoProcessing');
+const { getStorage } = require('../../utils/storage');
+
+afterAll(removeBinaries);
+
+describe('runCommand', () => {
+  it('resolves with what the command prints', async () => {
+    const command = fakeBinary('echo', "process.stdout.write(args.join(' '))");
+
+    await expect(runCommand(command, ['a', 'b'])).resolves.toBe('a b');
+  });
+
+  it('rejects with the last line of stderr', async () => {
+    const command = fakeBinary('failing', "process.stderr.write('first\\nInvalid data found\\n'); process.exit(3);");
+
+    await expect(runCommand(command, [])).rejects.toThrow('failing exited with code 3: Invalid data found');
+  });
+
+  it('kills a command that runs past its timeout', async () => {
+    const command = fakeBinary('stuck', 'setTimeout(() => {}, 60000);');
+    const startedAt = Date.now();
+
+    await expect(runCommand(command, [], { timeout: 300 })).rejects.toThrow('stuck timed out after 0.3s');
+    expect(Date.now() - startedAt).toBeLessThan(10000);
+  });
+});
+
+describe('probeVideo', () => {
+  // ffprobe printing the given streams and format as JSON
+  const mockProbe = (streams, format = {}) => printingBinary('ffprobe', JSON.stringify({ streams, format }));
+
+  const video = (overrides = {}) => ({ codec_type: 'video', codec_name: 'hevc', width: 1920, height: 1080, ...overrides });
+
+  it('reads the duration, size, codec and audio track', async () => {
+    mockProbe([video(), { codec_type: 'audio', codec_name: 'aac' }], { duration: '12.5' });
+
+    await expect(probeVideo('/tmp/video.mov')).resolves.toEqual({
+      duration: 12.5,
+      width: 1920,
+      height: 1080,
+      videoCodec: 'hevc',
+      hasAudio: true
+    });
+  });
+
+  it('falls back to the stream duration', async () => {
+    mockProbe([video({ duration: '3.2' })]);
+
+    await expect(probeVideo('/tmp/video.mov')).resolves.toMatchObject({ duration: 3.2, hasAudio: false });
+  });
+
+  it('swaps the sides of video recorded with a rotate tag', async () => {
+    mockProbe([video({ tags: { rotate: '90' } })]);
+
+    await expect(probeVideo('/tmp/video.mov')).resolves.toMatchObject({ width: 1080, height: 1920 });
+  });
+
+  it('swaps the sides of video with a display matrix rotation', async () => {
+    mockProbe([video({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }] })]);
+
+    await expect(probeVideo('/tmp/video.mov')).resolves.toMatchObject({ width: 1080, height: 1920 });
+  });
+
+  it('keeps the sides of video turned upside down', async () => {
+    mockProbe([video({ tags: { rotate: '180' } })]);
+
+    await expect(probeVideo('/tmp/video.mov')).resolves.toMatchObject({ width: 1920, height: 1080 });
+  });
+
+  it('rejects files without a video stream', async () => {
+    mockProbe([{ codec_type: 'audio' }]);
+
+    await expect(probeVideo('/tmp/audio.m4a')).rejects.toThrow('No video stream found');
+  });
+});
+
+describe('ffmpeg arguments', () => {
+  beforeAll(() => {
+    recordingBinary('ffmpeg');
+  });
+
+  it('grabs one frame at the poster time', async () => {
+    await extractPosterFrame('/tmp/in.mov', '/tmp/poster.jpg', 0.5);
+
+    expect(readArgs()).toEqual([
+      '-y', '-v', 'error',
+      '-ss', '0.5',
+      '-i', '/tmp/in.mov',
+      '-frames:v', '1',
+      '-q:v', '2',
+      '/tmp/poster.jpg'
+    ]);
+  });
+
+  it('transcodes to H.264 of at most 1920px without the source metadata', async () => {
+    await transcodeToH264('/tmp/in.mov', '/tmp/web.mp4');
+
+    const args = readArgs();
+    const option = (name) => args[args.indexOf(name) + 1];
+    expect(option('-i')).toBe('/tmp/in.mov');
+    expect(option('-c:v')).toBe('libx264');
+    expect(option('-pix_fmt')).toBe('yuv420p');
+    expect(option('-c:a')).toBe('aac');
+    expect(option('-vf')).toContain("w='min(1920,iw)':h='min(1920,ih)'");
+    expect(option('-map_metadata')).toBe('-1');
+    expect(option('-movflags')).toBe('+faststart');
+    expect(args[args.length - 1]).toBe('/tmp/web.mp4');
+  });
+
+  it('copies the streams without metadata when scrubbing', async () => {
+    await remuxWithoutMetadata('/tmp/in.mov', '/tmp/clean.mov');
+
+    expect(readArgs()).toEqual([
+      '-y', '-v', 'error',
+      '-i', '/tmp/in.mov',
+      '-map', '0',
+      '-c', 'copy',
+      '-map_metadata', '-1',
+      '/tmp/clean.mov'
+    ]);
+  });
+});
+
+describe('processVideo', () => {
+  const storage = getStorage('local');
+  const media = {
+    cloudinaryPublicId: 'wedding-memories/media/abc.mov',
+    storageProvider: 'local',
+    originalName: 'clip.mov',
+    mimeType: 'video/quicktime'
+  };
+
+  beforeAll(async () => {
+    // Every ffmpeg output is the same landscape frame, which is all the poster needs
+    const posterPath = path.join(binDir, 'frame.jpg');
+    fs.writeFileSync(posterPath, await sharp({
+      create: { width: 320, height: 180, channels: 3, background: '#884422' }
+    }).jpeg().toBuffer());
+    fakeBinary('ffmpeg', `require('fs').copyFileSync(${JSON.stringify(posterPath)}, args[args.length - 1]);`);
+    printingBinary('ffprobe', JSON.stringify({
+      streams: [{ codec_type: 'video', codec_name: 'h264', width: 320, height: 180 }],
+      format: { duration: '4.0' }
+    }));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(storage, 'getStream').mockImplementation(async () => Readable.from([Buffer.from('video')]));
+    jest.spyOn(storage, 'upload').mockImplementation(async (file, { folder, publicId }) => ({
+      key: `wedding-memories/${folder}/${publicId}`,
+      url: `/uploads/wedding-memories/${folder}/${publicId}`,
+      bytes: file.size || (file.buffer && file.buffer.length)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the video a placeholder from its poster frame', async () => {
+    const result = await processVideo(media);
+
+    expect(result.quality.poster).toMatchObject({ width: 320, height: 180 });
+    expect(result.placeholder).toEqual({
+      blurhash: expect.any(String),
+      dataUri: expect.stringMatching(/^data:image\/webp;base64,/),
+      dominantColor: expect.stringMatching(/^#[0-9a-f]{6}$/)
+    });
+  });
+});
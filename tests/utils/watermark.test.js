@@ -0,0 +1,61 @@
+const sharp = require('sharp');
+const { getStorage } = require('../../utils/storage');
+const { getOverlayPosition, applyWatermark } = require('../../utils/watermark');
+
+describe('getOverlayPosition', () => {
+  const image = { width: 1000, height: 800 };
+  const overlay = { width: 200, height: 100 };
+
+  it('keeps corner positions a margin away from the edges', () => {
+    expect(getOverlayPosition('top-left', image, overlay)).toEqual({ left: 30, top: 30 });
+    expect(getOverlayPosition('bottom-right', image, overlay)).toEqual({ left: 770, top: 670 });
+  });
+
+  it('centers on either axis', () => {
+    expect(getOverlayPosition('center', image, overlay)).toEqual({ left: 400, top: 350 });
+    expect(getOverlayPosition('bottom-center', image, overlay)).toEqual({ left: 400, top: 670 });
+  });
+
+  it('never places an overlay as wide as the image off its edge', () => {
+    expect(getOverlayPosition('bottom-right', image, { width: 1000, height: 800 })).toEqual({ left: 0, top: 0 });
+  });
+});
+
+describe('applyWatermark', () => {
+  let photo;
+
+  const watermark = {
+    type: 'text',
+    text: 'Studio',
+    position: 'bottom-right',
+    opacity: 0.5,
+    scale: 0.2
+  };
+
+  beforeAll(async () => {
+    photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a JPEG the size of the photo', async () => {
+    const { data, info } = await applyWatermark(photo, watermark);
+
+    expect(info).toMatchObject({ format: 'jpeg', width: 64, height: 48 });
+    expect(data.equals(photo)).toBe(false);
+  });
+
+  it('only stamps images from the watermarks folder', async () => {
+    const getStream = jest.spyOn(getStorage('local'), 'getStream');
+
+    await expect(applyWatermark(photo, {
+      ...watermark,
+      type: 'image',
+      imageKey: 'wedding-memories/incoming/private.jpg',
+      imageProvider: 'local'
+    })).rejects.toMatchObject({ code: 'WATERMARK_UNAVAILABLE' });
+    expect(getStream).not.toHaveBeenCalled();
+  });
+});
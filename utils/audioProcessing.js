@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getStorage } = require('./storage');
+const { getBaseName } = require('./imageProcessing');
+const { FFMPEG_PATH, FFPROBE_PATH, runCommand } = require('./videoProcessing');
+const { getTranscriptionEngine, getTranscriptionLanguage } = require('./transcription');
+
+// Loudness every recording is normalized to (EBU R128 style, as used for spoken word)
+const LOUDNESS_TARGET = {
+  integrated: -16, // LUFS
+  truePeak: -1.5, // dBTP
+  range: 11 // LU
+};
+
+// Standard format guestbook recordings are stored in: mono AAC in an M4A container
+const AUDIO_OUTPUT = {
+  mimeType: 'audio/mp4',
+  extension: '.m4a',
+  sampleRate: 48000,
+  bitrate: '96k'
+};
+
+// Number of waveform peaks stored per recording, and the sample rate they're read at
+const WAVEFORM_PEAKS = 200;
+const PEAK_SAMPLE_RATE = 8000;
+
+const getLoudnormFilter = () => {
+  const { integrated, truePeak, range } = LOUDNESS_TARGET;
+  return `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`;
+};
+
+// Duration of an audio file in seconds
+const probeAudio = async (inputPath) => {
+  const output = await runCommand(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    inputPath
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  if (!audio) {
+    throw new Error('No audio stream found');
+  }
+
+  return {
+    duration: parseFloat(format.duration) || parseFloat(audio.duration) || null,
+    codec: audio.codec_name
+  };
+};
+
+// First loudnorm pass: the recording's integrated loudness, true peak and range
+const measureLoudness = async (inputPath) => {
+  const stderr = await runCommand(FFMPEG_PATH, [
+    '-hide_banner', '-nostats',
+    '-i', inputPath,
+    '-vn',
+    '-af', `${getLoudnormFilter()}:print_format=json`,
+    '-f', 'null', '-'
+  ], { useStderr: true });
+
+  return JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+};
+
+// Transcode to the standard format with two-pass loudness normalization and no
+// source metadata. Returns the measured input loudness (null for silent recordings,
+// which are transcoded as they are).
+const normalizeAudio = async (inputPath, outputPath) => {
+  const measured = await measureLoudness(inputPath);
+  const loudness = parseFloat(measured.input_i);
+  const filters = [];
+
+  // Silence measures as -inf, which the second pass can't use
+  if (Number.isFinite(loudness)) {
+    filters.push('-af', [
+      getLoudnormFilter(),
+      `measured_I=${measured.input_i}`,
+      `measured_TP=${measured.input_tp}`,
+      `measured_LRA=${measured.input_lra}`,
+      `measured_thresh=${measured.input_thresh}`,
+      `offset=${measured.target_offset}`,
+      'linear=true'
+    ].join(':'));
+  }
+
+  await runCommand(FFMPEG_PATH, [
+    '-y', '-v', 'error',
+    '-i', inputPath,
+    '-vn',
+    ...filters,
+    '-ac', '1',
+    '-ar', String(AUDIO_OUTPUT.sampleRate),
+    '-c:a', 'aac',
+    '-b:a', AUDIO_OUTPUT.bitrate,
+    '-map_metadata', '-1',
+    '-movflags', '+faststart',
+    outputPath
+  ]);
+
+  return Number.isFinite(loudness) ? loudness : null;
+};
+
+// Peak amplitude (0-1) of each of `count` equal slices of 16-bit mono PCM
+const getPeaks = (pcm, count) => {
+  const samples = Math.floor(pcm.length / 2);
+  const slices = Math.min(count, samples);
+  const peaks = [];
+
+  for (let i = 0; i < slices; i++) {
+    const start = Math.floor(i * samples / slices);
+    const end = Math.floor((i + 1) * samples / slices);
+    let peak = 0;
+
+    for (let sample = start; sample < end; sample++) {
+      peak = Math.max(peak, Math.abs(pcm.readInt16LE(sample * 2)));
+    }
+
+    peaks.push(Math.round(Math.min(peak / 32767, 1) * 100) / 100);
+  }
+
+  return peaks;
+};
+
+// Waveform peaks of an audio file, for drawing it in a player
+const computeWaveformPeaks = async (inputPath, count = WAVEFORM_PEAKS) => {
+  const pcm = await runCommand(FFMPEG_PATH, [
+    '-v', 'error',
+    '-i', inputPath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(PEAK_SAMPLE_RATE),
+    '-f', 's16le',
+    '-acodec', 'pcm_s16le',
+    '-'
+  ], { encoding: null });
+
+  return getPeaks(pcm, count);
+};
+
+// Download a stored recording to a temporary directory and run fn(inputPath, workDir),
+// cleaning up afterwards
+const withStoredAudio = async ({ key, provider }, fn) => {
+  const storage = getStorage(provider);
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wedding-memories-audio-'));
+  const inputPath = path.join(workDir, `original${path.extname(key)}`);
+
+  try {
+    const source = await storage.getStream(key, { resourceType: 'raw' });
+    await pipeline(source, fs.createWriteStream(inputPath));
+    return await fn(inputPath, workDir);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Normalize a stored guestbook recording and store the result next to it.
+// Returns the audioMessage fields to update.
+const processAudio = async ({ key, provider }) => {
+  return withStoredAudio({ key, provider }, async (inputPath, workDir) => {
+    const outputPath = path.join(workDir, `normalized${AUDIO_OUTPUT.extension}`);
+    const loudness = await normalizeAudio(inputPath, outputPath);
+    const { duration } = await probeAudio(outputPath);
+    const peaks = await computeWaveformPeaks(outputPath);
+    const { size } = await fs.promises.stat(outputPath);
+
+    const storage = getStorage(provider);
+    const publicId = `${getBaseName(key)}-normalized`;
+    const stored = await storage.upload({
+      path: outputPath,
+      originalname: `${publicId}${AUDIO_OUTPUT.extension}`,
+      mimetype: AUDIO_OUTPUT.mimeType,
+      size
+    }, { folder: 'audio', publicId, resourceType: 'raw' });
+
+    return {
+      url: stored.url,
+      cloudinaryPublicId: stored.key,
+      storageProvider: storage.name,
+      mimeType: AUDIO_OUTPUT.mimeType,
+      fileSize: stored.bytes || size,
+      duration,
+      loudness,
+      peaks
+    };
+  });
+};
+
+// Transcribe a stored recording with the configured transcription engine.
+// Returns the audioMessage.transcript fields to update.
+const transcribeAudio = async ({ key, provider }) => {
+  const engine = getTranscriptionEngine();
+  const result = await withStoredAudio({ key, provider }, (inputPath) =>
+    engine.transcribe(inputPath, { language: getTranscriptionLanguage() })
+  );
+
+  return {
+    text: result.text,
+    language: result.language,
+    segments: result.segments,
+    engine: engine.name,
+    transcribedAt: new Date()
+  };
+};
+
+module.exports = {
+  probeAudio,
+  normalizeAudio,
+  getPeaks,
+  computeWaveformPeaks,
+  processAudio,
+  transcribeAudio
+};
@@ -1,22 +1,55 @@
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const sharp = require('sharp');
+const { getStorage, getResourceType } = require('./storage');
+const { HEIF_MIME_TYPES, getImageInput, extractExif, extractGps, scrubImageMetadata } = require('./imageProcessing');
+const { AppError } = require('../middleware/errorHandler');
+const { HEADER_BYTES, verifyFileType } = require('./fileType');
 
 // Storage configuration for different file types
 const createStorage = (folder, resourceType = 'auto') => {
   return multer.memoryStorage();
 };
 
-// Media storage (photos and videos)
-const mediaStorage = createStorage('media');
+// Size limit of an event's uploads when it doesn't set its own
+const DEFAULT_MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+
+// Largest maxFileSize an event can set; multer aborts media uploads above it
+const MAX_EVENT_FILE_SIZE = parseInt(process.env.MAX_EVENT_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+
+// Upload size limit of an event
+const getMaxFileSize = (eventSettings = {}) => eventSettings.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+
+// Media storage (photos and videos). Keeps files in memory up to the event's
+// maxFileSize; a bigger file is read to the end but only its size and first bytes
+// are kept, so validateFile rejects it without failing the rest of the upload.
+const mediaStorage = {
+  _handleFile: (req, file, cb) => {
+    const maxSize = getMaxFileSize(req.event && req.event.settings);
+    const chunks = [];
+    let size = 0;
+    let header = null;
+
+    file.stream.on('data', (chunk) => {
+      if (size <= maxSize) {
+        chunks.push(chunk);
+      }
+      size += chunk.length;
+      if (size > maxSize && !header) {
+        header = Buffer.from(Buffer.concat(chunks).subarray(0, HEADER_BYTES));
+        chunks.length = 0;
+      }
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      cb(null, header ? { size, header } : { size, buffer: Buffer.concat(chunks) });
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    delete file.header;
+    cb(null);
+  }
+};
 
 // Audio storage (for guestbook audio messages)
 const audioStorage = createStorage('audio', 'raw');
@@ -27,12 +60,15 @@ const coverStorage = createStorage('covers', 'image');
 // Profile photo storage
 const profileStorage = createStorage('profiles', 'image');
 
+// Watermark image storage
+const watermarkStorage = createStorage('watermarks', 'image');
+
 // Multer configurations
-const createMulterConfig = (storage, fileFilter = null) => {
+const createMulterConfig = (storage, fileFilter = null, fileSize = DEFAULT_MAX_FILE_SIZE) => {
   const config = {
     storage: storage,
     limits: {
-      fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+      fileSize,
       files: parseInt(process.env.MAX_FILES_PER_UPLOAD) || 10
     }
   };
@@ -44,31 +80,39 @@ const createMulterConfig = (storage, fileFilter = null) => {
   return multer(config);
 };
 
+// Accepted mime types
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const VIDEO_MIME_TYPES = ['video/mp4', 'video/quicktime', 'video/x-msvideo'];
+const MEDIA_MIME_TYPES = [...IMAGE_MIME_TYPES, ...HEIF_MIME_TYPES, ...VIDEO_MIME_TYPES];
+const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/wav', 'audio/mp3', 'audio/webm'];
+
 // File filters
 const imageFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Only image files are allowed'), false);
   }
 };
 
+// Skips unsupported files instead of failing the whole multi-file upload;
+// routes report them per file from req.rejectedFiles
 const mediaFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-    'video/mp4', 'video/quicktime', 'video/x-msvideo'
-  ];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (MEDIA_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only image and video files are allowed'), false);
+    req.rejectedFiles = req.rejectedFiles || [];
+    req.rejectedFiles.push({
+      fileName: file.originalname,
+      code: 'FILE_TYPE_NOT_ALLOWED',
+      message: 'Only image and video files are allowed'
+    });
+    cb(null, false);
   }
 };
 
 const audioFilter = (req, file, cb) => {
-  const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/mp3', 'audio/webm'];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (AUDIO_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Only audio files are allowed'), false);
@@ -76,10 +120,11 @@ const audioFilter = (req, file, cb) => {
 };
 
 // Multer instances
-const uploadMedia = createMulterConfig(mediaStorage, mediaFilter);
+const uploadMedia = createMulterConfig(mediaStorage, mediaFilter, MAX_EVENT_FILE_SIZE);
 const uploadAudio = createMulterConfig(audioStorage, audioFilter);
 const uploadCover = createMulterConfig(coverStorage, imageFilter);
 const uploadProfile = createMulterConfig(profileStorage, imageFilter);
+const uploadWatermark = createMulterConfig(watermarkStorage, imageFilter);
 
 // Upload multiple media files
 const uploadMultipleMedia = uploadMedia.array('media', 10);
@@ -87,6 +132,7 @@ const uploadSingleMedia = uploadMedia.single('media');
 const uploadSingleAudio = uploadAudio.single('audio');
 const uploadSingleCover = uploadCover.single('cover');
 const uploadSingleProfile = uploadProfile.single('profile');
+const uploadSingleWatermark = uploadWatermark.single('watermark');
 
 // Cloudinary upload options for different transformations
 const getImageTransformations = (type = 'default') => {
@@ -126,160 +172,240 @@ const getImageTransformations = (type = 'default') => {
   return transformations[type] || transformations.default;
 };
 
-// Generate multiple image sizes
-const generateImageVariants = async (publicId, type = 'default') => {
-  const variants = {};
-  const sizes = ['thumbnail', 'small', 'medium', 'large'];
+// Delete file from storage
+const deleteFile = async (publicId, resourceType = 'auto', provider) => {
+  try {
+    const result = await getStorage(provider).remove(publicId, resourceType);
+    return result;
+  } catch (error) {
+    console.error('Error deleting file from storage:', error);
+    throw error;
+  }
+};
 
-  for (const size of sizes) {
-    try {
-      const transformation = getImageTransformations(size);
-      variants[size] = {
-        url: cloudinary.url(publicId, { transformation }),
-        size: null // Size will be calculated if needed
-      };
-    } catch (error) {
-      console.error(`Error generating ${size} variant:`, error);
+// Storage keys of a media item's original and every generated rendition
+const getMediaFiles = (media) => {
+  const resourceType = media.fileType === 'video' ? 'video' : 'image';
+  const files = [{ key: media.cloudinaryPublicId, resourceType, provider: media.storageProvider }];
+
+  for (const size of ['display', 'poster', 'large', 'medium', 'small', 'thumbnail']) {
+    const key = media.quality && media.quality[size] && media.quality[size].key;
+    if (key) {
+      // A video's display copy is itself a video
+      files.push({ key, resourceType: size === 'display' ? resourceType : 'image', provider: media.storageProvider });
     }
   }
 
-  return variants;
+  if (media.watermarked && media.watermarked.key) {
+    files.push({ key: media.watermarked.key, resourceType: 'image', provider: media.storageProvider });
+  }
+
+  for (const { key } of media.renditions || []) {
+    files.push({ key, resourceType: 'image', provider: media.storageProvider });
+  }
+
+  return files;
 };
 
-// Delete file from Cloudinary
-const deleteFile = async (publicId, resourceType = 'auto') => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: resourceType
-    });
-    return result;
-  } catch (error) {
-    console.error('Error deleting file from Cloudinary:', error);
-    throw error;
+// Delete a media item's original and every generated rendition
+const deleteMediaFiles = async (media) => {
+  const [original, ...renditions] = getMediaFiles(media);
+  await deleteFile(original.key, original.resourceType, original.provider);
+
+  for (const { key, resourceType, provider } of renditions) {
+    await deleteFile(key, resourceType, provider).catch(() => {});
   }
 };
 
-// Get file info from Cloudinary
-const getFileInfo = async (publicId, resourceType = 'auto') => {
+// Get file info from storage
+const getFileInfo = async (publicId, resourceType = 'auto', provider) => {
   try {
-    const result = await cloudinary.api.resource(publicId, {
-      resource_type: resourceType
-    });
+    const result = await getStorage(provider).getInfo(publicId, resourceType);
     return result;
   } catch (error) {
-    console.error('Error getting file info from Cloudinary:', error);
+    console.error('Error getting file info from storage:', error);
     throw error;
   }
 };
 
-// Generate signed upload URL for direct client uploads
-const generateSignedUpload = (folder, transformation = null) => {
-  const timestamp = Math.round(new Date().getTime() / 1000);
-  const params = {
-    timestamp,
-    folder: `wedding-memories/${folder}`,
-    ...(transformation && { transformation })
-  };
+// Download the first bytes of a stored file (enough to identify its type)
+const downloadFileHeader = async (publicId, resourceType = 'auto', provider, bytes = HEADER_BYTES) => {
+  const stream = await getStorage(provider).getStream(publicId, { resourceType });
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= bytes) break;
+  }
+  stream.destroy();
+  return Buffer.concat(chunks).subarray(0, bytes);
+};
 
-  const signature = cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET);
+// Download a stored file into memory
+const downloadFile = async (publicId, resourceType = 'auto', provider) => {
+  const stream = await getStorage(provider).getStream(publicId, { resourceType });
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Generate signed upload parameters for direct client uploads
+const generateSignedUpload = async (folder, { fileName, mimeType, maxBytes, expiresIn = 3600 } = {}) => {
+  const storage = getStorage();
+  const upload = await storage.createDirectUpload({
+    folder,
+    fileName,
+    mimeType,
+    maxBytes,
+    expiresIn,
+    resourceType: getResourceType(mimeType)
+  });
 
   return {
-    signature,
-    timestamp,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    folder: params.folder
+    ...upload,
+    provider: storage.name
   };
 };
 
-// Upload file to cloudinary
-const uploadToCloudinary = async (file, folder, resourceType = 'auto') => {
-  return new Promise((resolve, reject) => {
-    const uploadOptions = {
-      folder: `wedding-memories/${folder}`,
-      resource_type: resourceType,
-      public_id: uuidv4(),
-      quality: 'auto:good',
-      fetch_format: 'auto'
-    };
+// Extract metadata from uploaded file
+// Options: scrub strips location and identifying EXIF before storing,
+// keepCaptureTime keeps the capture time in Media.metadata when scrubbing,
+// stored is the storage result of a file already uploaded directly by the client,
+// allowedTypes are the mime types the file content may turn out to be,
+// displayFile is a decodable JPEG conversion of a HEIC/HEIF original
+const extractMetadata = async (file, folder = 'media', { scrub = false, keepCaptureTime = true, stored = null, allowedTypes = MEDIA_MIME_TYPES, displayFile = null } = {}) => {
+  // Trust the file signature rather than the client-supplied mime type
+  file = await verifyFileType(file, allowedTypes);
+  const resourceType = getResourceType(file.mimetype);
+
+  // Read EXIF from the untouched original before anything is stripped
+  let exif = null;
+  let coordinates = null;
+  if (resourceType === 'image') {
+    try {
+      exif = await extractExif(file);
+      coordinates = await extractGps(file);
+    } catch (error) {
+      console.error('Error reading EXIF metadata:', error);
+    }
+  }
 
-    cloudinary.uploader.upload_stream(
-      uploadOptions,
-      (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      }
-    ).end(file.buffer);
-  });
-};
+  // A scrubbed copy replaces any directly uploaded original; a HEIC original
+  // stays HEIC, next to its JPEG display copy
+  if (scrub && resourceType === 'image') {
+    file = await scrubImageMetadata(file);
+    stored = null;
+  }
+
+  // Upload to storage unless the client already did
+  const storage = getStorage(stored ? stored.provider : undefined);
+  const storageResult = stored || await storage.upload(file, { folder, resourceType });
 
-// Extract metadata from uploaded file
-const extractMetadata = async (file, folder = 'media') => {
-  // Upload to cloudinary first
-  const resourceType = file.mimetype.startsWith('image/') ? 'image' : 
-                      file.mimetype.startsWith('video/') ? 'video' : 'raw';
-  
-  const cloudinaryResult = await uploadToCloudinary(file, folder, resourceType);
-  
   const metadata = {
     originalName: file.originalname,
-    fileName: cloudinaryResult.public_id,
+    fileName: storageResult.key,
     fileSize: file.size,
     mimeType: file.mimetype,
-    url: cloudinaryResult.secure_url,
-    cloudinaryPublicId: cloudinaryResult.public_id,
+    url: storageResult.url,
+    cloudinaryPublicId: storageResult.key,
+    storageProvider: storage.name,
     fileType: file.mimetype.startsWith('image/') ? 'image' : 
               file.mimetype.startsWith('video/') ? 'video' : 'audio'
   };
 
-  // Add Cloudinary specific metadata if available
-  if (cloudinaryResult.width && cloudinaryResult.height) {
+  // Add storage specific metadata if available
+  if (storageResult.width && storageResult.height) {
     metadata.dimensions = {
-      width: cloudinaryResult.width,
-      height: cloudinaryResult.height
+      width: storageResult.width,
+      height: storageResult.height
     };
+  } else if (resourceType === 'image') {
+    // Drivers without server-side analysis don't report dimensions
+    try {
+      const { width, height, orientation } = await sharp(getImageInput(displayFile || file)).metadata();
+      // EXIF orientations 5-8 are rotated a quarter turn
+      metadata.dimensions = orientation >= 5 ? { width: height, height: width } : { width, height };
+    } catch (error) {
+      console.error('Error reading image dimensions:', error);
+    }
+  }
+
+  if (storageResult.duration) {
+    metadata.duration = storageResult.duration;
   }
 
-  if (cloudinaryResult.duration) {
-    metadata.duration = cloudinaryResult.duration;
+  // Camera details, capture time and location from EXIF
+  if (scrub) {
+    if (keepCaptureTime && exif && exif.dateTimeTaken) {
+      metadata.metadata = { dateTimeTaken: exif.dateTimeTaken };
+    }
+  } else {
+    if (exif) {
+      metadata.metadata = exif;
+    }
+    if (coordinates) {
+      metadata.location = { coordinates };
+    }
   }
 
   return metadata;
 };
 
-// Validate file type and size
+// Types accepted when an event has no allowedFileTypes of its own
+const DEFAULT_ALLOWED_FILE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/heic', 'image/heif', 'video/mp4', 'video/quicktime'];
+
+// Human readable file size for error messages
+const formatFileSize = (bytes) => {
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  if (bytes === 0) return '0 Bytes';
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Check a file against an event's maxFileSize and allowedFileTypes settings
 const validateFile = (file, eventSettings = {}) => {
-  const maxSize = eventSettings.maxFileSize || parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
-  const allowedTypes = eventSettings.allowedFileTypes || [
-    'image/jpeg', 'image/png', 'image/gif', 'video/mp4', 'video/quicktime'
-  ];
+  const maxSize = getMaxFileSize(eventSettings);
+  const allowedTypes = eventSettings.allowedFileTypes?.length ? eventSettings.allowedFileTypes : DEFAULT_ALLOWED_FILE_TYPES;
+  // Some browsers report JPEGs as image/jpg
+  const mimeType = file.mimetype === 'image/jpg' ? 'image/jpeg' : file.mimetype;
 
   if (file.size > maxSize) {
-    throw new Error(`File size exceeds limit of ${maxSize / (1024 * 1024)}MB`);
+    throw new AppError(`File size exceeds limit of ${formatFileSize(maxSize)}`, 413, 'FILE_TOO_LARGE');
   }
 
-  if (!allowedTypes.includes(file.mimetype)) {
-    throw new Error(`File type ${file.mimetype} is not allowed`);
+  if (!allowedTypes.includes(mimeType)) {
+    throw new AppError(`File type ${file.mimetype} is not allowed for this event`, 415, 'FILE_TYPE_NOT_ALLOWED');
   }
 
   return true;
 };
 
 module.exports = {
-  cloudinary,
   uploadMultipleMedia,
   uploadSingleMedia,
   uploadSingleAudio,
   uploadSingleCover,
   uploadSingleProfile,
-  generateImageVariants,
+  uploadSingleWatermark,
   deleteFile,
+  getMediaFiles,
+  deleteMediaFiles,
   getFileInfo,
+  downloadFile,
+  downloadFileHeader,
   generateSignedUpload,
   extractMetadata,
   validateFile,
-  getImageTransformations
+  formatFileSize,
+  getImageTransformations,
+  DEFAULT_ALLOWED_FILE_TYPES,
+  MAX_EVENT_FILE_SIZE,
+  IMAGE_MIME_TYPES,
+  VIDEO_MIME_TYPES,
+  MEDIA_MIME_TYPES,
+  HEIF_MIME_TYPES,
+  AUDIO_MIME_TYPES
 };
\ No newline at end of file
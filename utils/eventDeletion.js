@@ -0,0 +1,129 @@
+const Event = require('../models/Event');
+const Media = require('../models/Media');
+const Guestbook = require('../models/Guestbook');
+const User = require('../models/User');
+const { deleteFile, getMediaFiles } = require('./cloudinary');
+const { getMediaStoredBytes, recordStorageUsage } = require('./storageQuota');
+const { isKeyInFolder } = require('./storage/keys');
+const jobQueue = require('./jobQueue');
+
+// Documents whose files are deleted per round trip
+const BATCH_SIZE = 50;
+
+// Deactivate an event and queue the deletion of its files and documents
+const requestEventDeletion = async (event, user) => {
+  event.isActive = false;
+  event.deletionRequestedAt = event.deletionRequestedAt || new Date();
+  await event.save();
+
+  return jobQueue.enqueue('delete-event', {
+    eventId: event._id.toString(),
+    host: event.host.toString(),
+    requestedBy: user._id.toString()
+  }, { event: event._id, maxAttempts: 10 });
+};
+
+// Delete the files of a batch of documents, then the documents, and give their
+// bytes back to the host's quota. Returns the batch size.
+const deleteBatch = async (event, Model, query, getFiles, getBytes) => {
+  const batch = await Model.find(query).limit(BATCH_SIZE);
+
+  for (const doc of batch) {
+    for (const { key, resourceType, provider } of getFiles(doc)) {
+      await deleteFile(key, resourceType, provider);
+    }
+  }
+
+  await Model.deleteMany({ _id: { $in: batch.map(doc => doc._id) } });
+  await recordStorageUsage(event, -batch.reduce((sum, doc) => sum + getBytes(doc), 0));
+  return batch.length;
+};
+
+// Job handler: delete every file of an event, then the event. Documents are only
+// removed once their files are gone, so an interrupted or retried job carries on
+// with whatever is left.
+const deleteEventJob = async ({ eventId }, { io, job }) => {
+  const event = await Event.findById(eventId);
+
+  // Finished by an earlier attempt
+  if (!event) return;
+
+  const audioQuery = { event: event._id, 'audioMessage.cloudinaryPublicId': { $ne: null } };
+  const [mediaLeft, audioLeft] = await Promise.all([
+    Media.countDocuments({ event: event._id }),
+    Guestbook.countDocuments(audioQuery)
+  ]);
+
+  const progress = { completed: job.progress.completed || 0 };
+  progress.total = progress.completed + mediaLeft + audioLeft +
+    (event.coverPhotoKey ? 1 : 0) + (event.watermark.imageKey ? 1 : 0) + (event.archiveExport.key ? 1 : 0);
+  await jobQueue.reportProgress(job, progress);
+
+  let deleted;
+  while ((deleted = await deleteBatch(event, Media, { event: event._id }, getMediaFiles, getMediaStoredBytes)) > 0) {
+    progress.completed += deleted;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  const getAudioFiles = (entry) => [{
+    key: entry.audioMessage.cloudinaryPublicId,
+    resourceType: 'raw',
+    provider: entry.audioMessage.storageProvider
+  }];
+
+  const getAudioBytes = (entry) => entry.audioMessage.fileSize || 0;
+
+  while ((deleted = await deleteBatch(event, Guestbook, audioQuery, getAudioFiles, getAudioBytes)) > 0) {
+    progress.completed += deleted;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  if (event.coverPhotoKey) {
+    // Keys outside the folder aren't this event's own file
+    if (isKeyInFolder(event.coverPhotoKey, ['covers'])) {
+      await deleteFile(event.coverPhotoKey, 'image', event.coverPhotoProvider);
+    }
+    event.coverPhotoKey = null;
+    await event.save();
+    progress.completed += 1;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  if (event.watermark.imageKey) {
+    if (isKeyInFolder(event.watermark.imageKey, ['watermarks'])) {
+      await deleteFile(event.watermark.imageKey, 'image', event.watermark.imageProvider);
+    }
+    event.watermark.imageKey = null;
+    await event.save();
+    progress.completed += 1;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  if (event.archiveExport.key) {
+    if (isKeyInFolder(event.archiveExport.key, ['exports'])) {
+      await deleteFile(event.archiveExport.key, 'raw', event.archiveExport.provider);
+    }
+    event.archiveExport.key = null;
+    await event.save();
+    progress.completed += 1;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  await Guestbook.deleteMany({ event: event._id });
+
+  // Remove event from users' events arrays
+  await User.updateMany(
+    { events: event._id },
+    { $pull: { events: event._id } }
+  );
+
+  await Event.findByIdAndDelete(event._id);
+
+  io.to(eventId).emit('event-deleted', { eventId });
+};
+
+jobQueue.registerHandler('delete-event', deleteEventJob);
+
+module.exports = {
+  requestEventDeletion
+};
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
+const jwt = require('jsonwebtoken');
+const Event = require('../models/Event');
+const Media = require('../models/Media');
+const Guestbook = require('../models/Guestbook');
+const { getStorage } = require('./storage');
+const { isKeyInFolder } = require('./storage/keys');
+const { getEntryPath, createZipArchive } = require('./mediaArchive');
+const { queueFileCleanup } = require('./mediaPipeline');
+const jobQueue = require('./jobQueue');
+
+// Days an export is kept before its file is deleted
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+
+// Seconds a download link stays valid (a new one is handed out on every status request)
+const EXPORT_LINK_EXPIRES = parseInt(process.env.EXPORT_LINK_EXPIRES) || 60 * 60;
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+// File extensions of guestbook recordings, by mime type
+const AUDIO_EXTENSIONS = {
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/webm': '.webm'
+};
+
+// Queue an archival export of an event
+const requestEventExport = (event, user) => {
+  return jobQueue.enqueue('export-event', {
+    eventId: event._id.toString(),
+    requestedBy: user._id.toString()
+  }, { event: event._id });
+};
+
+// Whether an event has an export that can still be downloaded. Only files in the
+// exports folder count, so the key can never hand out another stored file.
+const hasDownloadableExport = (event) => {
+  const { key, expiresAt } = event.archiveExport || {};
+  return Boolean(key && isKeyInFolder(key, ['exports']) && expiresAt && expiresAt > new Date());
+};
+
+// Short-lived link to download an event's export, without needing an auth header
+const createExportDownloadLink = (event) => {
+  const expiresIn = Math.min(
+    EXPORT_LINK_EXPIRES,
+    Math.floor((event.archiveExport.expiresAt.getTime() - Date.now()) / 1000)
+  );
+  const token = jwt.sign(
+    { type: 'event-export', eventId: event._id.toString(), key: event.archiveExport.key },
+    JWT_SECRET,
+    { expiresIn }
+  );
+
+  return {
+    url: `/api/events/${event._id}/export/download?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+};
+
+// Verify a token issued by createExportDownloadLink
+const verifyExportDownloadToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.type !== 'event-export') {
+    throw new Error('Invalid download token');
+  }
+  return payload;
+};
+
+// Spreadsheet-safe CSV cell: quoted when needed, and formulas defused
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(toCsvValue).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => toCsvValue(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Name shown for whoever uploaded a media item
+const getUploaderName = (uploader) => {
+  if (uploader.type === 'guest') return uploader.guestName;
+  const user = uploader.userId;
+  return user && user.firstName ? `${user.firstName} ${user.lastName}`.trim() : uploader.type;
+};
+
+// Manifest record of a media item
+const toMediaRecord = (media, file) => ({
+  file,
+  originalName: media.originalName,
+  album: media.album,
+  fileType: media.fileType,
+  mimeType: media.mimeType,
+  fileSize: media.fileSize,
+  caption: media.caption || null,
+  tags: media.tags,
+  uploader: {
+    type: media.uploader.type,
+    name: getUploaderName(media.uploader)
+  },
+  status: media.status,
+  isFeatured: media.isFeatured,
+  uploadedAt: media.createdAt,
+  capturedAt: media.capturedAt,
+  likes: media.interactions.likes.map(like => like.guestName),
+  comments: media.interactions.comments
+    .filter(comment => comment.isApproved)
+    .map(({ guestName, message, timestamp }) => ({ guestName, message, timestamp }))
+});
+
+// Manifest record of a guestbook entry
+const toGuestbookRecord = (entry, audioFile) => ({
+  guestName: entry.guestName,
+  guestEmail: entry.guestEmail,
+  messageType: entry.messageType,
+  textMessage: entry.textMessage || null,
+  audioFile,
+  duration: entry.audioMessage.duration,
+  transcript: (entry.audioMessage.transcript && entry.audioMessage.transcript.text) || null,
+  status: entry.status,
+  isPinned: entry.isPinned,
+  createdAt: entry.createdAt,
+  likes: entry.interactions.likes.map(like => like.guestName),
+  replies: entry.interactions.replies
+    .filter(reply => reply.isApproved)
+    .map(({ guestName, message, timestamp }) => ({ guestName, message, timestamp }))
+});
+
+// Flatten a list of { guestName, message } into one CSV cell
+const joinMessages = (messages) => messages.map(({ guestName, message }) => `${guestName}: ${message}`).join('\n');
+
+// Write the export ZIP to a file. Resolves with the manifest counts.
+const buildExportArchive = async (event, zipPath, job) => {
+  const output = fs.createWriteStream(zipPath);
+  const zip = createZipArchive(output);
+  const usedPaths = new Set();
+
+  const mediaQuery = { event: event._id, processingStatus: 'completed', status: { $ne: 'rejected' } };
+  const guestbookQuery = { event: event._id, status: { $ne: 'rejected' } };
+  const [mediaCount, audioCount] = await Promise.all([
+    Media.countDocuments(mediaQuery),
+    Guestbook.countDocuments({ ...guestbookQuery, 'audioMessage.cloudinaryPublicId': { $ne: null } })
+  ]);
+  const progress = { completed: 0, total: mediaCount + audioCount };
+  await jobQueue.reportProgress(job, progress);
+
+  // Files storage can't provide are listed in the manifest with file: null
+  const addStoredFile = async ({ key, resourceType, provider }, folders, fileName, fallbackName, date) => {
+    let stream;
+    try {
+      stream = await getStorage(provider).getStream(key, { resourceType });
+    } catch (error) {
+      console.error(`Error adding ${key} to export:`, error);
+      return null;
+    }
+
+    const name = getEntryPath(folders, fileName, usedPaths, fallbackName);
+    await zip.append(stream, { name, date });
+    return name;
+  };
+
+  const media = [];
+  const mediaCursor = Media.find(mediaQuery)
+    .sort({ album: 1, capturedAt: 1, _id: 1 })
+    .populate('uploader.userId', 'firstName lastName')
+    .cursor();
+
+  for await (const item of mediaCursor) {
+    const file = await addStoredFile(
+      { key: item.cloudinaryPublicId, resourceType: item.fileType, provider: item.storageProvider },
+      ['media', item.album || 'All Photos'],
+      item.originalName,
+      item._id.toString(),
+      item.capturedAt || item.createdAt
+    );
+    media.push(toMediaRecord(item, file));
+
+    progress.completed += 1;
+    await jobQueue.reportProgress(job, progress);
+  }
+
+  const guestbook = [];
+  const guestbookCursor = Guestbook.find(guestbookQuery).sort({ createdAt: 1 }).cursor();
+
+  for await (const entry of guestbookCursor) {
+    let audioFile = null;
+
+    if (entry.audioMessage.cloudinaryPublicId) {
+      const { cloudinaryPublicId: key, storageProvider: provider, mimeType } = entry.audioMessage;
+      const extension = path.extname(key) || AUDIO_EXTENSIONS[mimeType] || '';
+      const number = String(guestbook.length + 1).padStart(3, '0');
+
+      audioFile = await addStoredFile(
+        { key, resourceType: 'raw', provider },
+        ['guestbook'],
+        `${number} ${entry.guestName}${extension}`,
+        `${number}${extension}`,
+        entry.createdAt
+      );
+
+      progress.completed += 1;
+      await jobQueue.reportProgress(job, progress);
+    }
+
+    guestbook.push(toGuestbookRecord(entry, audioFile));
+  }
+
+  const manifest = {
+    event: {
+      title: event.title,
+      coupleNames: event.coupleNames,
+      eventDate: event.eventDate,
+      venue: event.venue,
+      description: event.description
+    },
+    exportedAt: new Date(),
+    media,
+    guestbook
+  };
+
+  await zip.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+  await zip.append(toCsv(media.map(record => ({
+    ...record,
+    tags: record.tags.join('; '),
+    uploaderType: record.uploader.type,
+    uploaderName: record.uploader.name,
+    likes: record.likes.length,
+    comments: joinMessages(record.comments)
+  })), [
+    'file', 'originalName', 'album', 'fileType', 'caption', 'tags', 'uploaderType', 'uploaderName',
+    'status', 'isFeatured', 'uploadedAt', 'capturedAt', 'likes', 'comments'
+  ]), { name: 'media.csv' });
+
+  await zip.append(toCsv(guestbook.map(record => ({
+    ...record,
+    likes: record.likes.length,
+    replies: joinMessages(record.replies)
+  })), [
+    'guestName', 'guestEmail', 'messageType', 'textMessage', 'audioFile', 'duration', 'transcript',
+    'status', 'isPinned', 'createdAt', 'likes', 'replies'
+  ]), { name: 'guestbook.csv' });
+
+  await zip.finalize();
+  await finished(output);
+
+  return { media: media.length, guestbook: guestbook.length };
+};
+
+// Job handler: package an event's originals, guestbook audio and a manifest into a
+// ZIP in storage, kept for EXPORT_RETENTION_DAYS
+const exportEventJob = async ({ eventId }, { job }) => {
+  const event = await Event.findById(eventId);
+  if (!event) return;
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wedding-memories-export-'));
+  const zipPath = path.join(workDir, 'export.zip');
+
+  try {
+    await buildExportArchive(event, zipPath, job);
+
+    const { size } = await fs.promises.stat(zipPath);
+    const storage = getStorage();
+    const stored = await storage.upload({
+      path: zipPath,
+      originalname: 'export.zip',
+      mimetype: 'application/zip',
+      size
+    }, { folder: 'exports', resourceType: 'raw' });
+
+    const { key: previousKey, provider: previousProvider } = event.archiveExport;
+    const archiveExport = {
+      key: stored.key,
+      provider: storage.name,
+      size: stored.bytes || size,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    };
+    await Event.updateOne({ _id: event._id }, { archiveExport });
+
+    // Replaced right away; this one is removed once it expires
+    if (previousKey && isKeyInFolder(previousKey, ['exports'])) {
+      await queueFileCleanup([{ key: previousKey, resourceType: 'raw', provider: previousProvider }], { event: event._id });
+    }
+    await jobQueue.enqueue('delete-files', {
+      files: [{ key: stored.key, resourceType: 'raw', provider: storage.name }]
+    }, { event: event._id, maxAttempts: 5, runAt: archiveExport.expiresAt });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+jobQueue.registerHandler('export-event', exportEventJob);
+
+module.exports = {
+  toCsvValue,
+  requestEventExport,
+  hasDownloadableExport,
+  createExportDownloadLink,
+  verifyExportDownloadToken
+};
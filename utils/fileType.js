@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { AppError } = require('../middleware/errorHandler');
+
+// Bytes read from the start of a file to identify it
+const HEADER_BYTES = 64;
+
+// Mime types some clients send for the same format
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg'
+};
+
+// ISO base media (ftyp) brands that aren't plain MP4 video
+const FTYP_BRANDS = {
+  'qt  ': ['video/quicktime'],
+  heic: ['image/heic'],
+  heix: ['image/heic'],
+  hevc: ['image/heic'],
+  hevx: ['image/heic'],
+  heim: ['image/heic'],
+  heis: ['image/heic'],
+  mif1: ['image/heif'],
+  msf1: ['image/heif'],
+  avif: ['image/avif'],
+  'M4A ': ['audio/mp4']
+};
+
+// Check bytes (numbers) or an ASCII string at an offset
+const matches = (header, offset, signature) => {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'ascii') : signature;
+  if (header.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => header[offset + i] === byte);
+};
+
+// Known file signatures, most specific first. Each returns the mime types the
+// content can be (WebM carries either audio or video).
+const SIGNATURES = [
+  { mimeTypes: ['image/jpeg'], test: (h) => matches(h, 0, [0xFF, 0xD8, 0xFF]) },
+  { mimeTypes: ['image/png'], test: (h) => matches(h, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeTypes: ['image/gif'], test: (h) => matches(h, 0, 'GIF87a') || matches(h, 0, 'GIF89a') },
+  { mimeTypes: ['image/webp'], test: (h) => matches(h, 0, 'RIFF') && matches(h, 8, 'WEBP') },
+  { mimeTypes: ['video/x-msvideo'], test: (h) => matches(h, 0, 'RIFF') && matches(h, 8, 'AVI ') },
+  { mimeTypes: ['audio/wav'], test: (h) => matches(h, 0, 'RIFF') && matches(h, 8, 'WAVE') },
+  { mimeTypes: ['audio/webm', 'video/webm'], test: (h) => matches(h, 0, [0x1A, 0x45, 0xDF, 0xA3]) },
+  { mimeTypes: ['audio/mpeg'], test: (h) => matches(h, 0, 'ID3') || (h[0] === 0xFF && (h[1] & 0xE0) === 0xE0) }
+];
+
+// Identify a file from its first bytes; returns candidate mime types or []
+const detectFileType = (header) => {
+  if (!header || header.length === 0) return [];
+
+  // MP4, QuickTime and HEIF share the ISO base media container
+  if (matches(header, 4, 'ftyp')) {
+    const brand = header.toString('ascii', 8, 12);
+    return FTYP_BRANDS[brand] || ['video/mp4'];
+  }
+
+  const signature = SIGNATURES.find(({ test }) => test(header));
+  return signature ? signature.mimeTypes : [];
+};
+
+// First bytes of an uploaded file, from memory or disk
+const readFileHeader = async (file) => {
+  if (file.header) return file.header;
+  if (file.buffer) return file.buffer.subarray(0, HEADER_BYTES);
+
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Check the file content against the claimed mime type and the types accepted
+// by the upload. Returns the file with its mimetype set from the content; a file
+// claiming a different kind of media (say, HTML sent as image/jpeg) is rejected.
+const verifyFileType = async (file, allowedTypes) => {
+  const claimed = MIME_ALIASES[file.mimetype] || file.mimetype;
+  const claimedKind = claimed.split('/')[0];
+  const detected = detectFileType(await readFileHeader(file));
+  const allowed = allowedTypes.map(type => MIME_ALIASES[type] || type);
+
+  const mimeType = detected.includes(claimed)
+    ? claimed
+    : detected.find(type => type.split('/')[0] === claimedKind);
+
+  if (!mimeType || !allowed.includes(mimeType)) {
+    throw new AppError(
+      `File content does not match its type (${file.mimetype})`,
+      415,
+      'FILE_TYPE_MISMATCH'
+    );
+  }
+
+  return mimeType === file.mimetype ? file : { ...file, mimetype: mimeType };
+};
+
+module.exports = {
+  HEADER_BYTES,
+  detectFileType,
+  readFileHeader,
+  verifyFileType
+};
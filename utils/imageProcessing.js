@@ -0,0 +1,568 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const heicDecode = require('heic-decode');
+const { encode: encodeBlurhash } = require('blurhash');
+const { getStorage } = require('./storage');
+
+// Renditions generated for every uploaded image
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  small: { width: 400, height: 400, fit: 'inside' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  large: { width: 1200, height: 1200, fit: 'inside' }
+};
+
+// Widths of the modern-format renditions listed in srcset
+const RESPONSIVE_WIDTHS = [320, 640, 1024, 1600];
+
+// Modern formats, smallest first; browsers pick the first <source> they can decode
+const RESPONSIVE_FORMATS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 80 }
+};
+
+// iPhone photos; sharp's bundled libvips can't decode HEVC, so these go through heic-decode
+const HEIF_MIME_TYPES = ['image/heic', 'image/heif'];
+
+// Largest side of the copy shown in place of an original browsers can't display
+const DISPLAY_MAX_SIZE = 2560;
+
+// Size the image is shrunk to before computing its placeholder
+const PLACEHOLDER_SIZE = 32;
+
+// Largest side of the tiny WebP inlined as the placeholder's data URI
+const PLACEHOLDER_IMAGE_SIZE = 16;
+
+// Sharp accepts either an in-memory buffer or a path on disk
+const getImageInput = (file) => file.buffer || file.path;
+
+// Base name shared by an original and its renditions (uuid without extension)
+const getBaseName = (key) => path.basename(key, path.extname(key));
+
+// Upload a rendered buffer through the same storage driver as the original
+const storeRendition = async (storage, data, { publicId, format = 'jpeg', folder = 'media/variants' }) => {
+  return storage.upload({
+    buffer: data,
+    mimetype: `image/${format}`,
+    originalname: `${publicId}.${format === 'jpeg' ? 'jpg' : format}`,
+    size: data.length
+  }, { folder, publicId, resourceType: 'image' });
+};
+
+// Whether a file is HEIC/HEIF
+const isHeif = (file) => HEIF_MIME_TYPES.includes(file.mimetype);
+
+// Decode a HEIC/HEIF image into a full size JPEG (pixels only, no metadata)
+const convertHeifToJpeg = async (file) => {
+  const input = file.buffer || await fs.promises.readFile(file.path);
+  const { width, height, data } = await heicDecode({ buffer: input });
+
+  const buffer = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels: 4 }
+  })
+    .jpeg({ quality: 92, mozjpeg: true })
+    .toBuffer();
+
+  return {
+    ...file,
+    buffer,
+    size: buffer.length,
+    path: undefined,
+    mimetype: 'image/jpeg',
+    originalname: `${path.parse(file.originalname || 'image').name}.jpg`
+  };
+};
+
+// Store a JPEG display rendition, used as Media.url when the original can't be shown in browsers
+const generateDisplayRendition = async (file, { key, provider }) => {
+  const { data, info } = await sharp(getImageInput(file), { failOn: 'none' })
+    .rotate()
+    .resize({ width: DISPLAY_MAX_SIZE, height: DISPLAY_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const result = await storeRendition(getStorage(provider), data, { publicId: `${getBaseName(key)}-display` });
+
+  return {
+    url: result.url,
+    key: result.key,
+    size: info.size,
+    width: info.width,
+    height: info.height
+  };
+};
+
+// Whether a photo has rotation or crop edits to apply
+const hasImageEdits = (edits) => Boolean(edits && (edits.rotation || (edits.crop && edits.crop.width != null)));
+
+// Pixel region of a crop given as fractions of the image, kept inside it
+const getCropRegion = (crop, { width, height }) => {
+  const left = Math.min(Math.round(crop.left * width), width - 1);
+  const top = Math.min(Math.round(crop.top * height), height - 1);
+
+  return {
+    left,
+    top,
+    width: Math.max(Math.min(Math.round(crop.width * width), width - left), 1),
+    height: Math.max(Math.min(Math.round(crop.height * height), height - top), 1)
+  };
+};
+
+// Region of an image with the target aspect ratio, centred as close to the focal
+// point (fractions of the image) as its edges allow
+const getFocalRegion = (focalPoint, { width, height }, aspectRatio) => {
+  const regionWidth = width / height > aspectRatio ? Math.round(height * aspectRatio) : width;
+  const regionHeight = width / height > aspectRatio ? height : Math.round(width / aspectRatio);
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: clamp(Math.round(focalPoint.x * width - regionWidth / 2), width - regionWidth),
+    top: clamp(Math.round(focalPoint.y * height - regionHeight / 2), height - regionHeight),
+    width: regionWidth,
+    height: regionHeight
+  };
+};
+
+// Rotate and crop a photo (EXIF orientation applied first) into a full size JPEG,
+// the source renditions are made from. Returns the file itself when there's nothing to apply.
+const applyImageEdits = async (file, edits) => {
+  if (!hasImageEdits(edits)) return file;
+
+  // EXIF orientation and the edit's rotation go in separate passes; sharp only keeps one rotate()
+  const oriented = await sharp(getImageInput(file), { failOn: 'none' })
+    .rotate()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = oriented.info;
+  const image = sharp(oriented.data, { raw: { width, height, channels } }).rotate(edits.rotation || 0);
+
+  if (edits.crop && edits.crop.width != null) {
+    const quarterTurn = edits.rotation === 90 || edits.rotation === 270;
+    image.extract(getCropRegion(edits.crop, quarterTurn ? { width: height, height: width } : { width, height }));
+  }
+
+  const buffer = await image.jpeg({ quality: 92, mozjpeg: true }).toBuffer();
+
+  return {
+    ...file,
+    buffer,
+    size: buffer.length,
+    path: undefined,
+    mimetype: 'image/jpeg',
+    originalname: `${path.parse(file.originalname || 'image').name}.jpg`
+  };
+};
+
+// Generate thumbnail, small, medium and large renditions with sharp. Cropped
+// renditions (the thumbnail) are centred on the focal point when there is one.
+const generateImageVariants = async (file, { key, provider, focalPoint = null }) => {
+  const storage = getStorage(provider);
+  const baseName = getBaseName(key);
+  const image = sharp(getImageInput(file), { failOn: 'none' }).rotate();
+  const { width: sourceWidth, height: sourceHeight, orientation } = await image.metadata();
+  const orientedSize = orientation >= 5
+    ? { width: sourceHeight, height: sourceWidth }
+    : { width: sourceWidth, height: sourceHeight };
+  const variants = {};
+
+  for (const [size, { width, height, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    try {
+      const pipeline = image.clone();
+
+      if (fit === 'cover' && focalPoint && focalPoint.x != null) {
+        pipeline.extract(getFocalRegion(focalPoint, orientedSize, width / height));
+      }
+
+      const { data, info } = await pipeline
+        .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+      const result = await storeRendition(storage, data, { publicId: `${baseName}-${size}` });
+
+      variants[size] = {
+        url: result.url,
+        key: result.key,
+        size: info.size,
+        width: info.width,
+        height: info.height
+      };
+    } catch (error) {
+      console.error(`Error generating ${size} variant:`, error);
+    }
+  }
+
+  return variants;
+};
+
+// Hex colour (#rrggbb) from sharp's { r, g, b }
+const toHexColor = ({ r, g, b }) => {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Blurhash, tiny WebP data URI and dominant colour clients paint while the image
+// loads. Returns null if the image can't be read, like a failed rendition.
+const generatePlaceholder = async (file) => {
+  try {
+    const { data, info } = await sharp(getImageInput(file), { failOn: 'none' })
+      .rotate()
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // 4x3 components along the longer and shorter side
+    const landscape = info.width >= info.height;
+    const blurhash = encodeBlurhash(
+      new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+      info.width,
+      info.height,
+      landscape ? 4 : 3,
+      landscape ? 3 : 4
+    );
+
+    const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+    const { dominant } = await sharp(data, raw).stats();
+    const image = await sharp(data, raw)
+      .resize(PLACEHOLDER_IMAGE_SIZE, PLACEHOLDER_IMAGE_SIZE, { fit: 'inside' })
+      .removeAlpha()
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return {
+      blurhash,
+      dataUri: `data:image/webp;base64,${image.toString('base64')}`,
+      dominantColor: toHexColor(dominant)
+    };
+  } catch (error) {
+    console.error('Error generating placeholder:', error);
+    return null;
+  }
+};
+
+// Difference hash of an image as 16 hex characters (64 bits). Resized, recompressed
+// or lightly edited copies of a photo hash to values a few bits apart.
+const computePerceptualHash = async (file) => {
+  const pixels = await sharp(getImageInput(file), { failOn: 'none' })
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // Each bit records whether a pixel is brighter than its right-hand neighbour
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const bit = pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n;
+      hash = (hash << 1n) | bit;
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of bits that differ between two perceptual hashes
+const getHashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// Generate AVIF and WebP renditions at each responsive width the image is wide
+// enough for (at least one, at its own width). Returns [{ format, width, ... }].
+const generateResponsiveRenditions = async (file, { key, provider }) => {
+  const storage = getStorage(provider);
+  const baseName = getBaseName(key);
+  const image = sharp(getImageInput(file), { failOn: 'none' }).rotate();
+  const { width: sourceWidth, height: sourceHeight, orientation } = await image.metadata();
+
+  // EXIF orientations 5-8 swap width and height once rotated
+  const displayWidth = orientation >= 5 ? sourceHeight : sourceWidth;
+  const widths = RESPONSIVE_WIDTHS.filter(width => width < displayWidth);
+  if (widths.length === 0 || displayWidth <= RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]) {
+    widths.push(displayWidth);
+  }
+
+  const renditions = [];
+
+  for (const [format, options] of Object.entries(RESPONSIVE_FORMATS)) {
+    for (const width of widths) {
+      try {
+        const { data, info } = await image
+          .clone()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toBuffer({ resolveWithObject: true });
+
+        // The format is part of the name so Cloudinary public ids don't collide
+        const result = await storeRendition(storage, data, {
+          publicId: `${baseName}-${width}w-${format}`,
+          format
+        });
+
+        renditions.push({
+          format,
+          url: result.url,
+          key: result.key,
+          size: info.size,
+          width: info.width,
+          height: info.height
+        });
+      } catch (error) {
+        console.error(`Error generating ${width}w ${format} rendition:`, error);
+      }
+    }
+  }
+
+  return renditions;
+};
+
+// Format an exposure time in seconds the way cameras display it (1/125, 2s)
+const formatShutterSpeed = (exposureTime) => {
+  if (!exposureTime) return null;
+  if (exposureTime >= 1) return `${Math.round(exposureTime * 10) / 10}s`;
+  return `1/${Math.round(1 / exposureTime)}`;
+};
+
+// Parse camera EXIF into the shape of Media.metadata
+const extractExif = async (file) => {
+  const exif = await exifr.parse(getImageInput(file), {
+    pick: ['Make', 'Model', 'LensModel', 'ISO', 'FNumber', 'ExposureTime', 'FocalLength', 'DateTimeOriginal', 'CreateDate']
+  });
+
+  if (!exif) return null;
+
+  const make = exif.Make ? exif.Make.trim() : null;
+  const model = exif.Model ? exif.Model.trim() : null;
+  const dateTimeTaken = exif.DateTimeOriginal || exif.CreateDate || null;
+
+  return {
+    // Most models already include the make ("Canon EOS R5")
+    camera: model && make && !model.startsWith(make) ? `${make} ${model}` : (model || make),
+    lens: exif.LensModel || null,
+    iso: exif.ISO || null,
+    aperture: exif.FNumber ? `f/${exif.FNumber}` : null,
+    shutterSpeed: formatShutterSpeed(exif.ExposureTime),
+    focalLength: exif.FocalLength || null,
+    dateTimeTaken: dateTimeTaken instanceof Date && !isNaN(dateTimeTaken) ? dateTimeTaken : null
+  };
+};
+
+// Read GPS coordinates from EXIF
+const extractGps = async (file) => {
+  const gps = await exifr.gps(getImageInput(file));
+
+  if (!gps || !Number.isFinite(gps.latitude) || !Number.isFinite(gps.longitude)) {
+    return null;
+  }
+
+  // Phones write 0,0 when they had no fix
+  if (gps.latitude === 0 && gps.longitude === 0) {
+    return null;
+  }
+
+  return {
+    latitude: gps.latitude,
+    longitude: gps.longitude
+  };
+};
+
+// Formats sharp can write back out in the same format they were uploaded in
+const SCRUBBABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+
+// Boxes of an ISO base media file between two offsets
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({
+      type: buffer.toString('ascii', offset + 4, offset + 8),
+      start: offset + headerSize,
+      end: offset + size
+    });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+// Read an unsigned big-endian integer of 0, 4 or 8 bytes
+const readSizedUInt = (buffer, offset, size) => {
+  if (size === 0) return 0;
+  return size === 8 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUIntBE(offset, size);
+};
+
+// Ids of the metadata items (Exif, XMP) listed in a HEIF iinf box
+const readMetadataItemIds = (buffer, iinf) => {
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+  const ids = new Set();
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end).filter(box => box.type === 'infe')) {
+    const infeVersion = buffer[infe.start];
+    if (infeVersion < 2) continue;
+
+    let offset = infe.start + 4;
+    const itemId = infeVersion === 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += (infeVersion === 2 ? 2 : 4) + 2;
+    const itemType = buffer.toString('ascii', offset, offset + 4);
+    offset += 4;
+
+    const nameEnd = buffer.indexOf(0, offset);
+    const contentType = itemType === 'mime' && nameEnd !== -1 && nameEnd < infe.end
+      ? buffer.toString('ascii', nameEnd + 1, Math.max(nameEnd + 1, buffer.indexOf(0, nameEnd + 1)))
+      : '';
+
+    if (itemType === 'Exif' || contentType === 'application/rdf+xml') {
+      ids.add(itemId);
+    }
+  }
+
+  return ids;
+};
+
+// Byte ranges of the given items, from a HEIF iloc box
+const readItemExtents = (buffer, iloc, itemIds, idat) => {
+  const version = buffer[iloc.start];
+  const offsetSize = buffer[iloc.start + 4] >> 4;
+  const lengthSize = buffer[iloc.start + 4] & 0x0F;
+  const baseOffsetSize = buffer[iloc.start + 5] >> 4;
+  const indexSize = version > 0 ? buffer[iloc.start + 5] & 0x0F : 0;
+
+  let offset = iloc.start + 6;
+  const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+  offset += version < 2 ? 2 : 4;
+
+  const extents = [];
+  for (let i = 0; i < itemCount; i++) {
+    const itemId = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+    const constructionMethod = version > 0 ? buffer.readUInt16BE(offset) & 0x0F : 0;
+    offset += (version > 0 ? 2 : 0) + 2;
+    const baseOffset = readSizedUInt(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    for (let j = 0; j < extentCount; j++) {
+      offset += indexSize;
+      const extentOffset = readSizedUInt(buffer, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSizedUInt(buffer, offset, lengthSize);
+      offset += lengthSize;
+
+      // Items stored in the file (0) or in the idat box (1); references (2) hold no bytes
+      if (!itemIds.has(itemId) || constructionMethod > 1 || (constructionMethod === 1 && !idat)) continue;
+      const start = (constructionMethod === 1 ? idat.start : 0) + baseOffset + extentOffset;
+      extents.push({ start, end: start + extentLength });
+    }
+  }
+
+  return extents;
+};
+
+// Blank out the Exif and XMP items of a HEIC/HEIF file. Nothing moves, so the
+// image stays a valid HEIC while its GPS position and camera details are gone.
+const stripHeifMetadata = async (file) => {
+  const buffer = Buffer.from(file.buffer || await fs.promises.readFile(file.path));
+  const meta = readBoxes(buffer).find(box => box.type === 'meta');
+
+  if (meta) {
+    // meta is a full box: its children follow the version and flags
+    const children = readBoxes(buffer, meta.start + 4, meta.end);
+    const iinf = children.find(box => box.type === 'iinf');
+    const iloc = children.find(box => box.type === 'iloc');
+    const idat = children.find(box => box.type === 'idat');
+
+    if (iinf && iloc) {
+      const itemIds = readMetadataItemIds(buffer, iinf);
+      for (const { start, end } of readItemExtents(buffer, iloc, itemIds, idat)) {
+        buffer.fill(0, start, Math.min(end, buffer.length));
+      }
+    }
+  }
+
+  return {
+    ...file,
+    buffer,
+    size: buffer.length,
+    path: undefined
+  };
+};
+
+// Re-encode an image without EXIF, XMP or IPTC metadata (GPS, device serials),
+// applying the EXIF orientation first so the photo isn't left sideways. HEIC
+// can't be re-encoded, so its metadata is removed in place.
+const scrubImageMetadata = async (file) => {
+  if (isHeif(file)) {
+    return stripHeifMetadata(file);
+  }
+
+  const input = getImageInput(file);
+  const { format, pages } = await sharp(input).metadata();
+  const outputFormat = SCRUBBABLE_FORMATS.includes(format) ? format : 'jpeg';
+
+  const buffer = await sharp(input, { animated: pages > 1, failOn: 'none' })
+    .rotate()
+    .keepIccProfile()
+    .toFormat(outputFormat, outputFormat === 'jpeg' ? { quality: 92, mozjpeg: true } : {})
+    .toBuffer();
+
+  const scrubbed = {
+    ...file,
+    buffer,
+    size: buffer.length,
+    path: undefined
+  };
+
+  if (outputFormat !== format) {
+    scrubbed.mimetype = 'image/jpeg';
+    scrubbed.originalname = `${path.parse(file.originalname || 'image').name}.jpg`;
+  }
+
+  return scrubbed;
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  RESPONSIVE_WIDTHS,
+  HEIF_MIME_TYPES,
+  getImageInput,
+  getBaseName,
+  storeRendition,
+  isHeif,
+  convertHeifToJpeg,
+  hasImageEdits,
+  getCropRegion,
+  getFocalRegion,
+  applyImageEdits,
+  generateDisplayRendition,
+  generateImageVariants,
+  generateResponsiveRenditions,
+  generatePlaceholder,
+  computePerceptualHash,
+  getHashDistance,
+  extractExif,
+  extractGps,
+  stripHeifMetadata,
+  scrubImageMetadata
+};
@@ -0,0 +1,175 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+
+// Identifies this process in Job.lockedBy
+const WORKER_ID = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000; // 2 seconds
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const LOCK_TIMEOUT = 30 * 60 * 1000; // A running job older than this is presumed lost with its worker
+const HEARTBEAT_INTERVAL = LOCK_TIMEOUT / 3; // Running jobs renew their lock this often
+const RETRY_DELAY = 30 * 1000; // Doubled after every failed attempt
+
+// Job handlers by type: { handler(payload, context), onDead(payload, context, error) }
+const handlers = {};
+
+let context = {};
+let started = false;
+let activeWorkers = 0;
+let pollTimer = null;
+
+// Register the function that runs jobs of a type
+const registerHandler = (type, handler, { onDead = null } = {}) => {
+  handlers[type] = { handler, onDead };
+};
+
+// Add a job to the queue
+const enqueue = async (type, payload = {}, { event = null, maxAttempts = 3, runAt = new Date() } = {}) => {
+  const job = await Job.create({ type, payload, event, maxAttempts, runAt });
+  wake();
+  return job;
+};
+
+// Claim the next due job so no other worker runs it
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      status: 'queued',
+      runAt: { $lte: now },
+      type: { $in: Object.keys(handlers) }
+    },
+    {
+      status: 'running',
+      lockedAt: now,
+      lockedBy: WORKER_ID,
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+// Run a claimed job, then complete it, schedule a retry or move it to the dead-letter list
+const runJob = async (job) => {
+  const { handler, onDead } = handlers[job.type];
+
+  // Keep the lock fresh while the handler runs, so a long job isn't taken for lost
+  const heartbeat = setInterval(() => {
+    job.lockedAt = new Date();
+    Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { lockedAt: job.lockedAt })
+      .catch(error => console.error(`Error renewing lock of job ${job._id}:`, error));
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  try {
+    await handler(job.payload, { ...context, job });
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = null;
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.failedAt = new Date();
+      if (onDead) {
+        await Promise.resolve(onDead(job.payload, { ...context, job }, error))
+          .catch(deadError => console.error(`Error handling dead job ${job._id}:`, deadError));
+      }
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + RETRY_DELAY * Math.pow(2, job.attempts - 1));
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  job.lockedAt = null;
+  job.lockedBy = null;
+  await job.save();
+};
+
+// Put jobs whose worker died back in the queue
+const requeueStaleJobs = () => {
+  return Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT) } },
+    { status: 'queued', lockedAt: null, lockedBy: null }
+  );
+};
+
+// Work through due jobs until none are left
+const work = async () => {
+  activeWorkers++;
+  try {
+    let job;
+    while (started && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    activeWorkers--;
+  }
+};
+
+// Start idle workers, up to CONCURRENCY
+const wake = () => {
+  if (!started || mongoose.connection.readyState !== 1) return;
+  while (activeWorkers < CONCURRENCY) {
+    work();
+  }
+};
+
+const poll = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await requeueStaleJobs().catch(error => console.error('Error requeueing stale jobs:', error));
+    wake();
+  }
+  if (started) {
+    pollTimer = setTimeout(poll, POLL_INTERVAL);
+  }
+};
+
+// Start processing jobs in this process; context (e.g. { io }) is passed to every handler
+const start = (workerContext = {}) => {
+  if (started) return;
+  context = workerContext;
+  started = true;
+  poll();
+};
+
+// Stop picking up new jobs (running jobs finish)
+const stop = () => {
+  started = false;
+  clearTimeout(pollTimer);
+};
+
+// Record how far a running job has got, for job status endpoints. Also renews the lock.
+const reportProgress = async (job, { completed, total }) => {
+  job.progress = { completed, total };
+  job.lockedAt = new Date();
+  await Job.updateOne({ _id: job._id }, { progress: job.progress, lockedAt: job.lockedAt });
+};
+
+// Put a dead job back in the queue for another round of attempts
+const retryJob = async (job) => {
+  job.status = 'queued';
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.failedAt = null;
+  await job.save();
+  wake();
+  return job;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  reportProgress,
+  retryJob,
+  start,
+  stop
+};
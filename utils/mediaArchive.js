@@ -0,0 +1,132 @@
+const path = require('path');
+const archiver = require('archiver');
+const { getStorage } = require('./storage');
+const { getWatermarkedRendition, getWatermarkedFileName } = require('./watermark');
+
+// Characters Windows, macOS or Linux don't allow in file names
+const UNSAFE_CHARACTERS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+const sanitizeFileName = (name, fallback) => {
+  return (name || '').replace(UNSAFE_CHARACTERS, '_').replace(/^[.\s]+|[.\s]+$/g, '') || fallback;
+};
+
+// File stored for a media item in an archive: the original as uploaded, or the
+// watermarked copy when the event watermarks downloads of the uploader's photos
+const getArchiveFile = async (media, event, { watermark }) => {
+  if (watermark && media.fileType === 'image' && event.shouldWatermark(media.uploader.type)) {
+    const rendition = await getWatermarkedRendition(media, event);
+    return {
+      key: rendition.key,
+      resourceType: 'image',
+      name: getWatermarkedFileName(media.originalName)
+    };
+  }
+
+  return {
+    key: media.cloudinaryPublicId,
+    resourceType: media.fileType,
+    name: media.originalName
+  };
+};
+
+// Path of a file in an archive folder (the folder names are sanitized), numbered
+// like "IMG_0001 (2).jpg" when the folder already has a file by that name
+const getEntryPath = (folders, fileName, usedPaths, fallbackName) => {
+  const folder = folders.map(name => sanitizeFileName(name, '_')).join('/');
+  const { name, ext } = path.parse(sanitizeFileName(fileName, fallbackName));
+
+  let entryPath = `${folder}/${name}${ext}`;
+  for (let copy = 2; usedPaths.has(entryPath.toLowerCase()); copy++) {
+    entryPath = `${folder}/${name} (${copy})${ext}`;
+  }
+
+  usedPaths.add(entryPath.toLowerCase());
+  return entryPath;
+};
+
+// ZIP written to a stream, with entries added one at a time. Entries are stored
+// without compression, since photos, videos and audio are compressed already.
+const createZipArchive = (output) => {
+  const archive = archiver('zip', { store: true });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+  failed.catch(() => {});
+
+  // Stop when the client goes away
+  let aborted = false;
+  output.on('close', () => {
+    if (!output.writableFinished) {
+      aborted = true;
+      archive.abort();
+    }
+  });
+
+  archive.pipe(output);
+
+  return {
+    isAborted: () => aborted,
+    // Add a stream, buffer or string and wait until it has been written
+    append: async (source, options) => {
+      const added = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(source, options);
+      await Promise.race([added, failed]);
+    },
+    finalize: () => Promise.race([archive.finalize(), failed])
+  };
+};
+
+// Stream a ZIP of media items (an array or a cursor) to a writable stream such as an
+// HTTP response, with a folder per album. Files are fetched from storage one at a
+// time; those storage can't provide are skipped and listed in missing-files.txt.
+// Resolves with the ids included.
+const streamMediaArchive = async (output, mediaItems, { event, watermark = false }) => {
+  const zip = createZipArchive(output);
+  const usedPaths = new Set();
+  const included = [];
+  const missing = [];
+
+  for await (const media of mediaItems) {
+    if (zip.isAborted()) return included;
+
+    let file;
+    let stream;
+    try {
+      file = await getArchiveFile(media, event, { watermark });
+      stream = await getStorage(media.storageProvider).getStream(file.key, { resourceType: file.resourceType });
+    } catch (error) {
+      console.error(`Error adding ${media._id} to archive:`, error);
+      missing.push(media.originalName);
+      continue;
+    }
+
+    await zip.append(stream, {
+      name: getEntryPath([media.album || 'All Photos'], file.name, usedPaths, media._id.toString()),
+      date: media.capturedAt || media.createdAt
+    });
+    included.push(media._id);
+  }
+
+  if (zip.isAborted()) return included;
+
+  if (missing.length > 0) {
+    await zip.append(`These files could not be read from storage:\n\n${missing.join('\n')}\n`, {
+      name: 'missing-files.txt'
+    });
+  }
+
+  await zip.finalize();
+  return included;
+};
+
+// Content-Disposition header for a download, with an ASCII fallback for old clients
+const getAttachmentHeader = (fileName) => {
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '\'');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+module.exports = {
+  sanitizeFileName,
+  getEntryPath,
+  createZipArchive,
+  streamMediaArchive,
+  getAttachmentHeader
+};
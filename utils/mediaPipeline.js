@@ -0,0 +1,565 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const Guestbook = require('../models/Guestbook');
+const {
+  extractMetadata,
+  deleteFile,
+  getMediaFiles,
+  downloadFile,
+  MEDIA_MIME_TYPES
+} = require('./cloudinary');
+const { getStorage, getResourceType } = require('./storage');
+const { INCOMING_FOLDER, isKeyInFolder } = require('./storage/keys');
+const {
+  getBaseName,
+  isHeif,
+  convertHeifToJpeg,
+  hasImageEdits,
+  applyImageEdits,
+  generateDisplayRendition,
+  generateImageVariants,
+  generateResponsiveRenditions,
+  generatePlaceholder,
+  computePerceptualHash,
+  getHashDistance
+} = require('./imageProcessing');
+const { verifyFileType } = require('./fileType');
+const { processVideo } = require('./videoProcessing');
+const { processAudio, transcribeAudio } = require('./audioProcessing');
+const { getEngineName } = require('./transcription');
+const { getMediaStoredBytes, reserveStorage, recordStorageUsage } = require('./storageQuota');
+const jobQueue = require('./jobQueue');
+
+// Photos whose hashes differ in at most this many of 64 bits are near-duplicates
+const DUPLICATE_HASH_DISTANCE = 6;
+
+// Store the original upload and create its Media document in processingStatus
+// 'uploading'. Metadata extraction and renditions run in a 'process-media' job.
+const createMediaFromFile = async (file, { event, uploader, album, caption, tags = [], stored = null }) => {
+  file = await verifyFileType(file, MEDIA_MIME_TYPES);
+
+  const resourceType = getResourceType(file.mimetype);
+  const storage = getStorage(stored ? stored.provider : undefined);
+  // Files that will be scrubbed wait in a private folder, so the original is never served
+  const folder = event.shouldScrubMetadata(uploader.type) ? INCOMING_FOLDER : 'media';
+
+  // Held against the quotas until the media is deleted
+  try {
+    await reserveStorage(event, file.size);
+  } catch (error) {
+    if (stored) {
+      await deleteFile(stored.key, resourceType, storage.name).catch(() => {});
+    }
+    throw error;
+  }
+
+  let storageResult = stored;
+  let media = null;
+
+  try {
+    storageResult = storageResult || await storage.upload(file, { folder, resourceType });
+    media = new Media({
+      event: event._id,
+      uploader,
+      originalName: file.originalname,
+      fileName: storageResult.key,
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      fileType: resourceType,
+      url: storageResult.url,
+      cloudinaryPublicId: storageResult.key,
+      storageProvider: storage.name,
+      album: album || 'All Photos',
+      caption: caption || '',
+      tags,
+      status: uploader.type === 'guest' && event.privacy.moderateUploads ? 'pending' : 'approved',
+      processingStatus: 'uploading'
+    });
+
+    await media.save();
+    await jobQueue.enqueue('process-media', { mediaId: media._id.toString() }, { event: event._id });
+    return media;
+  } catch (error) {
+    await recordStorageUsage(event, -file.size).catch(() => {});
+
+    // A duplicate key means another document already owns this file
+    if (error.code === 11000) throw error;
+
+    // Don't leave an upload behind that no job will ever process
+    if (media && !media.isNew) {
+      await Media.deleteOne({ _id: media._id }).catch(() => {});
+    }
+    if (storageResult) {
+      await deleteFile(storageResult.key, resourceType, storage.name).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Queue deletion of stored files, retried until the storage provider succeeds
+const queueFileCleanup = async (files, { event = null } = {}) => {
+  if (files.length === 0) return null;
+  return jobQueue.enqueue('delete-files', { files }, { event, maxAttempts: 5 });
+};
+
+// Queue removal of a media item's original and renditions from storage
+const queueMediaCleanup = async (media) => {
+  const event = media.event._id || media.event;
+  const job = await queueFileCleanup(getMediaFiles(media), { event });
+  await recordStorageUsage(event, -getMediaStoredBytes(media));
+  return job;
+};
+
+// Record a photo's edits (null to revert to the original) and queue regeneration of its renditions
+const queueMediaEdits = async (media, edits, user) => {
+  media.edits = {
+    rotation: edits ? edits.rotation || 0 : 0,
+    crop: edits && edits.crop ? edits.crop : { left: null, top: null, width: null, height: null },
+    focalPoint: edits && edits.focalPoint ? edits.focalPoint : { x: null, y: null },
+    revision: media.edits.revision + 1,
+    status: 'pending',
+    editedBy: user._id,
+    editedAt: new Date()
+  };
+  await media.save();
+
+  return jobQueue.enqueue('render-edits', { mediaId: media._id.toString() }, { event: media.event._id || media.event });
+};
+
+// Originals in the incoming folder were uploaded to be scrubbed, even if the
+// event has turned scrubbing off since
+const shouldScrub = (media, event) => {
+  return event.shouldScrubMetadata(media.uploader.type) || isKeyInFolder(media.cloudinaryPublicId, [INCOMING_FOLDER]);
+};
+
+// Read EXIF, scrub if the event asks for it and generate image renditions
+const processImage = async (media, event) => {
+  const file = {
+    buffer: await downloadFile(media.cloudinaryPublicId, 'image', media.storageProvider),
+    originalname: media.originalName,
+    mimetype: media.mimeType,
+    size: media.fileSize
+  };
+
+  // Browsers can't show HEIC, so renditions come from a JPEG conversion
+  const displayFile = isHeif(file) ? await convertHeifToJpeg(file) : null;
+
+  const metadata = await extractMetadata(file, 'media', {
+    scrub: shouldScrub(media, event),
+    keepCaptureTime: event.privacy.keepCaptureTime,
+    stored: {
+      key: media.cloudinaryPublicId,
+      url: media.url,
+      provider: media.storageProvider
+    },
+    displayFile
+  });
+
+  try {
+    const source = displayFile || file;
+    const location = {
+      key: metadata.cloudinaryPublicId,
+      provider: metadata.storageProvider
+    };
+
+    const quality = await generateImageVariants(source, location);
+    quality.original = {
+      url: metadata.url,
+      key: metadata.cloudinaryPublicId,
+      size: metadata.fileSize,
+      ...metadata.dimensions
+    };
+
+    // The HEIC original is kept for downloads; the gallery and slideshow use the display copy
+    if (isHeif({ mimetype: metadata.mimeType })) {
+      quality.display = await generateDisplayRendition(source, location);
+      metadata.url = quality.display.url;
+    }
+
+    return {
+      ...metadata,
+      quality,
+      renditions: await generateResponsiveRenditions(source, location),
+      placeholder: await generatePlaceholder(source),
+      perceptualHash: await computePerceptualHash(source)
+    };
+  } catch (error) {
+    // A retry stores a new scrubbed copy, so drop this one
+    if (metadata.cloudinaryPublicId !== media.cloudinaryPublicId) {
+      await deleteFile(metadata.cloudinaryPublicId, 'image', metadata.storageProvider).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Probe the video and generate its poster, thumbnails and web rendition
+const processVideoMedia = async (media, event) => {
+  const result = await processVideo(media, {
+    scrub: shouldScrub(media, event)
+  });
+
+  // The metadata-free copy replaces the original upload
+  const original = result.original || {
+    url: media.url,
+    key: media.cloudinaryPublicId,
+    size: media.fileSize
+  };
+
+  return {
+    fileName: original.key,
+    cloudinaryPublicId: original.key,
+    fileSize: original.size,
+    duration: result.duration,
+    dimensions: result.dimensions,
+    quality: {
+      ...result.quality,
+      original: { ...original, ...result.dimensions }
+    },
+    url: result.quality.display.url,
+    placeholder: result.placeholder,
+    thumbnailUrl: (result.quality.thumbnail || result.quality.poster).url
+  };
+};
+
+// Put a processed photo in a duplicate group with the event's near-identical photos.
+// Groups that the photo bridges are merged. Returns the group id, or null.
+const flagDuplicates = async (media) => {
+  if (!media.perceptualHash) return null;
+
+  const candidates = await Media.find({
+    event: media.event,
+    _id: { $ne: media._id },
+    fileType: 'image',
+    perceptualHash: { $ne: null },
+    status: { $ne: 'rejected' },
+    isHidden: false
+  })
+    .select('perceptualHash duplicateGroup createdAt')
+    .sort({ createdAt: 1 });
+
+  const matches = candidates.filter(candidate =>
+    getHashDistance(candidate.perceptualHash, media.perceptualHash) <= DUPLICATE_HASH_DISTANCE
+  );
+
+  if (matches.length === 0) return null;
+
+  const existingGroups = matches.map(match => match.duplicateGroup).filter(Boolean);
+  const groupId = existingGroups[0] || matches[0]._id;
+
+  await Media.updateMany(
+    {
+      event: media.event,
+      $or: [
+        { _id: { $in: [media._id, ...matches.map(match => match._id)] } },
+        { duplicateGroup: { $in: existingGroups } }
+      ]
+    },
+    { duplicateGroup: groupId }
+  );
+
+  media.duplicateGroup = groupId;
+  return groupId;
+};
+
+// Announce approved media to the event room and count it in the event statistics
+const publishMedia = async (io, event, mediaItems) => {
+  const approved = mediaItems.filter(media => media.status === 'approved');
+
+  for (const media of approved) {
+    io.to(event._id.toString()).emit('new-media', {
+      media: media.toGuestJSON(event),
+      eventId: event._id
+    });
+  }
+
+  if (approved.length > 0) {
+    await Event.findByIdAndUpdate(event._id, {
+      $inc: {
+        'statistics.totalPhotos': approved.filter(m => m.fileType === 'image').length,
+        'statistics.totalVideos': approved.filter(m => m.fileType === 'video').length
+      }
+    });
+  }
+
+  return approved;
+};
+
+// Job handler: process a stored upload and publish it once it is ready
+const processMediaJob = async ({ mediaId }, { io }) => {
+  const media = await Media.findById(mediaId);
+
+  // Deleted before it was processed
+  if (!media) return;
+
+  // Its event is being deleted, which takes the upload with it
+  const event = await Event.findById(media.event);
+  if (!event || event.deletionRequestedAt) return;
+
+  media.processingStatus = 'processing';
+  await media.save();
+
+  const originalKey = media.cloudinaryPublicId;
+  const storedBytes = getMediaStoredBytes(media);
+  const updates = media.fileType === 'video'
+    ? await processVideoMedia(media, event)
+    : await processImage(media, event);
+
+  media.set({
+    ...updates,
+    // Taken time from the EXIF read above, where the event keeps it
+    capturedAt: (updates.metadata && updates.metadata.dateTimeTaken) || media.createdAt || new Date(),
+    processingStatus: 'completed',
+    processingError: null
+  });
+
+  // Deleted, on its own or with its event, while it was processed. The deletion
+  // only knew about the upload, so the files made from it are dropped here.
+  const dropGeneratedFiles = () => queueFileCleanup(
+    getMediaFiles(media).filter(({ key }) => key !== originalKey),
+    { event: event._id }
+  );
+
+  if (!await Event.exists({ _id: event._id, deletionRequestedAt: null })) {
+    await dropGeneratedFiles();
+    return;
+  }
+
+  try {
+    await media.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+    await dropGeneratedFiles();
+    return;
+  }
+
+  // Renditions count toward the quotas like the original
+  await recordStorageUsage(event, getMediaStoredBytes(media) - storedBytes);
+
+  // A scrubbed copy replaced the original upload
+  if (media.cloudinaryPublicId !== originalKey) {
+    await queueFileCleanup([{
+      key: originalKey,
+      resourceType: media.fileType,
+      provider: media.storageProvider
+    }], { event: event._id });
+  }
+
+  await flagDuplicates(media);
+  await publishMedia(io, event, [media]);
+};
+
+// Job handler: regenerate a photo's renditions from its untouched original with
+// its current edits applied (none after a revert), then drop the previous ones
+const renderEditsJob = async ({ mediaId }, { io }) => {
+  const media = await Media.findById(mediaId);
+  if (!media || media.fileType !== 'image') return;
+
+  const { revision, focalPoint } = media.edits;
+  const file = {
+    buffer: await downloadFile(media.cloudinaryPublicId, 'image', media.storageProvider),
+    originalname: media.originalName,
+    mimetype: media.mimeType,
+    size: media.fileSize
+  };
+  const source = await applyImageEdits(isHeif(file) ? await convertHeifToJpeg(file) : file, media.edits);
+  const edited = hasImageEdits(media.edits);
+
+  // New names per revision, so browsers and CDNs don't keep showing the old renditions
+  const location = {
+    key: `${getBaseName(media.cloudinaryPublicId)}-r${revision}`,
+    provider: media.storageProvider
+  };
+
+  const { original } = media.toObject().quality;
+  const quality = await generateImageVariants(source, { ...location, focalPoint });
+  quality.original = original;
+
+  // The gallery shows the edited copy, the way it shows the display copy of a HEIC photo
+  if (edited || isHeif(file)) {
+    quality.display = await generateDisplayRendition(source, location);
+  }
+
+  const renditions = await generateResponsiveRenditions(source, location);
+  const dimensions = edited
+    ? await sharp(source.buffer).metadata().then(({ width, height }) => ({ width, height }))
+    : { width: original.width, height: original.height };
+
+  const updated = await Media.findOneAndUpdate(
+    { _id: media._id, 'edits.revision': revision },
+    {
+      $set: {
+        url: quality.display ? quality.display.url : original.url,
+        quality,
+        renditions,
+        dimensions,
+        placeholder: await generatePlaceholder(source),
+        'edits.status': 'applied'
+      },
+      // Made from the previous renditions
+      $unset: { watermarked: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Edited again while this ran; the job for the newer revision takes over
+    const generated = getMediaFiles({ ...media.toObject(), quality, renditions, watermarked: null }).slice(1);
+    await queueFileCleanup(generated, { event: media.event });
+    return;
+  }
+
+  await recordStorageUsage(media.event, getMediaStoredBytes(updated) - getMediaStoredBytes(media));
+
+  const currentKeys = getMediaFiles(updated).map(({ key }) => key);
+  await queueFileCleanup(
+    getMediaFiles(media).slice(1).filter(({ key }) => !currentKeys.includes(key)),
+    { event: media.event }
+  );
+
+  // The event room includes guests, who only get the previews of watermarked photos
+  const event = await Event.findById(media.event);
+  if (event && updated.status === 'approved') {
+    io.to(media.event.toString()).emit('media-edited', {
+      media: updated.toGuestJSON(event),
+      eventId: media.event
+    });
+  }
+};
+
+// Queue normalization of a guestbook entry's recording
+const queueAudioProcessing = (entry) => {
+  return jobQueue.enqueue('process-audio', { entryId: entry._id.toString() }, { event: entry.event });
+};
+
+// Job handler: normalize a guestbook recording and replace the upload with the result
+const processAudioJob = async ({ entryId }, { io }) => {
+  const entry = await Guestbook.findById(entryId);
+
+  // Deleted, or finished by an earlier attempt
+  if (!entry || entry.audioMessage.processingStatus === 'completed') return;
+
+  const upload = {
+    key: entry.audioMessage.cloudinaryPublicId,
+    provider: entry.audioMessage.storageProvider
+  };
+  const result = await processAudio(upload);
+
+  const updates = { 'audioMessage.processingStatus': 'completed' };
+  Object.entries(result).forEach(([field, value]) => {
+    updates[`audioMessage.${field}`] = value;
+  });
+
+  // Only if the entry still has this recording
+  const updated = await Guestbook.findOneAndUpdate(
+    { _id: entry._id, 'audioMessage.cloudinaryPublicId': upload.key },
+    updates,
+    { new: true }
+  );
+
+  if (updated) {
+    await recordStorageUsage(entry.event, (updated.audioMessage.fileSize || 0) - (entry.audioMessage.fileSize || 0));
+  }
+
+  const staleKey = updated ? upload.key : result.cloudinaryPublicId;
+  await queueFileCleanup([{
+    key: staleKey,
+    resourceType: 'raw',
+    provider: upload.provider
+  }], { event: entry.event });
+
+  if (updated && updated.status === 'approved') {
+    io.to(entry.event.toString()).emit('guestbook-audio-processed', {
+      entry: updated,
+      eventId: entry.event
+    });
+  }
+
+  // Transcribed from the normalized recording
+  if (updated) {
+    await queueTranscription(updated);
+  }
+};
+
+// Queue a transcript of a guestbook entry's recording, if an engine is configured
+const queueTranscription = async (entry) => {
+  if (!getEngineName()) return null;
+
+  await Guestbook.updateOne({ _id: entry._id }, { 'audioMessage.transcript.status': 'pending' });
+  return jobQueue.enqueue('transcribe-audio', { entryId: entry._id.toString() }, { event: entry.event });
+};
+
+// Job handler: transcribe a guestbook recording and store the transcript on the entry
+const transcribeAudioJob = async ({ entryId }, { io }) => {
+  const entry = await Guestbook.findById(entryId);
+  if (!entry || !entry.audioMessage.cloudinaryPublicId) return;
+
+  const key = entry.audioMessage.cloudinaryPublicId;
+  const transcript = await transcribeAudio({ key, provider: entry.audioMessage.storageProvider });
+
+  const updates = { 'audioMessage.transcript.status': 'completed' };
+  Object.entries(transcript).forEach(([field, value]) => {
+    updates[`audioMessage.transcript.${field}`] = value;
+  });
+
+  // Only if the recording wasn't replaced or removed in the meantime
+  const updated = await Guestbook.findOneAndUpdate(
+    { _id: entry._id, 'audioMessage.cloudinaryPublicId': key },
+    updates,
+    { new: true }
+  );
+
+  if (updated && updated.status === 'approved') {
+    io.to(entry.event.toString()).emit('guestbook-transcribed', {
+      entryId: updated._id,
+      transcript: updated.audioMessage.transcript,
+      eventId: entry.event
+    });
+  }
+};
+
+// Job handler: delete files from storage
+const deleteFilesJob = async ({ files }) => {
+  for (const { key, resourceType, provider } of files) {
+    await deleteFile(key, resourceType, provider);
+  }
+};
+
+// Mark media as failed once its processing job is out of attempts
+const markProcessingFailed = async ({ mediaId }, { io }, error) => {
+  const media = await Media.findByIdAndUpdate(mediaId, {
+    processingStatus: 'failed',
+    processingError: error.message
+  }, { new: true });
+
+  if (media) {
+    io.to(media.event.toString()).emit('media-processing-failed', {
+      mediaId: media._id,
+      eventId: media.event
+    });
+  }
+};
+
+jobQueue.registerHandler('process-media', processMediaJob, { onDead: markProcessingFailed });
+jobQueue.registerHandler('delete-files', deleteFilesJob);
+jobQueue.registerHandler('process-audio', processAudioJob, {
+  // The upload stays playable as it is
+  onDead: ({ entryId }) => Guestbook.updateOne({ _id: entryId }, { 'audioMessage.processingStatus': 'failed' })
+});
+jobQueue.registerHandler('transcribe-audio', transcribeAudioJob, {
+  onDead: ({ entryId }) => Guestbook.updateOne({ _id: entryId }, { 'audioMessage.transcript.status': 'failed' })
+});
+jobQueue.registerHandler('render-edits', renderEditsJob, {
+  onDead: ({ mediaId }) => Media.updateOne({ _id: mediaId }, { 'edits.status': 'failed' })
+});
+
+module.exports = {
+  createMediaFromFile,
+  flagDuplicates,
+  queueFileCleanup,
+  queueMediaCleanup,
+  queueMediaEdits,
+  queueAudioProcessing,
+  queueTranscription
+};
@@ -0,0 +1,158 @@
+const cloudinary = require('cloudinary').v2;
+const fs = require('fs');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const name = 'cloudinary';
+
+// Normalize a Cloudinary API result into the shape every driver returns
+const toStorageResult = (result) => ({
+  key: result.public_id,
+  url: result.secure_url,
+  bytes: result.bytes,
+  width: result.width || null,
+  height: result.height || null,
+  duration: result.duration || null,
+  format: result.format || null
+});
+
+// Upload a file (multer-style object with a buffer or a path on disk)
+const upload = async (file, { folder, publicId = uuidv4(), resourceType = 'auto' } = {}) => {
+  return new Promise((resolve, reject) => {
+    const uploadOptions = {
+      folder: `wedding-memories/${folder}`,
+      resource_type: resourceType,
+      public_id: publicId,
+      quality: 'auto:good',
+      fetch_format: 'auto'
+    };
+
+    const stream = cloudinary.uploader.upload_stream(
+      uploadOptions,
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(toStorageResult(result));
+        }
+      }
+    );
+
+    if (file.buffer) {
+      stream.end(file.buffer);
+    } else {
+      fs.createReadStream(file.path).on('error', reject).pipe(stream);
+    }
+  });
+};
+
+// Delete an asset
+const remove = async (key, resourceType = 'image') => {
+  return cloudinary.uploader.destroy(key, {
+    resource_type: resourceType
+  });
+};
+
+// Get asset info
+const getInfo = async (key, resourceType = 'image') => {
+  const result = await cloudinary.api.resource(key, {
+    resource_type: resourceType
+  });
+  return toStorageResult(result);
+};
+
+// Public delivery URL, optionally with a Cloudinary transformation applied
+const getUrl = (key, { resourceType = 'image', transformation } = {}) => {
+  return cloudinary.url(key, {
+    secure: true,
+    resource_type: resourceType,
+    ...(transformation && { transformation })
+  });
+};
+
+// List stored assets whose public ids start with a prefix. Cloudinary lists
+// each resource type separately, so every item carries its resourceType.
+const list = async (prefix = '') => {
+  const files = [];
+
+  for (const resourceType of ['image', 'video', 'raw']) {
+    let nextCursor;
+
+    do {
+      const result = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: resourceType,
+        prefix,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+
+      result.resources.forEach(resource => {
+        files.push({
+          key: resource.public_id,
+          bytes: resource.bytes,
+          lastModified: new Date(resource.created_at),
+          resourceType
+        });
+      });
+
+      nextCursor = result.next_cursor;
+    } while (nextCursor);
+  }
+
+  return files;
+};
+
+// Readable stream of the stored asset
+const getStream = (key, { resourceType = 'image' } = {}) => {
+  return new Promise((resolve, reject) => {
+    https.get(getUrl(key, { resourceType }), (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Cloudinary responded with status ${response.statusCode}`));
+      }
+      resolve(response);
+    }).on('error', reject);
+  });
+};
+
+// Signed parameters for a browser to upload straight to Cloudinary
+const createDirectUpload = ({ folder, publicId = uuidv4(), resourceType = 'auto' }) => {
+  const params = {
+    timestamp: Math.round(Date.now() / 1000),
+    folder: `wedding-memories/${folder}`,
+    public_id: publicId
+  };
+
+  const signature = cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET);
+
+  return {
+    key: `${params.folder}/${publicId}`,
+    method: 'POST',
+    url: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/${resourceType}/upload`,
+    fields: {
+      ...params,
+      signature,
+      api_key: process.env.CLOUDINARY_API_KEY
+    }
+  };
+};
+
+module.exports = {
+  name,
+  cloudinary,
+  upload,
+  remove,
+  getInfo,
+  getUrl,
+  list,
+  getStream,
+  createDirectUpload
+};
@@ -0,0 +1,32 @@
+// Storage drivers are loaded lazily so unused SDKs are never required
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+// Name of the driver new uploads are written to
+const getDefaultDriverName = () => process.env.STORAGE_DRIVER || 'cloudinary';
+
+// Get a storage driver by name (defaults to the configured driver)
+const getStorage = (name = getDefaultDriverName()) => {
+  const loadDriver = drivers[name];
+  if (!loadDriver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return loadDriver();
+};
+
+// Map a mime type to the resource type drivers expect
+const getResourceType = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return 'raw';
+};
+
+module.exports = {
+  drivers: Object.keys(drivers),
+  getStorage,
+  getDefaultDriverName,
+  getResourceType
+};
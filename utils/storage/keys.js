@@ -0,0 +1,35 @@
+const path = require('path');
+
+// Pick a file extension from the original name, falling back to the mime subtype
+const getExtension = (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext) return ext;
+  const subtype = (file.mimetype || '').split('/')[1];
+  return subtype ? `.${subtype}` : '';
+};
+
+// Object key used by drivers that store files under a path (local, s3)
+const buildKey = (file, folder, publicId) => {
+  return `wedding-memories/${folder}/${publicId}${getExtension(file)}`;
+};
+
+// Folders whose files are served to anyone with their URL. Exports are private
+// and only downloaded through signed links.
+const PUBLIC_FOLDERS = ['media', 'audio', 'covers', 'profiles', 'watermarks'];
+
+// Private folder for uploads whose metadata is scrubbed before they are published
+const INCOMING_FOLDER = 'incoming';
+
+// Whether a storage key lives in one of the given folders
+const isKeyInFolder = (key, folders) => {
+  if (typeof key !== 'string' || key.split('/').includes('..')) return false;
+  return folders.some(folder => key.startsWith(`wedding-memories/${folder}/`));
+};
+
+module.exports = {
+  PUBLIC_FOLDERS,
+  INCOMING_FOLDER,
+  getExtension,
+  buildKey,
+  isKeyInFolder
+};
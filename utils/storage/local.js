@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { buildKey } = require('./keys');
+
+const name = 'local';
+
+// Root directory for stored files and the URL prefix they are served from
+const root = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', '..', 'uploads'));
+const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || '/uploads').replace(/\/$/, '');
+
+// Resolve a storage key to an absolute path, refusing keys that escape the root
+const resolvePath = (key) => {
+  const filePath = path.resolve(root, key);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const getUrl = (key) => {
+  return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+// Upload a file (multer-style object with a buffer or a path on disk)
+const upload = async (file, { folder, publicId = uuidv4() } = {}) => {
+  const key = buildKey(file, folder, publicId);
+  const filePath = resolvePath(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (file.buffer) {
+    await fs.promises.writeFile(filePath, file.buffer);
+  } else {
+    await pipeline(fs.createReadStream(file.path), fs.createWriteStream(filePath));
+  }
+
+  const stats = await fs.promises.stat(filePath);
+
+  return {
+    key,
+    url: getUrl(key),
+    bytes: stats.size,
+    width: null,
+    height: null,
+    duration: null,
+    format: path.extname(key).slice(1) || null
+  };
+};
+
+// Delete a file, ignoring files that are already gone
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolvePath(key));
+    return { result: 'ok' };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { result: 'not found' };
+    }
+    throw error;
+  }
+};
+
+// Get file info
+const getInfo = async (key) => {
+  const stats = await fs.promises.stat(resolvePath(key));
+  return {
+    key,
+    url: getUrl(key),
+    bytes: stats.size,
+    width: null,
+    height: null,
+    duration: null,
+    format: path.extname(key).slice(1) || null
+  };
+};
+
+// List stored files whose keys start with a folder prefix ('wedding-memories/media/')
+const list = async (prefix = '') => {
+  const files = [];
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        files.push({
+          key: path.relative(root, entryPath).split(path.sep).join('/'),
+          bytes: stats.size,
+          lastModified: stats.mtime
+        });
+      }
+    }
+  };
+
+  await walk(resolvePath(prefix));
+  return files;
+};
+
+// Readable stream of the stored file
+const getStream = async (key) => {
+  const filePath = resolvePath(key);
+  await fs.promises.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+// Signed URL for a browser to PUT a file straight to disk (handled by routes/files.js)
+const createDirectUpload = ({ folder, publicId = uuidv4(), fileName, mimeType, maxBytes, expiresIn = 3600 }) => {
+  const key = buildKey({ originalname: fileName, mimetype: mimeType }, folder, publicId);
+  const token = jwt.sign(
+    { type: 'local-upload', key, mimeType, maxBytes },
+    process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+    { expiresIn }
+  );
+
+  return {
+    key,
+    method: 'PUT',
+    url: `${baseUrl}/direct/${token}`,
+    headers: { 'Content-Type': mimeType }
+  };
+};
+
+// Verify a token issued by createDirectUpload
+const verifyDirectUpload = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
+  if (payload.type !== 'local-upload') {
+    throw new Error('Invalid upload token');
+  }
+  return payload;
+};
+
+module.exports = {
+  name,
+  root,
+  resolvePath,
+  upload,
+  remove,
+  getInfo,
+  getUrl,
+  list,
+  getStream,
+  createDirectUpload,
+  verifyDirectUpload
+};
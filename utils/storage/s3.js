@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl: presignUrl } = require('@aws-sdk/s3-request-presigner');
+const { v4: uuidv4 } = require('uuid');
+const { buildKey } = require('./keys');
+
+const name = 's3';
+
+const bucket = process.env.S3_BUCKET;
+
+// Works with AWS S3 and S3-compatible servers such as MinIO
+const client = new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  ...(process.env.S3_ACCESS_KEY_ID && {
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  })
+});
+
+// Public bucket URL if the bucket is readable, otherwise an app route that
+// redirects to a fresh presigned URL (so stored URLs never expire)
+const publicUrl = process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/$/, '') : null;
+const proxyBaseUrl = (process.env.S3_PROXY_BASE_URL || '/uploads/s3').replace(/\/$/, '');
+const signedUrlExpires = parseInt(process.env.S3_SIGNED_URL_EXPIRES) || 3600;
+
+const getUrl = (key) => {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return publicUrl ? `${publicUrl}/${encodedKey}` : `${proxyBaseUrl}/${encodedKey}`;
+};
+
+// Presigned GET URL for a private object
+const getSignedUrl = async (key, { expiresIn = signedUrlExpires, downloadName } = {}) => {
+  const command = new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ...(downloadName && {
+      ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`
+    })
+  });
+  return presignUrl(client, command, { expiresIn });
+};
+
+// Upload a file (multer-style object with a buffer or a path on disk)
+const upload = async (file, { folder, publicId = uuidv4() } = {}) => {
+  const key = buildKey(file, folder, publicId);
+
+  const uploader = new Upload({
+    client,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: file.buffer || fs.createReadStream(file.path),
+      ContentType: file.mimetype
+    }
+  });
+  await uploader.done();
+
+  const bytes = file.buffer ? file.buffer.length : (await fs.promises.stat(file.path)).size;
+
+  return {
+    key,
+    url: getUrl(key),
+    bytes,
+    width: null,
+    height: null,
+    duration: null,
+    format: path.extname(key).slice(1) || null
+  };
+};
+
+// Delete an object
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  return { result: 'ok' };
+};
+
+// Get object info
+const getInfo = async (key) => {
+  const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+  return {
+    key,
+    url: getUrl(key),
+    bytes: result.ContentLength,
+    width: null,
+    height: null,
+    duration: null,
+    format: path.extname(key).slice(1) || null,
+    mimeType: result.ContentType || null
+  };
+};
+
+// List stored objects whose keys start with a prefix
+const list = async (prefix = '') => {
+  const files = [];
+  let continuationToken;
+
+  do {
+    const result = await client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }));
+
+    (result.Contents || []).forEach(object => {
+      files.push({
+        key: object.Key,
+        bytes: object.Size,
+        lastModified: object.LastModified
+      });
+    });
+
+    continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return files;
+};
+
+// Readable stream of the stored object
+const getStream = async (key) => {
+  const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  return result.Body;
+};
+
+// Presigned PUT URL for a browser to upload straight to the bucket
+const createDirectUpload = async ({ folder, publicId = uuidv4(), fileName, mimeType, expiresIn = 3600 }) => {
+  const key = buildKey({ originalname: fileName, mimetype: mimeType }, folder, publicId);
+  const command = new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ContentType: mimeType
+  });
+
+  return {
+    key,
+    method: 'PUT',
+    url: await presignUrl(client, command, { expiresIn }),
+    headers: { 'Content-Type': mimeType }
+  };
+};
+
+module.exports = {
+  name,
+  client,
+  bucket,
+  upload,
+  remove,
+  getInfo,
+  getUrl,
+  getSignedUrl,
+  list,
+  getStream,
+  createDirectUpload
+};
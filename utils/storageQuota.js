@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Media = require('../models/Media');
+const Guestbook = require('../models/Guestbook');
+const { AppError } = require('../middleware/errorHandler');
+const { formatFileSize } = require('./cloudinary');
+
+// Default quotas in bytes, used when an event or host has no storageQuota of its
+// own. Unset means unlimited.
+const EVENT_STORAGE_QUOTA = parseInt(process.env.EVENT_STORAGE_QUOTA) || null;
+const HOST_STORAGE_QUOTA = parseInt(process.env.HOST_STORAGE_QUOTA) || null;
+
+// Files generated from a media item, next to its original
+const DERIVED_FILES = ['display', 'poster', 'large', 'medium', 'small', 'thumbnail'];
+
+// Counters not set yet belong to events and users from before storageUsed existed
+const COUNTED = { storageUsed: { $type: 'number' } };
+const NOT_COUNTED = { storageUsed: { $not: { $type: 'number' } } };
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Bytes a media item takes in storage: the original plus every file made from it
+const getMediaStoredBytes = (media) => {
+  const quality = media.quality || {};
+  const sizeOf = (file) => (file && file.size) || 0;
+
+  return (media.fileSize || 0) +
+    DERIVED_FILES.reduce((sum, name) => sum + sizeOf(quality[name]), 0) +
+    sizeOf(media.watermarked) +
+    (media.renditions || []).reduce((sum, rendition) => sum + sizeOf(rendition), 0);
+};
+
+// getMediaStoredBytes as an aggregation expression
+const MEDIA_STORED_BYTES = {
+  $add: [
+    { $ifNull: ['$fileSize', 0] },
+    ...DERIVED_FILES.map(name => ({ $ifNull: [`$quality.${name}.size`, 0] })),
+    { $ifNull: ['$watermarked.size', 0] },
+    { $sum: { $ifNull: ['$renditions.size', []] } }
+  ]
+};
+
+// Bytes stored by events (media with its derived files and guestbook audio), per event id
+const getUsageByEvent = async (eventIds) => {
+  const ids = eventIds.map(toObjectId);
+
+  const [media, audio] = await Promise.all([
+    Media.aggregate([
+      { $match: { event: { $in: ids } } },
+      { $group: { _id: '$event', bytes: { $sum: MEDIA_STORED_BYTES } } }
+    ]),
+    Guestbook.aggregate([
+      { $match: { event: { $in: ids }, 'audioMessage.fileSize': { $gt: 0 } } },
+      { $group: { _id: '$event', bytes: { $sum: '$audioMessage.fileSize' } } }
+    ])
+  ]);
+
+  const usage = {};
+  ids.forEach(id => {
+    usage[id.toString()] = { media: 0, audio: 0, total: 0 };
+  });
+  media.forEach(({ _id, bytes }) => {
+    usage[_id.toString()].media = bytes;
+  });
+  audio.forEach(({ _id, bytes }) => {
+    usage[_id.toString()].audio = bytes;
+  });
+  Object.values(usage).forEach(item => {
+    item.total = item.media + item.audio;
+  });
+
+  return usage;
+};
+
+// Bytes stored by a set of events combined
+const getStorageUsage = async (eventIds) => {
+  const usage = await getUsageByEvent(eventIds);
+
+  return Object.values(usage).reduce((sum, item) => ({
+    media: sum.media + item.media,
+    audio: sum.audio + item.audio,
+    total: sum.total + item.total
+  }), { media: 0, audio: 0, total: 0 });
+};
+
+// Counted bytes against a limit, as reported by the stats endpoints
+const formatQuota = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(limit - used, 0),
+  percentUsed: limit ? Math.round(used / limit * 1000) / 10 : null
+});
+
+// Quota of an event, or of a host across all events they host
+const getEventLimit = (event) => event.storageQuota != null ? event.storageQuota : EVENT_STORAGE_QUOTA;
+const getHostLimit = (host) => host && host.storageQuota != null ? host.storageQuota : HOST_STORAGE_QUOTA;
+
+// Start an event's storageUsed counter from what it stores, if it hasn't been counted yet
+const ensureEventCounted = async (eventId) => {
+  if (await Event.exists({ _id: eventId, ...COUNTED })) return;
+
+  const usage = await getStorageUsage([eventId]);
+  await Event.updateOne({ _id: eventId, ...NOT_COUNTED }, { storageUsed: usage.total });
+};
+
+// Start a host's storageUsed counter from what their events store, if it hasn't been counted yet
+const ensureHostCounted = async (hostId) => {
+  if (await User.exists({ _id: hostId, ...COUNTED })) return;
+
+  const usage = await getStorageUsage(await Event.find({ host: hostId }).distinct('_id'));
+  await User.updateOne({ _id: hostId, ...NOT_COUNTED }, { storageUsed: usage.total });
+};
+
+// Start the storageUsed counters of an event and its host, if they haven't been counted yet
+const ensureStorageCounted = (eventId, hostId) => Promise.all([
+  ensureEventCounted(eventId),
+  ensureHostCounted(hostId)
+]);
+
+// Storage counted against a host across the events they host, with their quota
+const getHostQuota = async (hostId) => {
+  await ensureHostCounted(hostId);
+  const host = await User.findById(hostId).select('storageUsed storageQuota');
+
+  return formatQuota((host && host.storageUsed) || 0, getHostLimit(host));
+};
+
+// Storage counted against an event and against its host, with their quotas
+const getEventQuota = async (event) => {
+  const [counted, hostQuota] = await Promise.all([
+    ensureEventCounted(event._id).then(() => Event.findById(event._id).select('storageUsed')),
+    getHostQuota(event.host._id || event.host)
+  ]);
+
+  return {
+    event: formatQuota((counted && counted.storageUsed) || 0, getEventLimit(event)),
+    host: hostQuota
+  };
+};
+
+// Storage counted against each of a set of events, per event id
+const getStorageUsedByEvent = async (eventIds) => {
+  await Promise.all(eventIds.map(ensureEventCounted));
+  const events = await Event.find({ _id: { $in: eventIds } }).select('storageUsed');
+
+  const used = {};
+  eventIds.forEach(id => {
+    used[id.toString()] = 0;
+  });
+  events.forEach(event => {
+    used[event._id.toString()] = event.storageUsed || 0;
+  });
+
+  return used;
+};
+
+// Error for an upload that doesn't fit in a quota
+const getQuotaError = (label, limit) => new AppError(
+  `${label} has reached its storage limit of ${formatFileSize(limit)}`,
+  413,
+  'STORAGE_QUOTA_EXCEEDED'
+);
+
+// Query matching a counter that can take `bytes` more without going over `limit`
+const withinLimit = (limit, bytes) => limit === null ? {} : { storageUsed: { $lte: limit - bytes } };
+
+// Reject a file of `bytes` that would take the event or its host over quota, going
+// by their storageUsed counters. Only a first check: the bytes are held by reserveStorage once the file is stored.
+const checkStorageQuota = async (event, bytes) => {
+  const quota = await getEventQuota(event);
+
+  for (const [scope, label] of [['event', 'This event'], ['host', 'The host account']]) {
+    const { used, limit } = quota[scope];
+
+    if (limit !== null && used + bytes > limit) {
+      throw getQuotaError(label, limit);
+    }
+  }
+};
+
+// Count `bytes` against the event and its host, or reject them if either would go
+// over quota. Each counter only moves while it stays within its limit, so uploads
+// running side by side can't take it past the quota together.
+const reserveStorage = async (event, bytes) => {
+  const hostId = event.host._id || event.host;
+  const [host] = await Promise.all([
+    User.findById(hostId).select('storageQuota'),
+    ensureStorageCounted(event._id, hostId)
+  ]);
+
+  const eventLimit = getEventLimit(event);
+  const eventReserved = await Event.updateOne(
+    { _id: event._id, ...withinLimit(eventLimit, bytes) },
+    { $inc: { storageUsed: bytes } }
+  );
+  if (eventReserved.matchedCount === 0) {
+    throw getQuotaError('This event', eventLimit);
+  }
+
+  const hostLimit = getHostLimit(host);
+  const hostReserved = await User.updateOne(
+    { _id: hostId, ...withinLimit(hostLimit, bytes) },
+    { $inc: { storageUsed: bytes } }
+  );
+  if (hostReserved.matchedCount === 0) {
+    await Event.updateOne({ _id: event._id }, { $inc: { storageUsed: -bytes } });
+    throw getQuotaError('The host account', hostLimit);
+  }
+};
+
+// Add stored bytes to an event and its host without checking the quota (files made
+// from an upload), or give bytes back (negative) once files are deleted
+const recordStorageUsage = async (event, bytes) => {
+  if (!bytes) return;
+
+  const { host } = event.host ? event : await Event.findById(event).select('host') || {};
+  if (!host) return;
+
+  await Promise.all([
+    Event.updateOne({ _id: event._id || event, ...COUNTED }, { $inc: { storageUsed: bytes } }),
+    User.updateOne({ _id: host._id || host, ...COUNTED }, { $inc: { storageUsed: bytes } })
+  ]);
+};
+
+module.exports = {
+  getMediaStoredBytes,
+  getUsageByEvent,
+  getStorageUsage,
+  getHostQuota,
+  getEventQuota,
+  getStorageUsedByEvent,
+  checkStorageQuota,
+  reserveStorage,
+  recordStorageUsage
+};
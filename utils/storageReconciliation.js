@@ -0,0 +1,230 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Media = require('../models/Media');
+const Guestbook = require('../models/Guestbook');
+const { getStorage, getDefaultDriverName } = require('./storage');
+const { INCOMING_FOLDER } = require('./storage/keys');
+const { getMediaFiles } = require('./cloudinary');
+const { queueMediaCleanup } = require('./mediaPipeline');
+const { getUsageByEvent, recordStorageUsage } = require('./storageQuota');
+
+// Storage folders whose files belong to Media and Guestbook documents
+// (covers, watermarks, exports and profile photos are left alone)
+const RECONCILED_FOLDERS = ['media', INCOMING_FOLDER, 'audio'];
+
+// Files newer than this may belong to an upload that isn't finalized yet
+const DEFAULT_MIN_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Documents stored before the driver switched to recording storageProvider count as Cloudinary
+const getProviderQuery = (provider) => provider === 'cloudinary' ? { $in: ['cloudinary', null] } : provider;
+
+// storageUsed counters of events and hosts that don't match the files their
+// documents record, across every provider. Uncounted (null) counters are left to
+// the next upload to start.
+const findCounterDrift = async () => {
+  const events = await Event.find({}).select('host storageUsed');
+  const usage = await getUsageByEvent(events.map(event => event._id));
+
+  const drift = [];
+  const hostTotals = {};
+
+  events.forEach(event => {
+    const actual = usage[event._id.toString()].total;
+    const hostId = event.host.toString();
+    hostTotals[hostId] = (hostTotals[hostId] || 0) + actual;
+
+    if (typeof event.storageUsed === 'number' && event.storageUsed !== actual) {
+      drift.push({ type: 'event', id: event._id, counted: event.storageUsed, actual });
+    }
+  });
+
+  const hosts = await User.find({ storageUsed: { $type: 'number' } }).select('storageUsed');
+  hosts.forEach(host => {
+    const actual = hostTotals[host._id.toString()] || 0;
+
+    if (host.storageUsed !== actual) {
+      drift.push({ type: 'host', id: host._id, counted: host.storageUsed, actual });
+    }
+  });
+
+  return drift;
+};
+
+// Compare a storage provider with the database. Reports files no document refers
+// to (orphaned), documents whose file is gone (missing) and usage counters that
+// have drifted from the stored files. With repair, the counters are recounted,
+// orphaned files are deleted, media without an original is removed and guestbook
+// entries lose their audio (audio-only entries are removed).
+const reconcileStorage = async ({ provider = getDefaultDriverName(), repair = false, minAge = DEFAULT_MIN_AGE } = {}) => {
+  const storage = getStorage(provider);
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - minAge);
+
+  const assets = [];
+  for (const folder of RECONCILED_FOLDERS) {
+    assets.push(...await storage.list(`wedding-memories/${folder}/`));
+  }
+  const storedKeys = new Set(assets.map(asset => asset.key));
+
+  const referencedKeys = new Set();
+  const missing = [];
+  let mediaChecked = 0;
+  let guestbookChecked = 0;
+
+  // Documents created after the listing started may point at files it didn't see
+  const mediaCursor = Media.find({
+    storageProvider: getProviderQuery(provider),
+    createdAt: { $lt: startedAt }
+  }).cursor();
+
+  for await (const media of mediaCursor) {
+    mediaChecked++;
+    getMediaFiles(media).forEach(({ key }) => referencedKeys.add(key));
+
+    if (!storedKeys.has(media.cloudinaryPublicId)) {
+      missing.push({
+        type: 'media',
+        id: media._id,
+        event: media.event,
+        key: media.cloudinaryPublicId,
+        originalName: media.originalName
+      });
+    }
+  }
+
+  const guestbookCursor = Guestbook.find({
+    'audioMessage.cloudinaryPublicId': { $ne: null },
+    'audioMessage.storageProvider': getProviderQuery(provider),
+    createdAt: { $lt: startedAt }
+  }).cursor();
+
+  for await (const entry of guestbookCursor) {
+    guestbookChecked++;
+    referencedKeys.add(entry.audioMessage.cloudinaryPublicId);
+
+    if (!storedKeys.has(entry.audioMessage.cloudinaryPublicId)) {
+      missing.push({
+        type: 'guestbook',
+        id: entry._id,
+        event: entry.event,
+        key: entry.audioMessage.cloudinaryPublicId,
+        guestName: entry.guestName
+      });
+    }
+  }
+
+  const unreferenced = assets.filter(asset =>
+    !referencedKeys.has(asset.key) && (!asset.lastModified || asset.lastModified < cutoff)
+  );
+
+  // Uploads finalized while the run was going are kept, though their documents
+  // weren't walked
+  const candidateKeys = unreferenced.map(asset => asset.key);
+  const [finalizedMedia, finalizedAudio] = await Promise.all([
+    Media.find({ cloudinaryPublicId: { $in: candidateKeys } }).distinct('cloudinaryPublicId'),
+    Guestbook.find({ 'audioMessage.cloudinaryPublicId': { $in: candidateKeys } }).distinct('audioMessage.cloudinaryPublicId')
+  ]);
+  const finalizedKeys = new Set([...finalizedMedia, ...finalizedAudio]);
+  const orphaned = unreferenced.filter(asset => !finalizedKeys.has(asset.key));
+
+  const report = {
+    provider,
+    mode: repair ? 'repair' : 'dry-run',
+    checked: {
+      files: assets.length,
+      media: mediaChecked,
+      guestbook: guestbookChecked
+    },
+    orphaned,
+    orphanedBytes: orphaned.reduce((sum, asset) => sum + (asset.bytes || 0), 0),
+    missing,
+    counters: await findCounterDrift()
+  };
+
+  if (repair) {
+    report.repaired = await repairStorage(storage, report);
+  }
+
+  return report;
+};
+
+// Recount drifted counters, then delete orphaned files and the documents whose
+// files are missing (which gives their bytes back to the recounted counters)
+const repairStorage = async (storage, { orphaned, missing, counters }) => {
+  const repaired = {
+    recountedEvents: 0,
+    recountedHosts: 0,
+    deletedFiles: 0,
+    removedMedia: 0,
+    updatedGuestbook: 0,
+    removedGuestbook: 0,
+    errors: []
+  };
+
+  for (const item of counters) {
+    try {
+      // Counters an upload or deletion moved since they were read are left for the next run
+      const Model = item.type === 'event' ? Event : User;
+      const result = await Model.updateOne(
+        { _id: item.id, storageUsed: item.counted },
+        { storageUsed: item.actual }
+      );
+      if (result.modifiedCount > 0) {
+        repaired[item.type === 'event' ? 'recountedEvents' : 'recountedHosts']++;
+      }
+    } catch (error) {
+      repaired.errors.push({ id: item.id, message: error.message });
+    }
+  }
+
+  for (const asset of orphaned) {
+    try {
+      await storage.remove(asset.key, asset.resourceType);
+      repaired.deletedFiles++;
+    } catch (error) {
+      repaired.errors.push({ key: asset.key, message: error.message });
+    }
+  }
+
+  for (const item of missing) {
+    try {
+      if (item.type === 'media') {
+        const media = await Media.findByIdAndDelete(item.id);
+        if (media) {
+          // Renditions that are still stored go with it
+          await queueMediaCleanup(media);
+          repaired.removedMedia++;
+        }
+      } else {
+        const entry = await Guestbook.findById(item.id);
+        if (!entry) continue;
+
+        await recordStorageUsage(entry.event, -(entry.audioMessage.fileSize || 0));
+
+        if (entry.messageType === 'audio') {
+          await entry.deleteOne();
+          repaired.removedGuestbook++;
+        } else {
+          entry.messageType = 'text';
+          entry.audioMessage = {
+            url: null,
+            duration: null,
+            fileSize: null,
+            cloudinaryPublicId: null
+          };
+          await entry.save();
+          repaired.updatedGuestbook++;
+        }
+      }
+    } catch (error) {
+      repaired.errors.push({ id: item.id, message: error.message });
+    }
+  }
+
+  return repaired;
+};
+
+module.exports = {
+  DEFAULT_MIN_AGE,
+  reconcileStorage
+};
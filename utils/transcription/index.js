@@ -0,0 +1,29 @@
+// Transcription engines turn an audio file into text. Each one exports
+// { name, transcribe(filePath, { language }) } resolving with
+// { text, language, segments: [{ start, end, text }] } (times in seconds).
+// They are loaded lazily, like storage drivers.
+const engines = {
+  whisper: () => require('./whisper')
+};
+
+// Name of the configured engine; audio messages aren't transcribed when unset
+const getEngineName = () => process.env.TRANSCRIPTION_ENGINE || null;
+
+// Spoken language passed to the engine ('auto' detects it per recording)
+const getTranscriptionLanguage = () => process.env.TRANSCRIPTION_LANGUAGE || 'auto';
+
+// Get a transcription engine by name (defaults to the configured engine)
+const getTranscriptionEngine = (name = getEngineName()) => {
+  const loadEngine = engines[name];
+  if (!loadEngine) {
+    throw new Error(`Unknown transcription engine: ${name}`);
+  }
+  return loadEngine();
+};
+
+module.exports = {
+  engines: Object.keys(engines),
+  getEngineName,
+  getTranscriptionLanguage,
+  getTranscriptionEngine
+};
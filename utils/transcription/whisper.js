@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FFMPEG_PATH, runCommand } = require('../videoProcessing');
+
+const name = 'whisper';
+
+// whisper.cpp command line binary and ggml model (https://github.com/ggerganov/whisper.cpp)
+const WHISPER_PATH = process.env.WHISPER_PATH || 'whisper-cli';
+const WHISPER_MODEL_PATH = process.env.WHISPER_MODEL_PATH;
+const WHISPER_THREADS = parseInt(process.env.WHISPER_THREADS) || os.cpus().length;
+
+// whisper.cpp only reads 16 kHz mono WAV
+const toWhisperWav = async (inputPath, outputPath) => {
+  await runCommand(FFMPEG_PATH, [
+    '-y', '-v', 'error',
+    '-i', inputPath,
+    '-vn',
+    '-ar', '16000',
+    '-ac', '1',
+    '-c:a', 'pcm_s16le',
+    outputPath
+  ]);
+};
+
+// Transcribe an audio file on the CPU with whisper.cpp
+const transcribe = async (inputPath, { language = 'auto' } = {}) => {
+  if (!WHISPER_MODEL_PATH) {
+    throw new Error('WHISPER_MODEL_PATH is not set');
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wedding-memories-whisper-'));
+  const wavPath = path.join(workDir, 'audio.wav');
+  const outputPrefix = path.join(workDir, 'transcript');
+
+  try {
+    await toWhisperWav(inputPath, wavPath);
+
+    await runCommand(WHISPER_PATH, [
+      '--model', WHISPER_MODEL_PATH,
+      '--file', wavPath,
+      '--language', language,
+      '--threads', String(WHISPER_THREADS),
+      '--output-json',
+      '--output-file', outputPrefix,
+      '--no-prints'
+    ]);
+
+    const output = JSON.parse(await fs.promises.readFile(`${outputPrefix}.json`, 'utf8'));
+    const segments = (output.transcription || [])
+      .map(segment => ({
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text.trim()
+      }))
+      // Silence and noise come out as markers like [BLANK_AUDIO]
+      .filter(segment => segment.text && !/^\[[A-Z_ ]+\]$/.test(segment.text));
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      language: (output.result && output.result.language) || (language !== 'auto' ? language : null),
+      segments
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  name,
+  transcribe
+};
@@ -0,0 +1,258 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { getBaseName, storeRendition, generateImageVariants, generatePlaceholder } = require('./imageProcessing');
+
+// ffmpeg and ffprobe binaries (must be installed on the server)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Seconds a single ffmpeg, ffprobe or transcription run may take before it is killed
+const MEDIA_COMMAND_TIMEOUT = (parseInt(process.env.MEDIA_COMMAND_TIMEOUT) || 30 * 60) * 1000;
+
+// Largest side of the H.264 web rendition
+const WEB_VIDEO_MAX_SIZE = 1920;
+
+// Run a command and resolve with its stdout (a Buffer when encoding is null), or with
+// the tail of stderr for tools that report there; rejects with the last line of stderr.
+// A command still running after `timeout` ms is killed and rejected, so a stuck
+// process can't hold its job forever.
+const runCommand = (command, args, { encoding = 'utf8', useStderr = false, timeout = MEDIA_COMMAND_TIMEOUT } = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeout);
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-4000);
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+
+      if (timedOut) {
+        reject(new Error(`${path.basename(command)} timed out after ${timeout / 1000}s`));
+      } else if (code === 0 && useStderr) {
+        resolve(stderr);
+      } else if (code === 0) {
+        const output = Buffer.concat(stdout);
+        resolve(encoding ? output.toString(encoding) : output);
+      } else {
+        const lastLine = stderr.trim().split('\n').pop();
+        reject(new Error(`${path.basename(command)} exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+      }
+    });
+  });
+};
+
+// Duration, display dimensions (rotation applied) and codecs of a video file
+const probeVideo = async (inputPath) => {
+  const output = await runCommand(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    inputPath
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const video = streams.find(stream => stream.codec_type === 'video');
+
+  if (!video) {
+    throw new Error('No video stream found');
+  }
+
+  // Phones record portrait video as landscape with a rotation flag
+  const displayMatrix = (video.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = Math.abs(parseInt(video.tags?.rotate) || (displayMatrix && displayMatrix.rotation) || 0);
+  const rotated = rotation % 180 === 90;
+
+  return {
+    duration: parseFloat(format.duration) || parseFloat(video.duration) || null,
+    width: rotated ? video.height : video.width,
+    height: rotated ? video.width : video.height,
+    videoCodec: video.codec_name,
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+};
+
+// Grab a single frame as a JPEG
+const extractPosterFrame = async (inputPath, outputPath, seconds = 0) => {
+  await runCommand(FFMPEG_PATH, [
+    '-y', '-v', 'error',
+    '-ss', String(seconds),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-q:v', '2',
+    outputPath
+  ]);
+};
+
+// Encode an H.264/AAC MP4 that plays in every browser, without the source metadata
+const transcodeToH264 = async (inputPath, outputPath) => {
+  await runCommand(FFMPEG_PATH, [
+    '-y', '-v', 'error',
+    '-i', inputPath,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', `scale=w='min(${WEB_VIDEO_MAX_SIZE},iw)':h='min(${WEB_VIDEO_MAX_SIZE},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-map_metadata', '-1',
+    '-movflags', '+faststart',
+    outputPath
+  ]);
+};
+
+// Copy the streams into a new file without location or device metadata
+const remuxWithoutMetadata = async (inputPath, outputPath) => {
+  await runCommand(FFMPEG_PATH, [
+    '-y', '-v', 'error',
+    '-i', inputPath,
+    '-map', '0',
+    '-c', 'copy',
+    '-map_metadata', '-1',
+    outputPath
+  ]);
+};
+
+// Upload a video file from disk through the media's storage driver
+const storeVideo = async (storage, filePath, { publicId, folder, mimeType = 'video/mp4' }) => {
+  const { size } = await fs.promises.stat(filePath);
+  const result = await storage.upload({
+    path: filePath,
+    originalname: `${publicId}${path.extname(filePath)}`,
+    mimetype: mimeType,
+    size
+  }, { folder, publicId, resourceType: 'video' });
+
+  return { ...result, bytes: result.bytes || size };
+};
+
+// Probe a stored video and generate its poster frame, thumbnails and H.264 rendition.
+// With scrub, the original is also replaced by a copy without metadata (GPS, device).
+// Returns the fields to update on the Media document.
+const processVideo = async (media, { scrub = false } = {}) => {
+  const storage = getStorage(media.storageProvider);
+  const baseName = getBaseName(media.cloudinaryPublicId);
+  const extension = path.extname(media.cloudinaryPublicId) || path.extname(media.originalName) || '.mp4';
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wedding-memories-video-'));
+  const inputPath = path.join(workDir, `original${extension}`);
+  // Files stored so far, removed again if a later step fails
+  const storedFiles = [];
+
+  try {
+    const source = await storage.getStream(media.cloudinaryPublicId, { resourceType: 'video' });
+    await pipeline(source, fs.createWriteStream(inputPath));
+
+    const info = await probeVideo(inputPath);
+    const result = {
+      duration: info.duration,
+      dimensions: { width: info.width, height: info.height },
+      quality: {},
+      placeholder: null,
+      original: null
+    };
+
+    if (scrub) {
+      const scrubbedPath = path.join(workDir, `scrubbed${extension}`);
+      await remuxWithoutMetadata(inputPath, scrubbedPath);
+      const stored = await storeVideo(storage, scrubbedPath, {
+        publicId: `${baseName}-clean`,
+        folder: 'media',
+        mimeType: media.mimeType
+      });
+      storedFiles.push({ key: stored.key, resourceType: 'video' });
+      result.original = {
+        url: stored.url,
+        key: stored.key,
+        size: stored.bytes,
+        ...result.dimensions
+      };
+    }
+
+    // Poster frame a second in, or halfway through very short clips
+    const posterPath = path.join(workDir, 'poster.jpg');
+    await extractPosterFrame(inputPath, posterPath, info.duration ? Math.min(1, info.duration / 2) : 0);
+
+    const posterBuffer = await fs.promises.readFile(posterPath);
+    const posterInfo = await sharp(posterBuffer).metadata();
+    const poster = await storeRendition(storage, posterBuffer, { publicId: `${baseName}-poster` });
+    storedFiles.push({ key: poster.key, resourceType: 'image' });
+
+    result.quality.poster = {
+      url: poster.url,
+      key: poster.key,
+      size: posterBuffer.length,
+      width: posterInfo.width,
+      height: posterInfo.height
+    };
+
+    result.placeholder = await generatePlaceholder({ buffer: posterBuffer });
+
+    const variants = await generateImageVariants({
+      buffer: posterBuffer,
+      originalname: 'poster.jpg',
+      mimetype: 'image/jpeg',
+      size: posterBuffer.length
+    }, { key: media.cloudinaryPublicId, provider: media.storageProvider });
+    Object.values(variants).forEach(({ key }) => storedFiles.push({ key, resourceType: 'image' }));
+    Object.assign(result.quality, variants);
+
+    // Web rendition played in the gallery and slideshow
+    const webPath = path.join(workDir, 'web.mp4');
+    await transcodeToH264(inputPath, webPath);
+    const webInfo = await probeVideo(webPath);
+    const web = await storeVideo(storage, webPath, {
+      publicId: `${baseName}-web`,
+      folder: 'media/variants'
+    });
+
+    result.quality.display = {
+      url: web.url,
+      key: web.key,
+      size: web.bytes,
+      width: webInfo.width,
+      height: webInfo.height
+    };
+
+    return result;
+  } catch (error) {
+    for (const { key, resourceType } of storedFiles) {
+      await storage.remove(key, resourceType).catch(() => {});
+    }
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  FFMPEG_PATH,
+  FFPROBE_PATH,
+  runCommand,
+  probeVideo,
+  extractPosterFrame,
+  transcodeToH264,
+  remuxWithoutMetadata,
+  processVideo
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { isKeyInFolder } = require('./storage/keys');
+const { AppError } = require('../middleware/errorHandler');
+const { downloadFile } = require('./cloudinary');
+const { getBaseName, storeRendition } = require('./imageProcessing');
+const { queueFileCleanup } = require('./mediaPipeline');
+const { recordStorageUsage } = require('./storageQuota');
+
+// Gap between the watermark and the photo's edge, as a fraction of its width
+const MARGIN = 0.03;
+
+// Identifies the settings a watermarked copy was made with, so changing them
+// regenerates copies on their next download
+const getWatermarkSignature = (watermark) => {
+  const { type, text, imageKey, position, opacity, scale } = watermark;
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ type, text, imageKey, position, opacity, scale }))
+    .digest('hex')
+    .slice(0, 10);
+};
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '\'': '&apos;',
+  '"': '&quot;'
+}[char]));
+
+// Text watermark as a transparent PNG of the given width
+const renderTextWatermark = async (text, width, opacity) => {
+  // Average glyph width is roughly 0.6em
+  const fontSize = Math.max(Math.round(width / (text.length * 0.6)), 8);
+  const height = Math.round(fontSize * 1.4);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle"
+      font-family="Georgia, 'Times New Roman', serif" font-size="${fontSize}"
+      fill="#ffffff" fill-opacity="${opacity}"
+      stroke="#000000" stroke-opacity="${opacity * 0.4}" stroke-width="${Math.max(fontSize / 40, 1)}">${escapeXml(text)}</text>
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+// Uploaded watermark image scaled to the given width, with its alpha reduced to the opacity
+const renderImageWatermark = async (watermark, width, opacity) => {
+  // Only an uploaded watermark, never another stored file
+  if (!isKeyInFolder(watermark.imageKey, ['watermarks'])) {
+    throw new AppError('Watermark image is not available', 500, 'WATERMARK_UNAVAILABLE');
+  }
+
+  const input = await downloadFile(watermark.imageKey, 'image', watermark.imageProvider);
+  const { data, info } = await sharp(input, { failOn: 'none' })
+    .resize({ width })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = Math.round(data[i] * opacity);
+  }
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+};
+
+// Top-left corner that puts an overlay at a named position
+const getOverlayPosition = (position, image, overlay) => {
+  const margin = Math.round(image.width * MARGIN);
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+  const left = {
+    left: margin,
+    right: image.width - overlay.width - margin,
+    center: Math.round((image.width - overlay.width) / 2)
+  }[horizontal];
+
+  const top = {
+    top: margin,
+    bottom: image.height - overlay.height - margin,
+    center: Math.round((image.height - overlay.height) / 2)
+  }[vertical];
+
+  return { left: Math.max(left, 0), top: Math.max(top, 0) };
+};
+
+// Stamp an event's watermark on an image buffer; returns a JPEG
+const applyWatermark = async (input, watermark) => {
+  const image = sharp(input, { failOn: 'none' }).rotate();
+  const { data: base, info } = await image.toBuffer({ resolveWithObject: true });
+
+  const overlayWidth = Math.max(Math.round(info.width * watermark.scale), 16);
+  const overlay = watermark.type === 'image'
+    ? await renderImageWatermark(watermark, overlayWidth, watermark.opacity)
+    : await renderTextWatermark(watermark.text, overlayWidth, watermark.opacity);
+
+  // Never larger than the photo itself
+  const overlayInfo = await sharp(overlay).metadata();
+  const fitted = overlayInfo.height > info.height
+    ? await sharp(overlay).resize({ height: info.height }).toBuffer()
+    : overlay;
+  const fittedInfo = await sharp(fitted).metadata();
+
+  return sharp(base)
+    .composite([{
+      input: fitted,
+      ...getOverlayPosition(watermark.position, info, fittedInfo)
+    }])
+    .jpeg({ quality: 90, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+};
+
+// Watermarked copy of a photo with the event's current settings, generated on
+// first download and stored next to its other renditions
+const getWatermarkedRendition = async (media, event) => {
+  const signature = getWatermarkSignature(event.watermark);
+
+  if (media.watermarked && media.watermarked.key && media.watermarked.signature === signature) {
+    return media.watermarked;
+  }
+
+  // HEIC originals are stamped through their JPEG display copy
+  const sourceKey = (media.quality.display && media.quality.display.key) || media.cloudinaryPublicId;
+  const input = await downloadFile(sourceKey, 'image', media.storageProvider);
+  const { data, info } = await applyWatermark(input, event.watermark);
+
+  const result = await storeRendition(getStorage(media.storageProvider), data, {
+    publicId: `${getBaseName(media.cloudinaryPublicId)}-watermarked-${signature}`
+  });
+
+  const previous = media.watermarked && media.watermarked.key;
+  const previousSize = (media.watermarked && media.watermarked.size) || 0;
+
+  media.watermarked = {
+    url: result.url,
+    key: result.key,
+    size: info.size,
+    width: info.width,
+    height: info.height,
+    signature
+  };
+  await media.save();
+  await recordStorageUsage(event, info.size - previousSize);
+
+  // Copies made with earlier settings
+  if (previous && previous !== result.key) {
+    await queueFileCleanup([{
+      key: previous,
+      resourceType: 'image',
+      provider: media.storageProvider
+    }], { event: event._id });
+  }
+
+  return media.watermarked;
+};
+
+// File name offered for a watermarked download
+const getWatermarkedFileName = (originalName) => `${path.parse(originalName).name}.jpg`;
+
+module.exports = {
+  getOverlayPosition,
+  applyWatermark,
+  getWatermarkedRendition,
+  getWatermarkedFileName
+};